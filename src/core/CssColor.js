@@ -0,0 +1,151 @@
+/**
+ * @file CssColor.js - Parsing of the CSS color formats accepted in scene configurations
+ * Classes: CssColor
+ */
+
+// CSS named colors (CSS Color Module Level 4) as 6-digit hex
+const NAMED_COLORS = {
+    aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4', azure: 'f0ffff',
+    beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000', blanchedalmond: 'ffebcd', blue: '0000ff',
+    blueviolet: '8a2be2', brown: 'a52a2a', burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00',
+    chocolate: 'd2691e', coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+    cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b', darkgray: 'a9a9a9',
+    darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b', darkmagenta: '8b008b', darkolivegreen: '556b2f',
+    darkorange: 'ff8c00', darkorchid: '9932cc', darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f',
+    darkslateblue: '483d8b', darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1',
+    darkviolet: '9400d3', deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969',
+    dodgerblue: '1e90ff', firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff',
+    gainsboro: 'dcdcdc', ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520', gray: '808080',
+    green: '008000', greenyellow: 'adff2f', grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4',
+    indianred: 'cd5c5c', indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa',
+    lavenderblush: 'fff0f5', lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6', lightcoral: 'f08080',
+    lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3', lightgreen: '90ee90', lightgrey: 'd3d3d3',
+    lightpink: 'ffb6c1', lightsalmon: 'ffa07a', lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899',
+    lightslategrey: '778899', lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32',
+    linen: 'faf0e6', magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa', mediumblue: '0000cd',
+    mediumorchid: 'ba55d3', mediumpurple: '9370db', mediumseagreen: '3cb371', mediumslateblue: '7b68ee',
+    mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc', mediumvioletred: 'c71585', midnightblue: '191970',
+    mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5', navajowhite: 'ffdead', navy: '000080',
+    oldlace: 'fdf5e6', olive: '808000', olivedrab: '6b8e23', orange: 'ffa500', orangered: 'ff4500',
+    orchid: 'da70d6', palegoldenrod: 'eee8aa', palegreen: '98fb98', paleturquoise: 'afeeee', palevioletred: 'db7093',
+    papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f', pink: 'ffc0cb', plum: 'dda0dd',
+    powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399', red: 'ff0000', rosybrown: 'bc8f8f',
+    royalblue: '4169e1', saddlebrown: '8b4513', salmon: 'fa8072', sandybrown: 'f4a460', seagreen: '2e8b57',
+    seashell: 'fff5ee', sienna: 'a0522d', silver: 'c0c0c0', skyblue: '87ceeb', slateblue: '6a5acd',
+    slategray: '708090', slategrey: '708090', snow: 'fffafa', springgreen: '00ff7f', steelblue: '4682b4',
+    tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8', tomato: 'ff6347', turquoise: '40e0d0',
+    violet: 'ee82ee', wheat: 'f5deb3', white: 'ffffff', whitesmoke: 'f5f5f5', yellow: 'ffff00',
+    yellowgreen: '9acd32'
+};
+
+// #rgb, #rgba, #rrggbb and #rrggbbaa
+const HEX_PATTERN = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// rgb()/rgba()/hsl()/hsla() with comma or space separated channels and an optional alpha
+const NUMBER = '[+-]?(?:\\d+\\.?\\d*|\\.\\d+)';
+const SEPARATOR = '(?:\\s*,\\s*|\\s+)';
+const FUNCTION_PATTERN = new RegExp(
+    `^(rgba?|hsla?)\\(\\s*(${NUMBER}(?:%|deg)?)${SEPARATOR}(${NUMBER}%?)${SEPARATOR}(${NUMBER}%?)` +
+    `\\s*(?:[,/]\\s*${NUMBER}%?\\s*)?\\)$`,
+    'i'
+);
+
+/**
+ * @class CssColor
+ * Static helpers turning the color formats scenes may use (hex, rgb(), hsl() and CSS named
+ * colors) into RGB channels, so anything SceneValidator accepts can also be recolored, e.g.
+ * lightened for virtual images. Alpha is accepted but ignored.
+ */
+export class CssColor {
+    /**
+     * Parse a CSS color string
+     * @param {Object} config - Configuration object
+     * @param {string} config.value - Color such as '#ff6b6b', '#abc', 'rgb(0, 122, 204)', 'hsl(210 100% 40%)' or 'black'
+     * @returns {Array|null} Channels [r, g, b] in 0..255, or null if the value is not a supported color
+     */
+    static parse({ value }) {
+        if (typeof value !== 'string') return null;
+        
+        const color = value.trim().toLowerCase();
+        
+        if (Object.hasOwn(NAMED_COLORS, color)) {
+            return this.parseHex({ hex: NAMED_COLORS[color] });
+        }
+        
+        if (HEX_PATTERN.test(color)) {
+            const digits = color.slice(1);
+            
+            // Short forms repeat every digit: #abc is #aabbcc
+            const hex = digits.length <= 4 ? digits.replace(/./g, digit => digit + digit) : digits;
+            return this.parseHex({ hex: hex.slice(0, 6) });
+        }
+        
+        const match = color.match(FUNCTION_PATTERN);
+        if (!match) return null;
+        
+        const [, name, first, second, third] = match;
+        return name.startsWith('rgb')
+            ? this.parseRgb({ channels: [first, second, third] })
+            : this.parseHsl({ hue: first, saturation: second, lightness: third });
+    }
+    
+    /**
+     * Format RGB channels as a 6-digit hex color
+     * @param {Object} config - Configuration object
+     * @param {Array} config.rgb - Channels [r, g, b] in 0..255
+     * @returns {string} Color like '#ff6b6b'
+     */
+    static toHex({ rgb }) {
+        return `#${rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+    }
+    
+    /**
+     * Split 6 hex digits into channels
+     * @param {Object} config - Configuration object
+     * @param {string} config.hex - Six hex digits without '#'
+     * @returns {Array} Channels [r, g, b]
+     */
+    static parseHex({ hex }) {
+        return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+    }
+    
+    /**
+     * Convert rgb() channels (numbers or percentages) to 0..255
+     * @param {Object} config - Configuration object
+     * @param {Array} config.channels - Three channel strings
+     * @returns {Array|null} Channels [r, g, b], or null for a hue unit in an rgb() color
+     */
+    static parseRgb({ channels }) {
+        if (channels.some(channel => channel.endsWith('deg'))) return null;
+        
+        return channels.map(channel => {
+            const amount = channel.endsWith('%') ? parseFloat(channel) * 255 / 100 : parseFloat(channel);
+            return Math.min(255, Math.max(0, Math.round(amount)));
+        });
+    }
+    
+    /**
+     * Convert hsl() components to RGB channels
+     * @param {Object} config - Configuration object
+     * @param {string} config.hue - Hue in degrees (with or without 'deg')
+     * @param {string} config.saturation - Saturation percentage
+     * @param {string} config.lightness - Lightness percentage
+     * @returns {Array|null} Channels [r, g, b], or null if saturation or lightness lack a '%'
+     */
+    static parseHsl({ hue, saturation, lightness }) {
+        if (hue.endsWith('%') || !saturation.endsWith('%') || !lightness.endsWith('%')) return null;
+        
+        const h = ((parseFloat(hue) % 360) + 360) % 360;
+        const s = Math.min(1, Math.max(0, parseFloat(saturation) / 100));
+        const l = Math.min(1, Math.max(0, parseFloat(lightness) / 100));
+        
+        // Standard CSS hsl-to-rgb conversion
+        const channel = offset => {
+            const k = (offset + h / 30) % 12;
+            const a = s * Math.min(l, 1 - l);
+            return Math.round(255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+        };
+        
+        return [channel(0), channel(8), channel(4)];
+    }
+}
@@ -0,0 +1,118 @@
+/**
+ * @file SceneFormat.js - Versioned JSON scene file format
+ * Classes: SceneFormat
+ */
+
+// Bumped whenever a saved scene can no longer be read as-is
+export const SCENE_FORMAT_VERSION = 1;
+
+// Generation and visibility settings stored alongside the geometry
+const SETTING_KEYS = [
+    'maxReflectionDepth',
+    'generationMode',
+    'segmentAware',
+    'hiddenImageMode',
+    'occlusionMode',
+    'distanceFalloff',
+    'minIntensity'
+];
+
+/**
+ * @class SceneFormat
+ * Converts live scene entities to and from the versioned JSON scene format. A scene holds the
+ * configuration of every mirror, object, glass block, light source and the viewer (position,
+ * optics and style) in absolute canvas coordinates, plus the reflection depth and visibility
+ * settings. Scenes load through the same config path as the hardcoded ones in main.js.
+ * @example
+ * {
+ *     "version": 1,
+ *     "settings": { "maxReflectionDepth": 2, "generationMode": "viewport", ... },
+ *     "mirrors": [{ "x1": 264, "y1": 0, "x2": 264, "y2": 800, "stroke": "#2c3e50", ... }],
+ *     "objects": [{ "vertices": [{ "x": 400, "y": 360 }, ...], "fill": "#ff6b6b", ... }],
+ *     "viewer": { "x": 400, "y": 440, "direction": -90, "fieldOfView": 120, ... },
+ *     "glassBlocks": [],
+ *     "lightSources": []
+ * }
+ */
+export class SceneFormat {
+    /**
+     * Build a scene from live entities
+     * @param {Object} config - Configuration object
+     * @param {Array} config.mirrors - Array of mirrors
+     * @param {Array} config.objects - Array of real objects
+     * @param {ViewerModel|null} config.viewer - Real viewer
+     * @param {Array} [config.glassBlocks=[]] - Array of glass blocks
+     * @param {Array} [config.lightSources=[]] - Array of light sources
+     * @param {Object} [config.settings={}] - Generation settings (unknown keys are dropped)
+     * @returns {Object} Scene in the current format version
+     */
+    static create({ mirrors, objects, viewer, glassBlocks = [], lightSources = [], settings = {} }) {
+        return {
+            version: SCENE_FORMAT_VERSION,
+            settings: this.pickSettings({ settings }),
+            mirrors: mirrors.map(mirror => mirror.toConfig()),
+            objects: objects.map(object => object.toConfig()),
+            viewer: viewer ? viewer.toConfig() : null,
+            glassBlocks: glassBlocks.map(glassBlock => glassBlock.toConfig()),
+            lightSources: lightSources.map(lightSource => lightSource.toConfig())
+        };
+    }
+    
+    /**
+     * Keep only the settings the format knows about
+     * @param {Object} config - Configuration object
+     * @param {Object} config.settings - Settings object
+     * @returns {Object} Known settings that are defined
+     */
+    static pickSettings({ settings }) {
+        return Object.fromEntries(
+            SETTING_KEYS
+                .filter(key => settings[key] !== undefined)
+                .map(key => [key, settings[key]])
+        );
+    }
+    
+    /**
+     * Serialize a scene to JSON text
+     * @param {Object} config - Configuration object
+     * @param {Object} config.scene - Scene from create
+     * @returns {string} Indented JSON
+     */
+    static stringify({ scene }) {
+        return JSON.stringify(scene, null, 2);
+    }
+    
+    /**
+     * Parse JSON text into a scene, checking the format version
+     * @param {Object} config - Configuration object
+     * @param {string} config.text - JSON text of a saved scene
+     * @returns {Object} Scene with every entity list present (missing lists become empty)
+     * @throws {Error} If the text is not JSON or the version is missing or newer than supported
+     */
+    static parse({ text }) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Scene file is not valid JSON: ${error.message}`);
+        }
+        
+        if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+            throw new Error('Scene file has no format version');
+        }
+        
+        if (data.version > SCENE_FORMAT_VERSION) {
+            throw new Error(`Scene format version ${data.version} is newer than the supported version ${SCENE_FORMAT_VERSION}`);
+        }
+        
+        return {
+            version: data.version,
+            settings: this.pickSettings({ settings: data.settings || {} }),
+            mirrors: data.mirrors || [],
+            objects: data.objects || [],
+            viewer: data.viewer || null,
+            glassBlocks: data.glassBlocks || [],
+            lightSources: data.lightSources || []
+        };
+    }
+}
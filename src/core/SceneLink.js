@@ -0,0 +1,107 @@
+/**
+ * @file SceneLink.js - Compact scene encoding for shareable URL fragments
+ * Classes: SceneLink
+ * Dependencies: SceneFormat
+ */
+
+import { SceneFormat } from './SceneFormat.js';
+
+// Fragment parameter holding the encoded scene, e.g. #scene=...
+const HASH_KEY = 'scene';
+
+// Decimal places kept for coordinates; sub-pixel detail is lost but links stay short
+const PRECISION = 1;
+
+// Keys holding positions (entity x/y, vertices, mirror endpoints); optics and settings keep full precision
+const COORDINATE_KEYS = new Set(['x', 'y', 'x1', 'y1', 'x2', 'y2']);
+
+/**
+ * @class SceneLink
+ * Encodes a scene (SceneFormat) into a URL fragment and back. The coordinates are rounded,
+ * deflate-compressed and written as base64url, so a typical scene fits in a few hundred
+ * characters. Uses CompressionStream, available in browsers and in Node 18+.
+ */
+export class SceneLink {
+    /**
+     * Encode a scene as a URL fragment
+     * @param {Object} config - Configuration object
+     * @param {Object} config.scene - Scene from SceneFormat.create or MainSimulation.serialize
+     * @returns {Promise<string>} Fragment including the leading '#'
+     */
+    static async encode({ scene }) {
+        const json = JSON.stringify(this.roundCoordinates(scene));
+        const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        
+        return `#${HASH_KEY}=${this.toBase64Url(bytes)}`;
+    }
+    
+    /**
+     * Decode the scene from a URL fragment
+     * @param {Object} config - Configuration object
+     * @param {string} config.hash - URL fragment, e.g. window.location.hash
+     * @returns {Promise<Object|null>} Parsed scene, or null if the fragment holds no scene
+     * @throws {Error} If the encoded scene is corrupt or not a valid scene file
+     */
+    static async decode({ hash }) {
+        const encoded = new URLSearchParams(hash.replace(/^#/, '')).get(HASH_KEY);
+        if (!encoded) return null;
+        
+        let text;
+        try {
+            const stream = new Blob([this.fromBase64Url(encoded)]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            text = await new Response(stream).text();
+        } catch (error) {
+            throw new Error(`Scene link is corrupt: ${error.message}`);
+        }
+        
+        return SceneFormat.parse({ text });
+    }
+    
+    /**
+     * Round the coordinates in a JSON-like value. Other numbers (reflectivity, refractive index,
+     * intensity settings, directions) are kept as they are, since rounding them changes the optics.
+     * @param {*} value - Value to round
+     * @returns {*} Copy with coordinates rounded to PRECISION decimal places
+     */
+    static roundCoordinates(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.roundCoordinates(item));
+        }
+        
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+                key,
+                COORDINATE_KEYS.has(key) && typeof item === 'number'
+                    ? Number(item.toFixed(PRECISION))
+                    : this.roundCoordinates(item)
+            ]));
+        }
+        
+        return value;
+    }
+    
+    /**
+     * Write bytes as unpadded base64url (safe in URL fragments)
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} Base64url text
+     */
+    static toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    
+    /**
+     * Read unpadded base64url text back into bytes
+     * @param {string} text - Base64url text
+     * @returns {Uint8Array} Decoded bytes
+     */
+    static fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, character => character.charCodeAt(0));
+    }
+}
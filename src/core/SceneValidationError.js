@@ -0,0 +1,23 @@
+/**
+ * @file SceneValidationError.js - Error thrown for scene configurations that fail validation
+ * Classes: SceneValidationError
+ */
+
+/**
+ * @class SceneValidationError
+ * Carries every problem found in a scene so they can be reported together rather than one
+ * at a time. The message lists each problem on its own line, prefixed by its path.
+ */
+export class SceneValidationError extends Error {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {Array} config.errors - Problems found [{path, message}]
+     */
+    constructor({ errors }) {
+        const details = errors.map(({ path, message }) => `  ${path}: ${message}`).join('\n');
+        super(`Invalid scene (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n${details}`);
+        
+        this.name = 'SceneValidationError';
+        this.errors = errors;
+    }
+}
@@ -0,0 +1,391 @@
+/**
+ * @file SceneValidator.js - Schema validation for scene configurations
+ * Classes: SceneValidator
+ * Dependencies: SceneValidationError, CssColor
+ */
+
+import { SceneValidationError } from './SceneValidationError.js';
+import { CssColor } from './CssColor.js';
+
+// Positions are absolute numbers or percentages of the canvas size, e.g. 120 or '33%'
+const PERCENTAGE_PATTERN = /^-?\d+(\.\d+)?%$/;
+
+/**
+ * @class SceneValidator
+ * Checks scene configurations (as written in main.js or loaded from a scene file) before any
+ * entity is built. Every check returns a list of problems {path, message}, where the path
+ * points at the offending value, e.g. objects[1].vertices[2].x, so a typo can be found
+ * without stepping through NaN SVG attributes.
+ */
+export class SceneValidator {
+    /**
+     * Validate a complete scene
+     * @param {Object} config - Configuration object
+     * @param {Object} config.scene - Scene with mirrors, objects, viewer, glassBlocks, lightSources and settings
+     * @param {Object} [config.canvas=null] - Canvas size {width, height} that percentage positions resolve against
+     * @returns {Array} Problems found [{path, message}] (empty when the scene is valid)
+     */
+    static validate({ scene, canvas = null }) {
+        if (!this.isPlainObject(scene)) {
+            return [{ path: 'scene', message: `expected an object, got ${this.describe(scene)}` }];
+        }
+        
+        return [
+            ...this.validateSettings({ settings: scene.settings }),
+            ...this.validateMirrors({ mirrors: scene.mirrors, canvas }),
+            ...this.validateObjects({ objects: scene.objects }),
+            ...this.validateViewer({ viewer: scene.viewer }),
+            ...this.validateGlassBlocks({ glassBlocks: scene.glassBlocks }),
+            ...this.validateLightSources({ lightSources: scene.lightSources })
+        ];
+    }
+    
+    /**
+     * Throw if any problems were found
+     * @param {Object} config - Configuration object
+     * @param {Array} config.errors - Problems from one of the validate methods
+     * @throws {SceneValidationError} Listing every problem
+     */
+    static assertValid({ errors }) {
+        if (errors.length > 0) {
+            throw new SceneValidationError({ errors });
+        }
+    }
+    
+    /**
+     * Validate generation settings (all optional)
+     * @param {Object} config - Configuration object
+     * @param {Object} [config.settings] - Settings object
+     * @param {string} [config.path='settings'] - Path prefix for reported problems
+     * @returns {Array} Problems found [{path, message}]
+     */
+    static validateSettings({ settings, path = 'settings' }) {
+        if (settings === undefined) return [];
+        if (!this.isPlainObject(settings)) {
+            return [{ path, message: `expected an object, got ${this.describe(settings)}` }];
+        }
+        
+        return [
+            ...this.checkNumber({ value: settings.maxReflectionDepth, path: `${path}.maxReflectionDepth`, min: 0, integer: true, optional: true }),
+            ...this.checkEnum({ value: settings.generationMode, path: `${path}.generationMode`, options: ['depth', 'viewport', 'kaleidoscope'], optional: true }),
+            ...this.checkBoolean({ value: settings.segmentAware, path: `${path}.segmentAware`, optional: true }),
+            ...this.checkEnum({ value: settings.hiddenImageMode, path: `${path}.hiddenImageMode`, options: ['mark', 'drop'], optional: true }),
+            ...this.checkEnum({ value: settings.occlusionMode, path: `${path}.occlusionMode`, options: ['off', 'mark', 'hide'], optional: true }),
+            ...this.checkNumber({ value: settings.distanceFalloff, path: `${path}.distanceFalloff`, min: 0, optional: true }),
+            ...this.checkNumber({ value: settings.minIntensity, path: `${path}.minIntensity`, min: 0, max: 1, optional: true })
+        ];
+    }
+    
+    /**
+     * Validate mirror configurations
+     * @param {Object} config - Configuration object
+     * @param {Array} [config.mirrors] - Mirror configurations
+     * @param {string} [config.path='mirrors'] - Path prefix for reported problems
+     * @param {Object} [config.canvas=null] - Canvas size {width, height} that percentage positions resolve against
+     * @returns {Array} Problems found [{path, message}]
+     */
+    static validateMirrors({ mirrors, path = 'mirrors', canvas = null }) {
+        return this.validateList({ list: mirrors, path, validateItem: ({ item: mirror, path: mirrorPath }) => {
+            const errors = [
+                ...['x1', 'y1', 'x2', 'y2'].flatMap(key =>
+                    this.checkPosition({ value: mirror[key], path: `${mirrorPath}.${key}` })
+                ),
+                ...this.checkStyle({ config: mirror, path: mirrorPath, colorKeys: ['stroke'] }),
+                ...this.checkNumber({ value: mirror.reflectivity, path: `${mirrorPath}.reflectivity`, min: 0, max: 1, optional: true }),
+                ...this.checkEnum({ value: mirror.reflectiveSide, path: `${mirrorPath}.reflectiveSide`, options: ['both', 'left', 'right'], optional: true })
+            ];
+            
+            // Reflection across a single point is undefined
+            if (errors.length === 0 && this.isZeroLength({ mirror, canvas })) {
+                errors.push({ path: mirrorPath, message: 'mirror has zero length (both endpoints coincide)' });
+            }
+            
+            return errors;
+        } });
+    }
+    
+    /**
+     * Check whether both endpoints of a mirror land on the same point. Percentages are resolved
+     * against the canvas when its size is known; otherwise only endpoints in matching units
+     * can be compared, e.g. '50%' and 400 may or may not coincide.
+     * @param {Object} config - Configuration object
+     * @param {Object} config.mirror - Mirror configuration with valid positions
+     * @param {Object|null} config.canvas - Canvas size {width, height}, or null if unknown
+     * @returns {boolean} Whether the mirror has zero length
+     */
+    static isZeroLength({ mirror, canvas }) {
+        const coincide = (start, end, dimension) => {
+            if (canvas) {
+                const distance = this.resolvePosition({ value: start, dimension }) - this.resolvePosition({ value: end, dimension });
+                return Math.abs(distance) < 1e-9;
+            }
+            return typeof start === typeof end && parseFloat(start) === parseFloat(end);
+        };
+        
+        return coincide(mirror.x1, mirror.x2, canvas && canvas.width) && coincide(mirror.y1, mirror.y2, canvas && canvas.height);
+    }
+    
+    /**
+     * Resolve a position to canvas coordinates
+     * @param {Object} config - Configuration object
+     * @param {number|string} config.value - Valid position: a number or a percentage string like '50%'
+     * @param {number} config.dimension - Canvas dimension (width or height) the percentage refers to
+     * @returns {number} Absolute position
+     */
+    static resolvePosition({ value, dimension }) {
+        if (typeof value === 'string' && PERCENTAGE_PATTERN.test(value)) {
+            return dimension * parseFloat(value) / 100;
+        }
+        return value;
+    }
+    
+    /**
+     * Validate polygon object configurations
+     * @param {Object} config - Configuration object
+     * @param {Array} [config.objects] - Object configurations
+     * @param {string} [config.path='objects'] - Path prefix for reported problems
+     * @returns {Array} Problems found [{path, message}]
+     */
+    static validateObjects({ objects, path = 'objects' }) {
+        return this.validateList({ list: objects, path, validateItem: ({ item: object, path: objectPath }) => [
+            ...this.checkVertices({ vertices: object.vertices, path: `${objectPath}.vertices` }),
+            ...this.checkStyle({ config: object, path: objectPath, colorKeys: ['fill', 'stroke'] })
+        ] });
+    }
+    
+    /**
+     * Validate glass block configurations
+     * @param {Object} config - Configuration object
+     * @param {Array} [config.glassBlocks] - Glass block configurations
+     * @param {string} [config.path='glassBlocks'] - Path prefix for reported problems
+     * @returns {Array} Problems found [{path, message}]
+     */
+    static validateGlassBlocks({ glassBlocks, path = 'glassBlocks' }) {
+        return this.validateList({ list: glassBlocks, path, validateItem: ({ item: glassBlock, path: glassBlockPath }) => [
+            ...this.checkVertices({ vertices: glassBlock.vertices, path: `${glassBlockPath}.vertices` }),
+            ...this.checkStyle({ config: glassBlock, path: glassBlockPath, colorKeys: ['fill', 'stroke'] }),
+            ...this.checkNumber({ value: glassBlock.refractiveIndex, path: `${glassBlockPath}.refractiveIndex`, min: 1, optional: true }),
+            ...this.checkNumber({ value: glassBlock.fillOpacity, path: `${glassBlockPath}.fillOpacity`, min: 0, max: 1, optional: true })
+        ] });
+    }
+    
+    /**
+     * Validate the viewer configuration (null means the default viewer)
+     * @param {Object} config - Configuration object
+     * @param {Object|null} [config.viewer] - Viewer configuration
+     * @param {string} [config.path='viewer'] - Path prefix for reported problems
+     * @returns {Array} Problems found [{path, message}]
+     */
+    static validateViewer({ viewer, path = 'viewer' }) {
+        if (viewer === undefined || viewer === null) return [];
+        if (!this.isPlainObject(viewer)) {
+            return [{ path, message: `expected an object, got ${this.describe(viewer)}` }];
+        }
+        
+        return [
+            ...this.checkPosition({ value: viewer.x, path: `${path}.x` }),
+            ...this.checkPosition({ value: viewer.y, path: `${path}.y` }),
+            ...this.checkNumber({ value: viewer.radius, path: `${path}.radius`, min: 0, exclusiveMin: true, optional: true }),
+            ...this.checkNumber({ value: viewer.direction, path: `${path}.direction`, optional: true }),
+            ...this.checkNumber({ value: viewer.fieldOfView, path: `${path}.fieldOfView`, min: 0, max: 360, exclusiveMin: true, optional: true }),
+            ...this.checkStyle({ config: viewer, path, colorKeys: ['fill', 'stroke'] })
+        ];
+    }
+    
+    /**
+     * Validate light source configurations
+     * @param {Object} config - Configuration object
+     * @param {Array} [config.lightSources] - Light source configurations
+     * @param {string} [config.path='lightSources'] - Path prefix for reported problems
+     * @returns {Array} Problems found [{path, message}]
+     */
+    static validateLightSources({ lightSources, path = 'lightSources' }) {
+        return this.validateList({ list: lightSources, path, validateItem: ({ item: lightSource, path: lightSourcePath }) => [
+            ...this.checkPosition({ value: lightSource.x, path: `${lightSourcePath}.x` }),
+            ...this.checkPosition({ value: lightSource.y, path: `${lightSourcePath}.y` }),
+            ...this.checkNumber({ value: lightSource.direction, path: `${lightSourcePath}.direction`, optional: true }),
+            ...this.checkNumber({ value: lightSource.spread, path: `${lightSourcePath}.spread`, min: 0, max: 360, optional: true }),
+            ...this.checkNumber({ value: lightSource.rayCount, path: `${lightSourcePath}.rayCount`, min: 1, integer: true, optional: true }),
+            ...this.checkNumber({ value: lightSource.radius, path: `${lightSourcePath}.radius`, min: 0, exclusiveMin: true, optional: true }),
+            ...this.checkStyle({ config: lightSource, path: lightSourcePath, colorKeys: ['color', 'stroke'] })
+        ] });
+    }
+    
+    /**
+     * Validate an optional array of entity configurations item by item
+     * @param {Object} config - Configuration object
+     * @param {Array} [config.list] - Entity configurations (undefined counts as empty)
+     * @param {string} config.path - Path of the array
+     * @param {Function} config.validateItem - Called with {item, path} for every object entry
+     * @returns {Array} Problems found [{path, message}]
+     */
+    static validateList({ list, path, validateItem }) {
+        if (list === undefined) return [];
+        if (!Array.isArray(list)) {
+            return [{ path, message: `expected an array, got ${this.describe(list)}` }];
+        }
+        
+        return list.flatMap((item, index) => {
+            const itemPath = `${path}[${index}]`;
+            if (!this.isPlainObject(item)) {
+                return [{ path: itemPath, message: `expected an object, got ${this.describe(item)}` }];
+            }
+            return validateItem({ item, path: itemPath });
+        });
+    }
+    
+    /**
+     * Check a polygon's vertex list
+     * @param {Object} config - Configuration object
+     * @param {*} config.vertices - Value to check
+     * @param {string} config.path - Path of the value
+     * @returns {Array} Problems found [{path, message}]
+     */
+    static checkVertices({ vertices, path }) {
+        if (!Array.isArray(vertices)) {
+            return [{ path, message: `expected an array of at least 3 vertices, got ${this.describe(vertices)}` }];
+        }
+        
+        if (vertices.length < 3) {
+            return [{ path, message: `expected at least 3 vertices, got ${vertices.length}` }];
+        }
+        
+        return vertices.flatMap((vertex, index) => {
+            const vertexPath = `${path}[${index}]`;
+            if (!this.isPlainObject(vertex)) {
+                return [{ path: vertexPath, message: `expected a vertex {x, y}, got ${this.describe(vertex)}` }];
+            }
+            return [
+                ...this.checkPosition({ value: vertex.x, path: `${vertexPath}.x` }),
+                ...this.checkPosition({ value: vertex.y, path: `${vertexPath}.y` })
+            ];
+        });
+    }
+    
+    /**
+     * Check the optional colors and stroke width shared by every entity
+     * @param {Object} config - Configuration object
+     * @param {Object} config.config - Entity configuration
+     * @param {string} config.path - Path of the entity
+     * @param {Array} config.colorKeys - Keys holding colors
+     * @returns {Array} Problems found [{path, message}]
+     */
+    static checkStyle({ config, path, colorKeys }) {
+        return [
+            ...colorKeys.flatMap(key => this.checkColor({ value: config[key], path: `${path}.${key}` })),
+            ...this.checkNumber({ value: config.strokeWidth, path: `${path}.strokeWidth`, min: 0, optional: true })
+        ];
+    }
+    
+    /**
+     * Check a position value: a finite number or a percentage string like '50%'
+     * @param {Object} config - Configuration object
+     * @param {*} config.value - Value to check
+     * @param {string} config.path - Path of the value
+     * @returns {Array} Problems found [{path, message}]
+     */
+    static checkPosition({ value, path }) {
+        if (typeof value === 'number' && Number.isFinite(value)) return [];
+        if (typeof value === 'string' && PERCENTAGE_PATTERN.test(value)) return [];
+        
+        return [{ path, message: `expected a number or a percentage like '50%', got ${this.describe(value)}` }];
+    }
+    
+    /**
+     * Check an optional CSS color
+     * @param {Object} config - Configuration object
+     * @param {*} config.value - Value to check
+     * @param {string} config.path - Path of the value
+     * @returns {Array} Problems found [{path, message}]
+     */
+    static checkColor({ value, path }) {
+        if (value === undefined) return [];
+        if (CssColor.parse({ value })) return [];
+        
+        return [{ path, message: `expected a CSS color like '#ff6b6b', got ${this.describe(value)}` }];
+    }
+    
+    /**
+     * Check a finite number within optional bounds
+     * @param {Object} config - Configuration object
+     * @param {*} config.value - Value to check
+     * @param {string} config.path - Path of the value
+     * @param {number} [config.min=-Infinity] - Lower bound
+     * @param {number} [config.max=Infinity] - Upper bound (inclusive)
+     * @param {boolean} [config.exclusiveMin=false] - Whether the lower bound itself is rejected
+     * @param {boolean} [config.integer=false] - Require an integer
+     * @param {boolean} [config.optional=false] - Accept undefined
+     * @returns {Array} Problems found [{path, message}]
+     */
+    static checkNumber({ value, path, min = -Infinity, max = Infinity, exclusiveMin = false, integer = false, optional = false }) {
+        if (value === undefined && optional) return [];
+        
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return [{ path, message: `expected a number, got ${this.describe(value)}` }];
+        }
+        
+        if (integer && !Number.isInteger(value)) {
+            return [{ path, message: `expected an integer, got ${value}` }];
+        }
+        
+        if (value < min || (exclusiveMin && value === min) || value > max) {
+            const lower = exclusiveMin ? `greater than ${min}` : `at least ${min}`;
+            const range = max === Infinity ? lower : `${lower} and at most ${max}`;
+            return [{ path, message: `expected a number ${range}, got ${value}` }];
+        }
+        
+        return [];
+    }
+    
+    /**
+     * Check a boolean
+     * @param {Object} config - Configuration object
+     * @param {*} config.value - Value to check
+     * @param {string} config.path - Path of the value
+     * @param {boolean} [config.optional=false] - Accept undefined
+     * @returns {Array} Problems found [{path, message}]
+     */
+    static checkBoolean({ value, path, optional = false }) {
+        if ((value === undefined && optional) || typeof value === 'boolean') return [];
+        
+        return [{ path, message: `expected true or false, got ${this.describe(value)}` }];
+    }
+    
+    /**
+     * Check that a value is one of a fixed set of strings
+     * @param {Object} config - Configuration object
+     * @param {*} config.value - Value to check
+     * @param {string} config.path - Path of the value
+     * @param {Array} config.options - Allowed values
+     * @param {boolean} [config.optional=false] - Accept undefined
+     * @returns {Array} Problems found [{path, message}]
+     */
+    static checkEnum({ value, path, options, optional = false }) {
+        if ((value === undefined && optional) || options.includes(value)) return [];
+        
+        const choices = options.map(option => `'${option}'`).join(', ');
+        return [{ path, message: `expected one of ${choices}, got ${this.describe(value)}` }];
+    }
+    
+    /**
+     * Check for a non-null, non-array object
+     * @param {*} value - Value to check
+     * @returns {boolean} True for plain objects
+     */
+    static isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+    
+    /**
+     * Describe a value for an error message
+     * @param {*} value - Offending value
+     * @returns {string} Short description, e.g. "'50 %'", 'NaN' or 'undefined'
+     */
+    static describe(value) {
+        if (typeof value === 'string') return `'${value}'`;
+        if (Array.isArray(value)) return 'an array';
+        if (value === null) return 'null';
+        if (typeof value === 'object') return 'an object';
+        return String(value);
+    }
+}
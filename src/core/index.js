@@ -0,0 +1,22 @@
+/**
+ * @file index.js - Entry point of the DOM-free geometry core, importable from Node
+ * Dependencies: MirrorModel, PolygonObjectModel, GlassBlockModel, ViewerModel, LightSourceModel,
+ *               VirtualObjectModel, VirtualViewerModel, VirtualMirrorModel, ReflectionEngine, AffineTransform,
+ *               SceneFormat, SceneLink, SceneValidator, SceneValidationError, CssColor
+ */
+
+export { MirrorModel } from './real/MirrorModel.js';
+export { PolygonObjectModel } from './real/PolygonObjectModel.js';
+export { GlassBlockModel } from './real/GlassBlockModel.js';
+export { ViewerModel } from './real/ViewerModel.js';
+export { LightSourceModel } from './real/LightSourceModel.js';
+export { VirtualObjectModel } from './virtual/VirtualObjectModel.js';
+export { VirtualViewerModel } from './virtual/VirtualViewerModel.js';
+export { VirtualMirrorModel } from './virtual/VirtualMirrorModel.js';
+export { ReflectionEngine } from '../engines/ReflectionEngine.js';
+export { AffineTransform } from '../geometry/AffineTransform.js';
+export { SceneFormat, SCENE_FORMAT_VERSION } from './SceneFormat.js';
+export { SceneLink } from './SceneLink.js';
+export { SceneValidator } from './SceneValidator.js';
+export { SceneValidationError } from './SceneValidationError.js';
+export { CssColor } from './CssColor.js';
@@ -0,0 +1,86 @@
+/**
+ * @file GlassBlockModel.js - DOM-free glass block geometry and optics
+ * Classes: GlassBlockModel
+ */
+
+// Incrementing id used to tell glass blocks apart
+let nextGlassBlockId = 1;
+
+/**
+ * @class GlassBlockModel
+ * Shape and refractive index of a transparent polygon (slab, prism), with no rendering.
+ * Traced rays pass through it, bending at each face by Snell's law and reflecting
+ * internally past the critical angle. Glass blocks do not stop rays, so they are not
+ * imaged by the mirrors like polygon objects. The SVG GlassBlock class extends this model.
+ */
+export class GlassBlockModel {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {Array} config.vertices - Array of {x, y} points defining the polygon
+     * @param {number} [config.refractiveIndex=1.5] - Refractive index of the glass (air is 1)
+     * @param {string} [config.fill='#aed6f1'] - Fill color of the glass
+     * @param {number} [config.fillOpacity=0.4] - Fill opacity, so the glass looks transparent
+     * @param {string} [config.stroke='#5dade2'] - Stroke color
+     * @param {number} [config.strokeWidth=2] - Stroke width
+     */
+    constructor({ vertices, refractiveIndex = 1.5, fill = '#aed6f1', fillOpacity = 0.4, stroke = '#5dade2', strokeWidth = 2 }) {
+        // Identity
+        this.id = `glass-${nextGlassBlockId++}`;
+        
+        // Shape properties
+        this.vertices = vertices;
+        this.fill = fill;
+        this.fillOpacity = fillOpacity;
+        this.stroke = stroke;
+        this.strokeWidth = strokeWidth;
+        
+        // Optical properties
+        this.refractiveIndex = refractiveIndex;
+    }
+    
+    /**
+     * Get the center point of the polygon
+     * @returns {Object} {x, y} coordinates of the center
+     */
+    getCenter() {
+        const sumX = this.vertices.reduce((sum, vertex) => sum + vertex.x, 0);
+        const sumY = this.vertices.reduce((sum, vertex) => sum + vertex.y, 0);
+        
+        return {
+            x: sumX / this.vertices.length,
+            y: sumY / this.vertices.length
+        };
+    }
+    
+    /**
+     * Get the placement restored by undo/redo (the vertex positions)
+     * @returns {Object} {vertices} copy of the current vertices
+     */
+    getPlacement() {
+        return { vertices: this.vertices.map(vertex => ({ x: vertex.x, y: vertex.y })) };
+    }
+    
+    /**
+     * Move the glass block to a placement from getPlacement
+     * @param {Object} config - Configuration object
+     * @param {Object} config.placement - Placement {vertices}
+     */
+    setPlacement({ placement }) {
+        this.vertices = placement.vertices.map(vertex => ({ x: vertex.x, y: vertex.y }));
+    }
+    
+    /**
+     * Get the plain configuration that recreates this glass block (used by the scene file format)
+     * @returns {Object} {vertices, refractiveIndex, fill, fillOpacity, stroke, strokeWidth}
+     */
+    toConfig() {
+        return {
+            vertices: this.vertices.map(vertex => ({ x: vertex.x, y: vertex.y })),
+            refractiveIndex: this.refractiveIndex,
+            fill: this.fill,
+            fillOpacity: this.fillOpacity,
+            stroke: this.stroke,
+            strokeWidth: this.strokeWidth
+        };
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * @file MirrorModel.js - DOM-free mirror geometry for the reflection system
+ * Classes: MirrorModel
+ */
+
+// Incrementing id used to key virtual images of this entity across frames
+let nextMirrorId = 1;
+
+/**
+ * @class MirrorModel
+ * Geometry and optical properties of a mirror segment, with no rendering.
+ * Mirrors are line segments at any angle; orthogonal ones typically form the boundary box.
+ * The SVG Mirror class extends this model with its view.
+ */
+export class MirrorModel {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {number} config.x1 - Starting x coordinate
+     * @param {number} config.y1 - Starting y coordinate
+     * @param {number} config.x2 - Ending x coordinate
+     * @param {number} config.y2 - Ending y coordinate
+     * @param {string} [config.stroke='#2c3e50'] - Stroke color
+     * @param {number} [config.strokeWidth=3] - Stroke width
+     * @param {number} [config.reflectivity=1] - Fraction of light reflected (0-1), e.g. 0.5 for half-silvered
+     * @param {string} [config.reflectiveSide='both'] - 'both', or the reflective face 'left'/'right' as seen
+     *                                                  on screen when walking from (x1,y1) to (x2,y2)
+     */
+    constructor({ x1, y1, x2, y2, stroke = '#2c3e50', strokeWidth = 3, reflectivity = 1, reflectiveSide = 'both' }) {
+        // Identity
+        this.id = `mirror-${nextMirrorId++}`;
+        
+        // Position properties
+        this.x1 = x1;
+        this.y1 = y1;
+        this.x2 = x2;
+        this.y2 = y2;
+        
+        // Optical properties
+        this.reflectivity = Math.min(1, Math.max(0, reflectivity));
+        this.reflectiveSide = reflectiveSide;
+        
+        // Visual properties
+        this.stroke = stroke;
+        this.strokeWidth = strokeWidth;
+    }
+    
+    /**
+     * Get the unit normal pointing away from the reflective face
+     * @returns {Object} {x, y} unit vector (towards 'left' for a right-facing mirror and vice versa)
+     */
+    getBackNormal() {
+        const length = this.getLength();
+        
+        // With y pointing down, (dy, -dx) points to the screen-left of the travel direction
+        const leftX = (this.y2 - this.y1) / length;
+        const leftY = -(this.x2 - this.x1) / length;
+        
+        return this.reflectiveSide === 'left'
+            ? { x: -leftX, y: -leftY }
+            : { x: leftX, y: leftY };
+    }
+    
+    /**
+     * Determine on which side of the mirror line a point lies
+     * @param {Object} config - Configuration object
+     * @param {Object} config.point - Point to classify {x, y}
+     * @returns {string} 'left', 'right' (as seen on screen walking from (x1,y1) to (x2,y2)) or 'on'
+     */
+    getSide({ point }) {
+        const cross = (this.x2 - this.x1) * (point.y - this.y1) - (this.y2 - this.y1) * (point.x - this.x1);
+        
+        // With y pointing down, a negative cross product is on the screen-left
+        if (Math.abs(cross) < 1e-9) return 'on';
+        return cross < 0 ? 'left' : 'right';
+    }
+    
+    /**
+     * Check whether a point faces the reflective side of the mirror
+     * @param {Object} config - Configuration object
+     * @param {Object} config.point - Point to check {x, y}
+     * @returns {boolean} True for two-sided mirrors, points on the line, or points on the reflective side
+     */
+    isReflectiveSide({ point }) {
+        if (this.reflectiveSide === 'both') return true;
+        
+        const side = this.getSide({ point });
+        return side === 'on' || side === this.reflectiveSide;
+    }
+    
+    /**
+     * Check if this mirror is horizontal (y1 === y2)
+     * @returns {boolean} True if horizontal, false otherwise
+     */
+    isHorizontal() {
+        return this.y1 === this.y2;
+    }
+    
+    /**
+     * Check if this mirror is vertical (x1 === x2)
+     * @returns {boolean} True if vertical, false otherwise
+     */
+    isVertical() {
+        return this.x1 === this.x2;
+    }
+    
+    /**
+     * Get the length of the mirror
+     * @returns {number} Length of the mirror line
+     */
+    getLength() {
+        const dx = this.x2 - this.x1;
+        const dy = this.y2 - this.y1;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+    
+    /**
+     * Get the plain configuration that recreates this mirror (used by the scene file format)
+     * @returns {Object} {x1, y1, x2, y2, stroke, strokeWidth, reflectivity, reflectiveSide}
+     */
+    toConfig() {
+        return {
+            x1: this.x1,
+            y1: this.y1,
+            x2: this.x2,
+            y2: this.y2,
+            stroke: this.stroke,
+            strokeWidth: this.strokeWidth,
+            reflectivity: this.reflectivity,
+            reflectiveSide: this.reflectiveSide
+        };
+    }
+}
@@ -0,0 +1,77 @@
+/**
+ * @file PolygonObjectModel.js - DOM-free polygon object geometry
+ * Classes: PolygonObjectModel
+ */
+
+// Incrementing id used to key virtual images of this entity across frames
+let nextPolygonObjectId = 1;
+
+/**
+ * @class PolygonObjectModel
+ * Shape and appearance of a polygon object placed within the mirror box, with no rendering.
+ * These objects are subject to mirror reflections. The SVG PolygonObject class extends this
+ * model with its view and drag interaction.
+ */
+export class PolygonObjectModel {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {Array} config.vertices - Array of {x, y} points defining the polygon
+     * @param {string} [config.fill='#ff6b6b'] - Fill color of the polygon
+     * @param {string} [config.stroke='#333'] - Stroke color
+     * @param {number} [config.strokeWidth=2] - Stroke width
+     */
+    constructor({ vertices, fill = '#ff6b6b', stroke = '#333', strokeWidth = 2 }) {
+        // Identity
+        this.id = `object-${nextPolygonObjectId++}`;
+        
+        // Shape properties
+        this.vertices = vertices;
+        this.fill = fill;
+        this.stroke = stroke;
+        this.strokeWidth = strokeWidth;
+    }
+    
+    /**
+     * Get the center point of the polygon
+     * @returns {Object} {x, y} coordinates of the center
+     */
+    getCenter() {
+        const sumX = this.vertices.reduce((sum, vertex) => sum + vertex.x, 0);
+        const sumY = this.vertices.reduce((sum, vertex) => sum + vertex.y, 0);
+        
+        return {
+            x: sumX / this.vertices.length,
+            y: sumY / this.vertices.length
+        };
+    }
+    
+    /**
+     * Get the placement restored by undo/redo (the vertex positions)
+     * @returns {Object} {vertices} copy of the current vertices
+     */
+    getPlacement() {
+        return { vertices: this.vertices.map(vertex => ({ x: vertex.x, y: vertex.y })) };
+    }
+    
+    /**
+     * Move the object to a placement from getPlacement
+     * @param {Object} config - Configuration object
+     * @param {Object} config.placement - Placement {vertices}
+     */
+    setPlacement({ placement }) {
+        this.vertices = placement.vertices.map(vertex => ({ x: vertex.x, y: vertex.y }));
+    }
+    
+    /**
+     * Get the plain configuration that recreates this object (used by the scene file format)
+     * @returns {Object} {vertices, fill, stroke, strokeWidth}
+     */
+    toConfig() {
+        return {
+            vertices: this.vertices.map(vertex => ({ x: vertex.x, y: vertex.y })),
+            fill: this.fill,
+            stroke: this.stroke,
+            strokeWidth: this.strokeWidth
+        };
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * @file ViewerModel.js - DOM-free viewer position and view cone
+ * Classes: ViewerModel
+ */
+
+// Incrementing id used to key virtual images of this entity across frames
+let nextViewerId = 1;
+
+/**
+ * @class ViewerModel
+ * Position, facing direction and field of view of the observer, with no rendering.
+ * The SVG Viewer class extends this model with its view and drag/rotate interaction.
+ */
+export class ViewerModel {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {number} config.x - X coordinate of the viewer
+     * @param {number} config.y - Y coordinate of the viewer
+     * @param {number} [config.radius=15] - Radius of the viewer circle
+     * @param {string} [config.fill='#007acc'] - Fill color of the viewer
+     * @param {string} [config.stroke='#005a99'] - Stroke color
+     * @param {number} [config.strokeWidth=2] - Stroke width
+     * @param {number} [config.direction=-90] - Facing direction in degrees (0 = right, -90 = up on screen)
+     * @param {number} [config.fieldOfView=360] - Opening angle of the view cone in degrees (360 = sees everywhere)
+     */
+    constructor({ x, y, radius = 15, fill = '#007acc', stroke = '#005a99', strokeWidth = 2, direction = -90, fieldOfView = 360 }) {
+        // Identity
+        this.id = `viewer-${nextViewerId++}`;
+        
+        // Position properties
+        this.x = x;
+        this.y = y;
+        this.radius = radius;
+        
+        // Orientation properties
+        this.direction = direction;
+        this.fieldOfView = fieldOfView;
+        this.wedgeRadius = radius * 4;
+        
+        // Visual properties
+        this.fill = fill;
+        this.stroke = stroke;
+        this.strokeWidth = strokeWidth;
+    }
+    
+    /**
+     * Get the position of the viewer
+     * @returns {Object} {x, y} coordinates of the viewer
+     */
+    getPosition() {
+        return { x: this.x, y: this.y };
+    }
+    
+    /**
+     * Check whether the viewer has a limited view cone
+     * @returns {boolean} True if the field of view is narrower than a full turn
+     */
+    hasFieldOfView() {
+        return this.fieldOfView < 360;
+    }
+    
+    /**
+     * Get the unit vector of the facing direction
+     * @returns {Object} Direction vector {x, y}
+     */
+    getFacingVector() {
+        const radians = this.direction * Math.PI / 180;
+        return { x: Math.cos(radians), y: Math.sin(radians) };
+    }
+    
+    /**
+     * Check whether a point lies inside the view cone
+     * @param {Object} config - Configuration object
+     * @param {Object} config.point - Point to test {x, y}
+     * @returns {boolean} True if the point is within half the field of view of the facing direction
+     */
+    isInFieldOfView({ point }) {
+        if (!this.hasFieldOfView()) return true;
+        
+        const dx = point.x - this.x;
+        const dy = point.y - this.y;
+        if (dx === 0 && dy === 0) return true;
+        
+        const facing = this.getFacingVector();
+        const cosine = (dx * facing.x + dy * facing.y) / Math.hypot(dx, dy);
+        
+        return cosine >= Math.cos(this.fieldOfView / 2 * Math.PI / 180);
+    }
+    
+    /**
+     * Build the SVG path of a view cone with this viewer's field of view
+     * @param {Object} config - Configuration object
+     * @param {number} config.x - X coordinate of the cone apex
+     * @param {number} config.y - Y coordinate of the cone apex
+     * @param {number} config.direction - Facing direction in degrees
+     * @returns {string} Path data for the wedge
+     */
+    getWedgePath({ x, y, direction }) {
+        const toPoint = degrees => ({
+            x: x + this.wedgeRadius * Math.cos(degrees * Math.PI / 180),
+            y: y + this.wedgeRadius * Math.sin(degrees * Math.PI / 180)
+        });
+        
+        const start = toPoint(direction - this.fieldOfView / 2);
+        const end = toPoint(direction + this.fieldOfView / 2);
+        const largeArc = this.fieldOfView > 180 ? 1 : 0;
+        
+        // Sweep flag 1 follows increasing angles, which run clockwise on screen (y down)
+        return `M ${x} ${y} L ${start.x} ${start.y} A ${this.wedgeRadius} ${this.wedgeRadius} 0 ${largeArc} 1 ${end.x} ${end.y} Z`;
+    }
+    
+    /**
+     * Get the placement restored by undo/redo (position and facing direction)
+     * @returns {Object} {x, y, direction}
+     */
+    getPlacement() {
+        return { x: this.x, y: this.y, direction: this.direction };
+    }
+    
+    /**
+     * Move and turn the viewer to a placement from getPlacement
+     * @param {Object} config - Configuration object
+     * @param {Object} config.placement - Placement {x, y, direction}
+     */
+    setPlacement({ placement }) {
+        this.x = placement.x;
+        this.y = placement.y;
+        this.direction = placement.direction;
+    }
+    
+    /**
+     * Get the plain configuration that recreates this viewer (used by the scene file format)
+     * @returns {Object} {x, y, radius, direction, fieldOfView, fill, stroke, strokeWidth}
+     */
+    toConfig() {
+        return {
+            x: this.x,
+            y: this.y,
+            radius: this.radius,
+            direction: this.direction,
+            fieldOfView: this.fieldOfView,
+            fill: this.fill,
+            stroke: this.stroke,
+            strokeWidth: this.strokeWidth
+        };
+    }
+}
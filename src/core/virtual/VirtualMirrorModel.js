@@ -0,0 +1,73 @@
+/**
+ * @file VirtualMirrorModel.js - DOM-free virtual reflections of mirrors
+ * Classes: VirtualMirrorModel
+ */
+
+/**
+ * @class VirtualMirrorModel
+ * Geometry of a virtual reflection of a mirror, with no rendering.
+ * Virtual mirrors form the walls of the virtual rooms tiled around the real box.
+ * The SVG VirtualMirror class extends this model with its view.
+ */
+export class VirtualMirrorModel {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {MirrorModel} config.originalMirror - Reference to the real mirror
+     * @param {Array} config.reflectionChain - Array of mirrors used for this reflection (canonical chain)
+     * @param {number} config.depth - Reflection depth of the room this wall belongs to
+     * @param {AffineTransform} config.transform - Transform mapping the original mirror to this image
+     * @param {Object} config.start - Calculated virtual start point {x, y}
+     * @param {Object} config.end - Calculated virtual end point {x, y}
+     */
+    constructor({ originalMirror, reflectionChain, depth, transform, start, end }) {
+        // Object relationships
+        this.originalMirror = originalMirror;
+        this.reflectionChain = reflectionChain;
+        this.depth = depth;
+        this.transform = transform;
+        
+        // Position properties
+        this.x1 = start.x;
+        this.y1 = start.y;
+        this.x2 = end.x;
+        this.y2 = end.y;
+        
+        // Visual properties (differentiate from real mirrors)
+        this.stroke = originalMirror.stroke;
+        this.strokeWidth = Math.max(1, originalMirror.strokeWidth - 1);
+        this.opacity = Math.max(0.3, 1 - (depth * 0.2)); // Fade with depth
+    }
+    
+    /**
+     * Hook called after every state change; the view layer overrides it to redraw.
+     * The model has nothing to draw.
+     */
+    updateVisualProperties() {}
+    
+    /**
+     * Get the key identifying this wall across frames (original mirror plus reflection chain)
+     * @returns {string} Reconciliation key
+     */
+    getKey() {
+        const chainKey = this.reflectionChain.map(mirror => mirror.id).join('>');
+        return `${this.originalMirror.id}:${chainKey}`;
+    }
+    
+    /**
+     * Take over the geometry of a freshly generated wall with the same key
+     * (the view updates its existing SVG node in place)
+     * @param {Object} config - Configuration object
+     * @param {VirtualMirrorModel} config.source - Newly generated virtual mirror
+     */
+    updateFrom({ source }) {
+        this.reflectionChain = source.reflectionChain;
+        this.depth = source.depth;
+        this.transform = source.transform;
+        this.x1 = source.x1;
+        this.y1 = source.y1;
+        this.x2 = source.x2;
+        this.y2 = source.y2;
+        this.opacity = source.opacity;
+        this.updateVisualProperties();
+    }
+}
@@ -0,0 +1,187 @@
+/**
+ * @file VirtualObjectModel.js - DOM-free virtual reflections of real objects
+ * Classes: VirtualObjectModel
+ * Dependencies: CssColor
+ */
+
+import { CssColor } from '../CssColor.js';
+
+/**
+ * @class VirtualObjectModel
+ * State of a virtual reflection of a real object created by mirror reflections: geometry,
+ * reflection chain, intensity and visibility flags, with no rendering.
+ * ReflectionEngine creates these; the SVG VirtualObject class extends this model with its view.
+ */
+export class VirtualObjectModel {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {PolygonObjectModel} config.originalObject - Reference to the real object
+     * @param {Array} config.reflectionChain - Array of mirrors used for this reflection (canonical chain)
+     * @param {Array} [config.equivalentChains] - Every chain producing the same virtual room
+     * @param {number} config.depth - Reflection depth (0 = real, 1 = first reflection, etc.)
+     * @param {AffineTransform} [config.transform] - Composed transform mapping the original to this image
+     * @param {number} [config.reflectance=1] - Product of mirror reflectivities along the reflection chain
+     * @param {Array} config.vertices - Calculated virtual position vertices
+     */
+    constructor({ originalObject, reflectionChain, equivalentChains = null, depth, transform = null, reflectance = 1, vertices }) {
+        // Object relationships
+        this.originalObject = originalObject;
+        this.reflectionChain = reflectionChain;
+        this.equivalentChains = equivalentChains || [reflectionChain];
+        this.depth = depth;
+        this.transform = transform;
+        
+        // Position properties
+        this.vertices = vertices;
+        
+        // Visual properties (differentiate from real objects)
+        this.fill = this.getVirtualFill();
+        this.stroke = '#666';
+        this.strokeWidth = 1;
+        this.reflectance = reflectance;
+        this.intensity = reflectance; // Reflectance, optionally attenuated by distance
+        this.isInView = true; // Inside the viewer's field of view
+        this.opacity = this.getIntensityOpacity();
+        
+        // Rendering properties
+        this.isVisible = true;
+        this.isHidden = false; // Sightline misses the mirror segments (segment-aware mode)
+        this.isOccluded = false; // Sightline is blocked by a real object
+    }
+    
+    /**
+     * Get fill color for virtual object based on depth
+     * @returns {string} Fill color for the virtual object
+     */
+    getVirtualFill() {
+        // Create lighter/desaturated versions of original color
+        const originalFill = this.originalObject.fill;
+        
+        // Any color SceneValidator accepts (hex, rgb(), hsl() or named) can be lightened
+        const rgb = CssColor.parse({ value: originalFill });
+        if (!rgb) return originalFill;
+        
+        return CssColor.toHex({ rgb: rgb.map(channel => Math.min(255, channel + 40)) });
+    }
+    
+    /**
+     * Hook called after every state change; the view layer overrides it to redraw.
+     * The model has nothing to draw.
+     */
+    updateVisualProperties() {}
+    
+    /**
+     * Compute the opacity from reflection depth, light intensity and the viewer's field of view
+     * @returns {number} Opacity: depth fade (floored at 0.3) dimmed by the image intensity,
+     *                   and dimmed further when the image lies outside the view cone
+     */
+    getIntensityOpacity() {
+        return Math.max(0.3, 1 - (this.depth * 0.2)) * this.intensity * (this.isInView ? 1 : 0.3);
+    }
+    
+    /**
+     * Set the light intensity reaching the viewer from this image
+     * @param {Object} config - Configuration object
+     * @param {number} config.intensity - Intensity between 0 and 1
+     */
+    setIntensity({ intensity }) {
+        this.intensity = intensity;
+        this.opacity = this.getIntensityOpacity();
+        this.updateVisualProperties();
+    }
+    
+    /**
+     * Mark whether the image lies inside the viewer's field of view
+     * @param {Object} config - Configuration object
+     * @param {boolean} config.inView - Whether the image is inside the view cone
+     */
+    setInView({ inView }) {
+        this.isInView = inView;
+        this.opacity = this.getIntensityOpacity();
+        this.updateVisualProperties();
+    }
+    
+    /**
+     * Set visibility of the virtual object
+     * @param {Object} config - Configuration object
+     * @param {boolean} config.visible - Whether the virtual object should be visible
+     */
+    setVisible({ visible }) {
+        this.isVisible = visible;
+        this.updateVisualProperties();
+    }
+    
+    /**
+     * Get the key identifying this image across frames (original object plus reflection chain)
+     * @returns {string} Reconciliation key
+     */
+    getKey() {
+        const chainKey = this.reflectionChain.map(mirror => mirror.id).join('>');
+        return `${this.originalObject.id}:${chainKey}`;
+    }
+    
+    /**
+     * Take over the geometry and state of a freshly generated image with the same key
+     * (the view updates its existing SVG node in place)
+     * @param {Object} config - Configuration object
+     * @param {VirtualObjectModel} config.source - Newly generated virtual object
+     */
+    updateFrom({ source }) {
+        this.reflectionChain = source.reflectionChain;
+        this.equivalentChains = source.equivalentChains;
+        this.depth = source.depth;
+        this.transform = source.transform;
+        this.vertices = source.vertices;
+        this.reflectance = source.reflectance;
+        this.intensity = source.intensity;
+        this.isInView = source.isInView;
+        this.opacity = source.opacity;
+        this.isHidden = source.isHidden;
+        this.isOccluded = source.isOccluded;
+        this.updateVisualProperties();
+    }
+    
+    /**
+     * Mark the virtual object as hidden (not reachable through the mirror segments)
+     * @param {Object} config - Configuration object
+     * @param {boolean} config.hidden - Whether the image is hidden from the viewer
+     */
+    setHidden({ hidden }) {
+        this.isHidden = hidden;
+        this.updateVisualProperties();
+    }
+    
+    /**
+     * Mark the virtual object as occluded (a real object blocks its sightline)
+     * @param {Object} config - Configuration object
+     * @param {boolean} config.occluded - Whether the image is blocked from the viewer
+     */
+    setOccluded({ occluded }) {
+        this.isOccluded = occluded;
+        this.updateVisualProperties();
+    }
+    
+    /**
+     * Update virtual object position when original object moves
+     * @param {Object} config - Configuration object
+     * @param {Array} config.newVertices - New calculated vertices
+     */
+    updatePosition({ newVertices }) {
+        this.vertices = newVertices;
+        this.updateVisualProperties();
+    }
+    
+    /**
+     * Get the center point of the virtual polygon
+     * @returns {Object} {x, y} coordinates of the center
+     */
+    getCenter() {
+        const sumX = this.vertices.reduce((sum, vertex) => sum + vertex.x, 0);
+        const sumY = this.vertices.reduce((sum, vertex) => sum + vertex.y, 0);
+        
+        return {
+            x: sumX / this.vertices.length,
+            y: sumY / this.vertices.length
+        };
+    }
+}
@@ -0,0 +1,206 @@
+/**
+ * @file VirtualViewerModel.js - DOM-free virtual reflections of the viewer
+ * Classes: VirtualViewerModel
+ * Dependencies: CssColor
+ */
+
+import { CssColor } from '../CssColor.js';
+
+/**
+ * @class VirtualViewerModel
+ * State of a virtual reflection of the viewer created by mirror reflections, with no rendering.
+ * The facing direction is mirrored along with the position, so images behind an odd number
+ * of reflections face the opposite way. The SVG VirtualViewer class extends this model.
+ */
+export class VirtualViewerModel {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {ViewerModel} config.originalViewer - Reference to the real viewer
+     * @param {Array} config.reflectionChain - Array of mirrors used for this reflection (canonical chain)
+     * @param {Array} [config.equivalentChains] - Every chain producing the same virtual room
+     * @param {number} config.depth - Reflection depth (0 = real, 1 = first reflection, etc.)
+     * @param {AffineTransform} [config.transform] - Composed transform mapping the original to this image
+     * @param {number} [config.reflectance=1] - Product of mirror reflectivities along the reflection chain
+     * @param {Object} config.position - Calculated virtual position {x, y}
+     * @param {number} [config.radius] - Radius of the virtual viewer
+     */
+    constructor({ originalViewer, reflectionChain, equivalentChains = null, depth, transform = null, reflectance = 1, position, radius }) {
+        // Object relationships
+        this.originalViewer = originalViewer;
+        this.reflectionChain = reflectionChain;
+        this.equivalentChains = equivalentChains || [reflectionChain];
+        this.depth = depth;
+        this.transform = transform;
+        
+        // Position properties
+        this.x = position.x;
+        this.y = position.y;
+        this.radius = radius || originalViewer.radius;
+        
+        // Orientation properties (derived from the original viewer through the transform)
+        this.direction = originalViewer.direction;
+        this.isMirrored = false;
+        this.updateOrientation();
+        
+        // Visual properties (differentiate from real viewer)
+        this.fill = this.getVirtualFill();
+        this.stroke = '#666';
+        this.strokeWidth = 1;
+        this.reflectance = reflectance;
+        this.intensity = reflectance; // Reflectance, optionally attenuated by distance
+        this.isInView = true; // Inside the real viewer's field of view
+        this.opacity = this.getIntensityOpacity();
+        
+        // Rendering properties
+        this.isVisible = true;
+        this.isHidden = false; // Sightline misses the mirror segments (segment-aware mode)
+        this.isOccluded = false; // Sightline is blocked by a real object
+    }
+    
+    /**
+     * Recompute the facing direction by mapping the original viewer's facing vector through the transform
+     */
+    updateOrientation() {
+        if (!this.transform) {
+            this.direction = this.originalViewer.direction;
+            this.isMirrored = false;
+            return;
+        }
+        
+        const facing = this.transform.applyToVector({ vector: this.originalViewer.getFacingVector() });
+        this.direction = Math.atan2(facing.y, facing.x) * 180 / Math.PI;
+        this.isMirrored = this.transform.isOrientationReversing();
+    }
+    
+    /**
+     * Get fill color for virtual viewer based on depth
+     * @returns {string} Fill color for the virtual viewer
+     */
+    getVirtualFill() {
+        // Create lighter/desaturated versions of original viewer color
+        const originalFill = this.originalViewer.fill;
+        
+        // Any color SceneValidator accepts (hex, rgb(), hsl() or named) can be lightened
+        const rgb = CssColor.parse({ value: originalFill });
+        if (!rgb) return originalFill;
+        
+        return CssColor.toHex({ rgb: rgb.map(channel => Math.min(255, channel + 40)) });
+    }
+    
+    /**
+     * Hook called after every state change; the view layer overrides it to redraw.
+     * The model has nothing to draw.
+     */
+    updateVisualProperties() {}
+    
+    /**
+     * Update the position of the virtual viewer
+     * @param {Object} config - Configuration object
+     * @param {Object} config.newPosition - New position {x, y}
+     */
+    updatePosition({ newPosition }) {
+        this.x = newPosition.x;
+        this.y = newPosition.y;
+        this.updateVisualProperties();
+    }
+    
+    /**
+     * Get the position of the virtual viewer
+     * @returns {Object} {x, y} coordinates of the virtual viewer
+     */
+    getPosition() {
+        return { x: this.x, y: this.y };
+    }
+    
+    /**
+     * Compute the opacity from reflection depth, light intensity and the viewer's field of view
+     * @returns {number} Opacity: depth fade (floored at 0.3) dimmed by the image intensity,
+     *                   and dimmed further when the image lies outside the view cone
+     */
+    getIntensityOpacity() {
+        return Math.max(0.3, 1 - (this.depth * 0.2)) * this.intensity * (this.isInView ? 1 : 0.3);
+    }
+    
+    /**
+     * Set the light intensity reaching the viewer from this image
+     * @param {Object} config - Configuration object
+     * @param {number} config.intensity - Intensity between 0 and 1
+     */
+    setIntensity({ intensity }) {
+        this.intensity = intensity;
+        this.opacity = this.getIntensityOpacity();
+        this.updateVisualProperties();
+    }
+    
+    /**
+     * Mark whether the image lies inside the real viewer's field of view
+     * @param {Object} config - Configuration object
+     * @param {boolean} config.inView - Whether the image is inside the view cone
+     */
+    setInView({ inView }) {
+        this.isInView = inView;
+        this.opacity = this.getIntensityOpacity();
+        this.updateVisualProperties();
+    }
+    
+    /**
+     * Set visibility of the virtual viewer
+     * @param {Object} config - Configuration object
+     * @param {boolean} config.visible - Whether the virtual viewer should be visible
+     */
+    setVisible({ visible }) {
+        this.isVisible = visible;
+        this.updateVisualProperties();
+    }
+    
+    /**
+     * Get the key identifying this image across frames (original viewer plus reflection chain)
+     * @returns {string} Reconciliation key
+     */
+    getKey() {
+        const chainKey = this.reflectionChain.map(mirror => mirror.id).join('>');
+        return `${this.originalViewer.id}:${chainKey}`;
+    }
+    
+    /**
+     * Take over the position and state of a freshly generated image with the same key
+     * (the view updates its existing SVG node in place)
+     * @param {Object} config - Configuration object
+     * @param {VirtualViewerModel} config.source - Newly generated virtual viewer
+     */
+    updateFrom({ source }) {
+        this.reflectionChain = source.reflectionChain;
+        this.equivalentChains = source.equivalentChains;
+        this.depth = source.depth;
+        this.transform = source.transform;
+        this.direction = source.direction;
+        this.isMirrored = source.isMirrored;
+        this.reflectance = source.reflectance;
+        this.intensity = source.intensity;
+        this.isInView = source.isInView;
+        this.opacity = source.opacity;
+        this.isHidden = source.isHidden;
+        this.isOccluded = source.isOccluded;
+        this.updatePosition({ newPosition: source.getPosition() });
+    }
+    
+    /**
+     * Mark the virtual viewer as hidden (not reachable through the mirror segments)
+     * @param {Object} config - Configuration object
+     * @param {boolean} config.hidden - Whether the image is hidden from the viewer
+     */
+    setHidden({ hidden }) {
+        this.isHidden = hidden;
+        this.updateVisualProperties();
+    }
+    
+    /**
+     * Mark the virtual viewer as occluded (a real object blocks its sightline)
+     * @param {Object} config - Configuration object
+     * @param {boolean} config.occluded - Whether the image is blocked from the viewer
+     */
+    setOccluded({ occluded }) {
+        this.isOccluded = occluded;
+        this.updateVisualProperties();
+    }
+}
@@ -3,8 +3,16 @@
  * Classes: ReflectionEngine
  */
 
-import { VirtualObject } from '../entities/virtual/VirtualObject.js';
-import { VirtualViewer } from '../entities/virtual/VirtualViewer.js';
+import { VirtualObjectModel } from '../core/virtual/VirtualObjectModel.js';
+import { VirtualViewerModel } from '../core/virtual/VirtualViewerModel.js';
+import { VirtualMirrorModel } from '../core/virtual/VirtualMirrorModel.js';
+import { AffineTransform } from '../geometry/AffineTransform.js';
+
+// Float drift allowed when deciding whether a point lies on a wedge mirror's line or 360/θ is whole
+const WEDGE_EPSILON = 1e-9;
+
+// Chains recorded per room; their number grows exponentially with depth, so rooms beyond it are flagged
+const MAX_RECORDED_CHAINS = 64;
 
 /**
  * @class ReflectionEngine
@@ -13,7 +21,9 @@ import { VirtualViewer } from '../entities/virtual/VirtualViewer.js';
  */
 export class ReflectionEngine {
     /**
-     * Reflect a point across a mirror line
+     * Reflect a point across a mirror line.
+     * Orthogonal mirrors use exact axis flips; any other angle is handled by
+     * projecting the point onto the infinite line through the mirror endpoints.
      * @param {Object} config - Configuration object
      * @param {Object} config.point - Point to reflect {x, y}
      * @param {Mirror} config.mirror - Mirror to reflect across
@@ -34,9 +44,24 @@ export class ReflectionEngine {
             return { x: point.x, y: reflectedY };
         }
         
-        // For now, only handle orthogonal mirrors
-        console.warn('Non-orthogonal mirrors not supported yet');
-        return point;
+        // General case: reflect across the infinite line through (x1,y1)-(x2,y2)
+        const dx = mirror.x2 - mirror.x1;
+        const dy = mirror.y2 - mirror.y1;
+        const lengthSquared = dx * dx + dy * dy;
+        
+        // Degenerate mirror (both endpoints coincide) has no defined line
+        if (lengthSquared === 0) {
+            console.warn('Cannot reflect across a zero-length mirror');
+            return point;
+        }
+        
+        // Project the point onto the mirror line to find the foot of the perpendicular
+        const t = ((point.x - mirror.x1) * dx + (point.y - mirror.y1) * dy) / lengthSquared;
+        const footX = mirror.x1 + t * dx;
+        const footY = mirror.y1 + t * dy;
+        
+        // The reflection sits as far beyond the foot as the point sits before it
+        return { x: 2 * footX - point.x, y: 2 * footY - point.y };
     }
     
     /**
@@ -53,83 +78,852 @@ export class ReflectionEngine {
     }
     
     /**
-     * Generate all virtual objects for a single real object
+     * Intersect the segment start→end with a mirror segment
+     * @param {Object} config - Configuration object
+     * @param {Object} config.start - Segment start point {x, y}
+     * @param {Object} config.end - Segment end point {x, y}
+     * @param {Mirror} config.mirror - Mirror segment to test against
+     * @param {boolean} [config.withinSegment=true] - Require the hit to lie on the mirror segment (false = infinite line)
+     * @returns {Object|null} Intersection point {x, y}, or null if the segments do not cross
+     */
+    static intersectSegmentWithMirror({ start, end, mirror, withinSegment = true }) {
+        const rx = end.x - start.x;
+        const ry = end.y - start.y;
+        const sx = mirror.x2 - mirror.x1;
+        const sy = mirror.y2 - mirror.y1;
+        
+        // Parallel (or degenerate) segments never produce a single crossing point
+        const denominator = rx * sy - ry * sx;
+        if (Math.abs(denominator) < 1e-12) {
+            return null;
+        }
+        
+        // Solve start + t*r = mirrorStart + u*s for both parameters
+        const qx = mirror.x1 - start.x;
+        const qy = mirror.y1 - start.y;
+        const t = (qx * sy - qy * sx) / denominator;
+        const u = (qx * ry - qy * rx) / denominator;
+        
+        // t > epsilon so a bounce point never re-hits the mirror it just left
+        const epsilon = 1e-9;
+        if (t <= epsilon || t > 1 + epsilon) {
+            return null;
+        }
+        
+        if (withinSegment && (u < -epsilon || u > 1 + epsilon)) {
+            return null;
+        }
+        
+        return { x: start.x + t * rx, y: start.y + t * ry };
+    }
+    
+    /**
+     * Unfold the sightline from the viewer to a virtual image back through its reflection chain.
+     * The line towards the image must cross the last mirror of the chain on its actual segment;
+     * from that bounce point the line continues towards the image reflected back across that
+     * mirror, and so on until the original object is reached.
+     * @param {Object} config - Configuration object
+     * @param {Object} config.viewerPosition - Real viewer position {x, y}
+     * @param {Object} config.imagePoint - Point on the virtual image {x, y}
+     * @param {Array} config.reflectionChain - Mirrors in the order they were applied to the original
+     * @param {boolean} [config.withinSegment=true] - Require each bounce to land on the mirror segment
+     * @returns {Array|null} Bounce points [{point, mirror}] ordered from the viewer outwards,
+     *                       or null if the sightline misses one of the mirror segments
+     * @example
+     * traceSightline({ viewerPosition, imagePoint: virtualObject.getCenter(), reflectionChain }); // [{ point, mirror }, ...]
+     */
+    static traceSightline({ viewerPosition, imagePoint, reflectionChain, withinSegment = true }) {
+        const bounces = [];
+        let from = viewerPosition;
+        let target = imagePoint;
+        
+        // Light reaches the viewer from the last mirror applied, so walk the chain backwards
+        for (let i = reflectionChain.length - 1; i >= 0; i--) {
+            const mirror = reflectionChain[i];
+            
+            // The light must arrive on the reflective face of a one-sided mirror
+            if (!mirror.isReflectiveSide({ point: from })) {
+                return null;
+            }
+            
+            const hit = this.intersectSegmentWithMirror({ start: from, end: target, mirror, withinSegment });
+            
+            if (!hit) {
+                return null;
+            }
+            
+            bounces.push({ point: hit, mirror });
+            from = hit;
+            target = this.reflectPoint({ point: target, mirror });
+        }
+        
+        return bounces;
+    }
+    
+    /**
+     * Find the first chain of a virtual image whose sightline crosses every mirror segment
+     * @param {Object} config - Configuration object
+     * @param {Object} config.viewerPosition - Real viewer position {x, y}
+     * @param {Object} config.imagePoint - Point on the virtual image {x, y}
+     * @param {Array} config.equivalentChains - All reflection chains leading to the image
+     * @returns {Array|null} The visible reflection chain, or null if none can be seen
+     */
+    static findVisibleChain({ viewerPosition, imagePoint, equivalentChains }) {
+        const visibleChain = equivalentChains.find(reflectionChain =>
+            this.traceSightline({ viewerPosition, imagePoint, reflectionChain }) !== null
+        );
+        
+        return visibleChain || null;
+    }
+    
+    /**
+     * Trace the two light paths for a virtual object: the straight line from the image to the
+     * viewer in virtual space, and the real path from the original object bouncing off each
+     * mirror of the reflection chain (angle-preserving) before reaching the viewer.
+     * If no chain reaches the viewer through the mirror segments, the bounces are placed on the
+     * infinite mirror lines instead and the path is flagged as not physically valid.
+     * @param {Object} config - Configuration object
+     * @param {VirtualObject} config.virtualObject - Virtual image the light appears to come from
+     * @param {Viewer} config.viewer - Real viewer receiving the light
+     * @returns {Object|null} {virtualPath, realPath, bounces, isValid}, or null if no path exists
+     * @example
+     * traceLightPath({ virtualObject, viewer }); // { realPath: [object, bounce1, ..., viewer], ... }
+     */
+    static traceLightPath({ virtualObject, viewer }) {
+        if (!viewer) return null;
+        
+        const viewerPosition = viewer.getPosition();
+        const imagePoint = virtualObject.getCenter();
+        const sightline = { viewerPosition, imagePoint };
+        
+        const visibleChain = this.findVisibleChain({
+            ...sightline,
+            equivalentChains: virtualObject.equivalentChains
+        });
+        const reflectionChain = visibleChain || virtualObject.reflectionChain;
+        const bounces = this.traceSightline({
+            ...sightline,
+            reflectionChain,
+            withinSegment: visibleChain !== null
+        });
+        
+        if (!bounces) return null;
+        
+        // Bounces are ordered from the viewer outwards; light travels the other way
+        const bouncePoints = bounces.map(bounce => bounce.point).reverse();
+        
+        return {
+            virtualPath: [imagePoint, viewerPosition],
+            realPath: [virtualObject.originalObject.getCenter(), ...bouncePoints, viewerPosition],
+            bounces: [...bounces].reverse(),
+            isValid: visibleChain !== null
+        };
+    }
+    
+    /**
+     * Mark virtual objects and viewers whose sightline misses the finite mirror segments.
+     * An image stays visible if any of its equivalent chains can be seen.
+     * @param {Object} config - Configuration object
+     * @param {Array} config.virtualObjects - Virtual objects to check
+     * @param {Array} config.virtualViewers - Virtual viewers to check
+     * @param {Viewer} config.viewer - Real viewer the sightlines start from
+     */
+    static applySegmentVisibility({ virtualObjects, virtualViewers, viewer }) {
+        if (!viewer) return;
+        
+        const viewerPosition = viewer.getPosition();
+        
+        virtualObjects.forEach(virtualObject => {
+            const visibleChain = this.findVisibleChain({
+                viewerPosition,
+                imagePoint: virtualObject.getCenter(),
+                equivalentChains: virtualObject.equivalentChains
+            });
+            virtualObject.setHidden({ hidden: visibleChain === null });
+        });
+        
+        virtualViewers.forEach(virtualViewer => {
+            const visibleChain = this.findVisibleChain({
+                viewerPosition,
+                imagePoint: virtualViewer.getPosition(),
+                equivalentChains: virtualViewer.equivalentChains
+            });
+            virtualViewer.setHidden({ hidden: visibleChain === null });
+        });
+    }
+    
+    /**
+     * Mark images whose unfolded sightline is blocked by a real object before reaching them.
+     * The sightline is walked as the real bounced path (viewer, bounce points, original); a real
+     * object crossing any leg is the same as an object or one of its images standing in front of
+     * the image on the straight line in virtual space. An object blocks the sight of its own
+     * image too, e.g. when it stands between the viewer and the mirror; only the last leg, which
+     * ends inside the object itself, ignores it.
+     * @param {Object} config - Configuration object
+     * @param {Array} config.virtualObjects - Virtual objects to check
+     * @param {Array} config.virtualViewers - Virtual viewers to check
+     * @param {Viewer} config.viewer - Real viewer the sightlines start from
+     * @param {Array} config.objects - Real objects that can block a sightline
+     */
+    static applyOcclusion({ virtualObjects, virtualViewers, viewer, objects }) {
+        if (!viewer) return;
+        
+        const viewerPosition = viewer.getPosition();
+        
+        const isOccluded = ({ imagePoint, realPoint, equivalentChains, reflectionChain, source = null }) => {
+            // Prefer a chain that is actually visible through the segments, as traceLightPath does
+            const visibleChain = this.findVisibleChain({ viewerPosition, imagePoint, equivalentChains });
+            const bounces = this.traceSightline({
+                viewerPosition,
+                imagePoint,
+                reflectionChain: visibleChain || reflectionChain,
+                withinSegment: visibleChain !== null
+            });
+            
+            if (!bounces) return false;
+            
+            const path = [viewerPosition, ...bounces.map(bounce => bounce.point), realPoint];
+            const lastLeg = path.length - 2;
+            const otherObjects = objects.filter(object => object !== source);
+            
+            return path.slice(1).some((end, index) => this.isSegmentBlocked({
+                start: path[index],
+                end,
+                objects: index === lastLeg ? otherObjects : objects
+            }));
+        };
+        
+        virtualObjects.forEach(virtualObject => {
+            virtualObject.setOccluded({
+                occluded: isOccluded({
+                    imagePoint: virtualObject.getCenter(),
+                    realPoint: virtualObject.originalObject.getCenter(),
+                    equivalentChains: virtualObject.equivalentChains,
+                    reflectionChain: virtualObject.reflectionChain,
+                    source: virtualObject.originalObject
+                })
+            });
+        });
+        
+        virtualViewers.forEach(virtualViewer => {
+            // The light from a virtual viewer left the real viewer itself
+            virtualViewer.setOccluded({
+                occluded: isOccluded({
+                    imagePoint: virtualViewer.getPosition(),
+                    realPoint: viewerPosition,
+                    equivalentChains: virtualViewer.equivalentChains,
+                    reflectionChain: virtualViewer.reflectionChain
+                })
+            });
+        });
+    }
+    
+    /**
+     * Check whether a segment crosses the edge of any polygon
+     * @param {Object} config - Configuration object
+     * @param {Object} config.start - Segment start point {x, y}
+     * @param {Object} config.end - Segment end point {x, y}
+     * @param {Array} config.objects - Polygon objects that block the segment
+     * @returns {boolean} True if any polygon edge crosses the segment
+     */
+    static isSegmentBlocked({ start, end, objects }) {
+        return objects.some(object => object.vertices.some((vertex, index) => {
+            const next = object.vertices[(index + 1) % object.vertices.length];
+            const edge = { x1: vertex.x, y1: vertex.y, x2: next.x, y2: next.y };
+            return this.intersectSegmentWithMirror({ start, end, mirror: edge }) !== null;
+        }));
+    }
+    
+    /**
+     * Enumerate the unique virtual rooms reachable within the given depth.
+     * Rooms are explored breadth-first so each one is first reached by its shortest chain,
+     * which becomes the canonical reflectionChain. Every other chain found to produce the
+     * same transform is recorded in equivalentChains, and chains recorded on a room after it was
+     * expanded are extended to its descendants at the next depth. Chains are followed up to one
+     * past the deepest room, and at most MAX_RECORDED_CHAINS are kept per room; a room missing
+     * chains because of that cap (directly or through an ancestor) has hasTruncatedChains set.
+     * Each room caches its composed transform so images can be updated without regenerating.
+     * 
+     * When a viewport and footprint are given, recursion continues past any fixed depth for as
+     * long as the room's transformed footprint or any of its walls (the reflected mirrors) still
+     * overlaps the viewport; rooms entirely off screen are discarded along with their subtree.
+     * maxRooms is a safety cap in both modes.
+     * 
+     * With a wedge (see getWedge), light only reflects off the faces turned into the wedge, so a
+     * room is extended across a mirror only while its image of the wedge still reaches in front
+     * of that mirror, and no chain grows past the wedge's maxChainLength. Every chain then ends
+     * once it wraps around behind both mirrors, which keeps a kaleidoscope finite whether or not
+     * its angle divides 360°.
      * @param {Object} config - Configuration object
-     * @param {PolygonObject} config.object - Real object to create reflections for
      * @param {Array} config.mirrors - Array of mirrors in the scene
      * @param {number} [config.maxDepth=2] - Maximum reflection depth
-     * @returns {Array} Array of VirtualObject instances
+     * @param {Object} [config.viewport=null] - Visible area {minX, minY, maxX, maxY}
+     * @param {Object} [config.footprint=null] - Extent of the real room contents {minX, minY, maxX, maxY}
+     * @param {number} [config.maxRooms=Infinity] - Stop once this many rooms were generated
+     * @param {number} [config.minIntensity=0] - Discard rooms (and their subtree) whose reflectance falls below this
+     * @param {Object} [config.wedge=null] - Kaleidoscope wedge from getWedge whose faces alone reflect
+     * @returns {Array} Rooms as {reflectionChain, equivalentChains, hasTruncatedChains, depth, transform, signature, reflectance}
+     * @example
+     * generateVirtualRooms({ mirrors, maxDepth: Infinity, viewport, footprint, maxRooms: 500 }); // Fill the screen
+     * generateVirtualRooms({ mirrors, maxDepth: Infinity, wedge: getWedge({ mirrors }) }); // Kaleidoscope
      */
-    static generateVirtualObjects({ object, mirrors, maxDepth = 2 }) {
-        const virtualObjects = [];
+    static generateVirtualRooms({ mirrors, maxDepth = 2, viewport = null, footprint = null, maxRooms = Infinity, minIntensity = 0, wedge = null }) {
+        const rooms = [];
+        const boundedByViewport = viewport !== null && footprint !== null;
         
-        // Generate reflections recursively
-        this.generateReflectionsRecursive({
-            vertices: object.vertices,
-            originalObject: object,
-            mirrors,
-            maxDepth,
-            currentDepth: 0,
+        // The real room is the identity transform; chains returning to it produce no image
+        const realRoom = {
             reflectionChain: [],
-            virtualObjects
-        });
+            equivalentChains: [[]],
+            hasTruncatedChains: false,
+            depth: 0,
+            transform: AffineTransform.identity(),
+            reflectance: 1
+        };
+        const roomsBySignature = new Map([[realRoom.transform.getSignature(), realRoom]]);
+        const expandedRooms = new Set([realRoom]);
+        
+        // Each frontier room maps to the chains recorded on it at the previous depth
+        let frontier = new Map([[realRoom, realRoom.equivalentChains]]);
         
-        return virtualObjects;
+        const depthLimit = wedge ? Math.min(maxDepth, wedge.maxChainLength) : maxDepth;
+        
+        for (let depth = 1; depth <= depthLimit && frontier.size > 0; depth++) {
+            const nextFrontier = new Map();
+            let foundRoom = false;
+            
+            for (const [room, roomChains] of frontier) {
+                for (const mirror of mirrors) {
+                    if (rooms.length >= maxRooms) {
+                        return rooms;
+                    }
+                    
+                    // Skip chains whose last mirror is this one (to avoid immediate back-reflection)
+                    const chains = roomChains
+                        .filter(chain => chain[chain.length - 1] !== mirror)
+                        .map(chain => [...chain, mirror]);
+                    
+                    if (chains.length === 0) continue;
+                    
+                    // Inside a kaleidoscope, the room must reach in front of the mirror to be reflected by it
+                    if (wedge && !this.isRoomInFrontOfWedge({ transform: room.transform, mirror, wedge })) continue;
+                    
+                    const transform = AffineTransform.fromMirror({ mirror }).compose({ transform: room.transform });
+                    const signature = transform.getSignature();
+                    const existingRoom = roomsBySignature.get(signature);
+                    
+                    if (existingRoom) {
+                        if (existingRoom === realRoom) continue;
+                        
+                        // Chains reaching an expanded room late still lead on to its descendants
+                        const recorded = this.recordEquivalentChains({ room: existingRoom, chains, source: room });
+                        if (expandedRooms.has(existingRoom) && recorded.length > 0) {
+                            nextFrontier.set(existingRoom, [...(nextFrontier.get(existingRoom) || []), ...recorded]);
+                        }
+                        continue;
+                    }
+                    
+                    const newRoom = {
+                        reflectionChain: chains[0],
+                        equivalentChains: [],
+                        hasTruncatedChains: false,
+                        depth,
+                        transform,
+                        signature,
+                        reflectance: this.getChainReflectance({ reflectionChain: chains[0] })
+                    };
+                    const recorded = this.recordEquivalentChains({ room: newRoom, chains, source: room });
+                    roomsBySignature.set(signature, newRoom);
+                    
+                    // Reflectance only decreases with depth, so a culled room's subtree is culled too
+                    if (newRoom.reflectance < minIntensity) {
+                        continue;
+                    }
+                    
+                    // Off-screen rooms are remembered (so they are not re-tested) but not emitted
+                    if (boundedByViewport && !this.isRoomOnScreen({ transform, footprint, mirrors, viewport })) {
+                        continue;
+                    }
+                    
+                    rooms.push(newRoom);
+                    expandedRooms.add(newRoom);
+                    nextFrontier.set(newRoom, recorded);
+                    foundRoom = true;
+                }
+            }
+            
+            // Once a depth turns up no new room, longer chains only circle through known rooms
+            frontier = foundRoom ? nextFrontier : new Map();
+        }
+        
+        return rooms;
     }
     
     /**
-     * Recursively generate reflections for an object
+     * Check that a point sits on the reflective side of every mirror along a chain.
+     * Each intermediate image must face the next mirror's reflective face for the light to bounce;
+     * inside a kaleidoscope wedge that face is the one turned into the wedge.
      * @param {Object} config - Configuration object
-     * @param {Array} config.vertices - Current vertices to reflect
-     * @param {PolygonObject} config.originalObject - Original real object
-     * @param {Array} config.mirrors - Array of mirrors
-     * @param {number} config.maxDepth - Maximum reflection depth
-     * @param {number} config.currentDepth - Current reflection depth
-     * @param {Array} config.reflectionChain - Chain of mirrors used so far
-     * @param {Array} config.virtualObjects - Array to store generated virtual objects
-     */
-    static generateReflectionsRecursive({ vertices, originalObject, mirrors, maxDepth, currentDepth, reflectionChain, virtualObjects }) {
-        // Base case: reached maximum depth
-        if (currentDepth >= maxDepth) {
-            return;
-        }
+     * @param {Object} config.point - Original point {x, y}
+     * @param {Array} config.reflectionChain - Mirrors to reflect across, first to last
+     * @param {Object} [config.wedge=null] - Kaleidoscope wedge from getWedge
+     * @returns {boolean} True if every reflection of the chain happens on a reflective face
+     */
+    static isChainReflective({ point, reflectionChain, wedge = null }) {
+        let current = point;
         
-        // Generate reflections for each mirror
-        mirrors.forEach(mirror => {
-            // Skip if this mirror was the last one used (to avoid immediate back-reflection)
-            if (reflectionChain.length > 0 && reflectionChain[reflectionChain.length - 1] === mirror) {
-                return;
+        for (const mirror of reflectionChain) {
+            if (!mirror.isReflectiveSide({ point: current })) {
+                return false;
+            }
+            if (wedge && !this.isInFrontOfWedge({ point: current, mirror, wedge })) {
+                return false;
             }
+            current = this.reflectPoint({ point: current, mirror });
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Get the chains of a room that are valid for a given point under one-sided mirrors
+     * @param {Object} config - Configuration object
+     * @param {Object} config.point - Original point {x, y}
+     * @param {Object} config.room - Virtual room with equivalentChains
+     * @param {Object} [config.wedge=null] - Kaleidoscope wedge from getWedge
+     * @returns {Array} Reflective chains (all of them when every mirror is two-sided and there is no wedge)
+     */
+    static getReflectiveChains({ point, room, wedge = null }) {
+        return room.equivalentChains.filter(reflectionChain =>
+            this.isChainReflective({ point, reflectionChain, wedge })
+        );
+    }
+    
+    /**
+     * Compute the fraction of light surviving every bounce of a reflection chain
+     * @param {Object} config - Configuration object
+     * @param {Array} config.reflectionChain - Mirrors the light bounces off
+     * @returns {number} Product of the mirror reflectivities
+     */
+    static getChainReflectance({ reflectionChain }) {
+        return reflectionChain.reduce((product, mirror) => product * mirror.reflectivity, 1);
+    }
+    
+    /**
+     * Set the light intensity of every image and hide those too faint to see.
+     * Intensity is the chain reflectance, optionally attenuated by the distance from the viewer
+     * to the image (the unfolded path length) as reflectance / (1 + distanceFalloff * distance).
+     * @param {Object} config - Configuration object
+     * @param {Array} config.virtualObjects - Virtual objects to update
+     * @param {Array} config.virtualViewers - Virtual viewers to update
+     * @param {Viewer} [config.viewer] - Real viewer (required for distance falloff)
+     * @param {number} [config.distanceFalloff=0] - Attenuation per pixel of path length (0 = none)
+     * @param {number} [config.minIntensity=0] - Images below this intensity are hidden
+     */
+    static applyIntensity({ virtualObjects, virtualViewers, viewer = null, distanceFalloff = 0, minIntensity = 0 }) {
+        const viewerPosition = viewer ? viewer.getPosition() : null;
+        
+        const getIntensity = (reflectance, imagePoint) => {
+            if (!viewerPosition || distanceFalloff === 0) return reflectance;
             
-            // Calculate reflected vertices
-            const reflectedVertices = this.reflectPolygon({
-                vertices: vertices,
-                mirror: mirror
+            const distance = Math.hypot(imagePoint.x - viewerPosition.x, imagePoint.y - viewerPosition.y);
+            return reflectance / (1 + distanceFalloff * distance);
+        };
+        
+        virtualObjects.forEach(virtualObject => {
+            const intensity = getIntensity(virtualObject.reflectance, virtualObject.getCenter());
+            virtualObject.setIntensity({ intensity });
+            virtualObject.setVisible({ visible: intensity >= minIntensity });
+        });
+        
+        virtualViewers.forEach(virtualViewer => {
+            const intensity = getIntensity(virtualViewer.reflectance, virtualViewer.getPosition());
+            virtualViewer.setIntensity({ intensity });
+            virtualViewer.setVisible({ visible: intensity >= minIntensity });
+        });
+    }
+    
+    /**
+     * Cast a ray through the real scene, bouncing off mirror segments until it hits a polygon.
+     * Following the real bounced ray is equivalent to a straight ray through the virtual rooms,
+     * so the first polygon hit is the nearest real or virtual image in that direction.
+     * Glass blocks bend the ray at each face by Snell's law, or reflect it internally past the
+     * critical angle; overlapping glass blocks are not supported.
+     * @param {Object} config - Configuration object
+     * @param {Object} config.origin - Ray start point {x, y}
+     * @param {Object} config.direction - Ray direction {x, y} (need not be normalised)
+     * @param {Array} config.mirrors - Array of mirrors in the scene
+     * @param {Array} [config.objects=[]] - Array of polygon objects that stop the ray
+     * @param {Array} [config.glassBlocks=[]] - Array of glass blocks the ray passes through
+     * @param {number} [config.maxBounces=10] - Maximum number of mirror bounces and glass interactions
+     * @param {number} [config.maxDistance=5000] - Maximum total path length
+     * @returns {Object} {points, bounces, refractions, hit, distance, reflectance}: the polyline of
+     *                   the ray, the mirror bounces [{mirror, point}], the glass interactions
+     *                   [{glassBlock, point, isTotalInternalReflection}], what stopped it
+     *                   ({object, point}, {mirror, point} for the back of a one-sided mirror, or
+     *                   null), the path length to the hit, and the product of the reflectivities
+     */
+    static castRay({ origin, direction, mirrors, objects = [], glassBlocks = [], maxBounces = 10, maxDistance = 5000 }) {
+        const length = Math.hypot(direction.x, direction.y);
+        let heading = { x: direction.x / length, y: direction.y / length };
+        let start = origin;
+        let lastSurface = null;
+        let travelled = 0;
+        let reflectance = 1;
+        
+        // Glass block the ray is currently travelling through (null = air)
+        let medium = glassBlocks.find(glassBlock =>
+            this.isPointInPolygon({ point: origin, vertices: glassBlock.vertices })
+        ) || null;
+        
+        const points = [origin];
+        const bounces = [];
+        const refractions = [];
+        
+        // Polygon and glass edges are intersected like mirror segments
+        const toEdges = (polygons, key) => polygons.flatMap(polygon => polygon.vertices.map((vertex, index) => {
+            const next = polygon.vertices[(index + 1) % polygon.vertices.length];
+            return { [key]: polygon, x1: vertex.x, y1: vertex.y, x2: next.x, y2: next.y };
+        }));
+        const objectEdges = toEdges(objects, 'object');
+        const glassEdges = toEdges(glassBlocks, 'glassBlock');
+        
+        const result = hit => ({ points, bounces, refractions, hit, distance: travelled, reflectance });
+        
+        while (true) {
+            const remaining = maxDistance - travelled;
+            const end = { x: start.x + heading.x * remaining, y: start.y + heading.y * remaining };
+            
+            // Find the nearest mirror, polygon edge or glass face along the current leg
+            let nearest = null;
+            [...mirrors, ...objectEdges, ...glassEdges].forEach(surface => {
+                // A flat surface can never be hit twice in a row
+                if (surface === lastSurface) return;
+                
+                const point = this.intersectSegmentWithMirror({ start, end, mirror: surface });
+                if (!point) return;
+                
+                const distance = Math.hypot(point.x - start.x, point.y - start.y);
+                if (!nearest || distance < nearest.distance) {
+                    nearest = { surface, point, distance };
+                }
             });
             
-            // Create new reflection chain
-            const newReflectionChain = [...reflectionChain, mirror];
+            if (!nearest) {
+                points.push(end);
+                travelled = maxDistance;
+                return result(null);
+            }
             
-            // Create virtual object for this reflection
-            const virtualObject = new VirtualObject({
-                originalObject: originalObject,
-                reflectionChain: newReflectionChain,
-                depth: currentDepth + 1,
-                vertices: reflectedVertices
-            });
+            const { surface, point } = nearest;
+            travelled += nearest.distance;
+            points.push(point);
+            
+            // Polygons and the silvered back of one-sided mirrors stop the ray
+            if (surface.object) {
+                return result({ object: surface.object, point });
+            }
             
-            virtualObjects.push(virtualObject);
+            const isMirror = !surface.glassBlock;
+            if (isMirror && !surface.isReflectiveSide({ point: start })) {
+                return result({ mirror: surface, point });
+            }
             
-            // Recursively generate deeper reflections
-            this.generateReflectionsRecursive({
-                vertices: reflectedVertices,
-                originalObject: originalObject,
-                mirrors,
-                maxDepth,
-                currentDepth: currentDepth + 1,
-                reflectionChain: newReflectionChain,
-                virtualObjects
+            if (bounces.length + refractions.length === maxBounces) {
+                return result(null);
+            }
+            
+            if (isMirror) {
+                heading = this.reflectDirection({ direction: heading, surface });
+                bounces.push({ mirror: surface, point });
+                reflectance *= surface.reflectivity;
+            } else {
+                // Leaving the block we are in, or entering a new one from air
+                const isExiting = medium === surface.glassBlock;
+                const fromIndex = isExiting ? surface.glassBlock.refractiveIndex : 1;
+                const toIndex = isExiting ? 1 : surface.glassBlock.refractiveIndex;
+                
+                const refracted = this.refractDirection({ direction: heading, surface, fromIndex, toIndex });
+                const isTotalInternalReflection = refracted === null;
+                
+                heading = isTotalInternalReflection
+                    ? this.reflectDirection({ direction: heading, surface })
+                    : refracted;
+                
+                if (!isTotalInternalReflection) {
+                    medium = isExiting ? null : surface.glassBlock;
+                }
+                
+                refractions.push({ glassBlock: surface.glassBlock, point, isTotalInternalReflection });
+            }
+            
+            start = point;
+            lastSurface = surface;
+        }
+    }
+    
+    /**
+     * Reflect a direction vector about a flat surface: d' = 2(d·m)m − d
+     * @param {Object} config - Configuration object
+     * @param {Object} config.direction - Unit direction {x, y}
+     * @param {Object} config.surface - Segment {x1, y1, x2, y2} to reflect about
+     * @returns {Object} Reflected unit direction {x, y}
+     */
+    static reflectDirection({ direction, surface }) {
+        const length = Math.hypot(surface.x2 - surface.x1, surface.y2 - surface.y1);
+        const mx = (surface.x2 - surface.x1) / length;
+        const my = (surface.y2 - surface.y1) / length;
+        const dot = direction.x * mx + direction.y * my;
+        
+        return { x: 2 * dot * mx - direction.x, y: 2 * dot * my - direction.y };
+    }
+    
+    /**
+     * Refract a direction vector through a flat interface by Snell's law (n1 sin θ1 = n2 sin θ2)
+     * @param {Object} config - Configuration object
+     * @param {Object} config.direction - Unit direction {x, y} of the incoming ray
+     * @param {Object} config.surface - Interface segment {x1, y1, x2, y2}
+     * @param {number} config.fromIndex - Refractive index on the incoming side
+     * @param {number} config.toIndex - Refractive index on the outgoing side
+     * @returns {Object|null} Refracted unit direction {x, y}, or null past the critical angle
+     *                        (total internal reflection)
+     */
+    static refractDirection({ direction, surface, fromIndex, toIndex }) {
+        const length = Math.hypot(surface.x2 - surface.x1, surface.y2 - surface.y1);
+        let normal = { x: (surface.y2 - surface.y1) / length, y: -(surface.x2 - surface.x1) / length };
+        
+        // Orient the normal against the incoming ray
+        let cosIncidence = -(direction.x * normal.x + direction.y * normal.y);
+        if (cosIncidence < 0) {
+            normal = { x: -normal.x, y: -normal.y };
+            cosIncidence = -cosIncidence;
+        }
+        
+        const ratio = fromIndex / toIndex;
+        const cosTransmittedSquared = 1 - ratio * ratio * (1 - cosIncidence * cosIncidence);
+        if (cosTransmittedSquared < 0) return null;
+        
+        const factor = ratio * cosIncidence - Math.sqrt(cosTransmittedSquared);
+        return {
+            x: ratio * direction.x + factor * normal.x,
+            y: ratio * direction.y + factor * normal.y
+        };
+    }
+    
+    /**
+     * Check whether a point lies inside a polygon (even-odd rule)
+     * @param {Object} config - Configuration object
+     * @param {Object} config.point - Point to test {x, y}
+     * @param {Array} config.vertices - Polygon vertices [{x, y}]
+     * @returns {boolean} True if the point is inside the polygon
+     */
+    static isPointInPolygon({ point, vertices }) {
+        let isInside = false;
+        
+        for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+            const a = vertices[i];
+            const b = vertices[j];
+            
+            // Count edges crossed by a horizontal ray to the right of the point
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                isInside = !isInside;
+            }
+        }
+        
+        return isInside;
+    }
+    
+    /**
+     * Trace the beam of a light source through the real scene, one cast ray per beam direction
+     * @param {Object} config - Configuration object
+     * @param {LightSource} config.lightSource - Light source emitting the beam
+     * @param {Array} config.mirrors - Array of mirrors in the scene
+     * @param {Array} [config.objects=[]] - Array of polygon objects that stop the beam
+     * @param {Array} [config.glassBlocks=[]] - Array of glass blocks that refract the beam
+     * @param {number} [config.maxBounces=20] - Maximum number of mirror bounces and glass interactions per ray
+     * @returns {Array} One castRay result per ray of the beam
+     */
+    static traceBeam({ lightSource, mirrors, objects = [], glassBlocks = [], maxBounces = 20 }) {
+        return lightSource.getRayDirections().map(direction => this.castRay({
+            origin: lightSource.getPosition(),
+            direction,
+            mirrors,
+            objects,
+            glassBlocks,
+            maxBounces
+        }));
+    }
+    
+    /**
+     * Dim images that lie outside the viewer's field of view
+     * @param {Object} config - Configuration object
+     * @param {Array} config.virtualObjects - Virtual objects to classify
+     * @param {Array} config.virtualViewers - Virtual viewers to classify
+     * @param {Viewer} [config.viewer=null] - Real viewer; without one every image counts as in view
+     */
+    static applyFieldOfView({ virtualObjects, virtualViewers, viewer = null }) {
+        const isInView = point => !viewer || viewer.isInFieldOfView({ point });
+        
+        virtualObjects.forEach(virtualObject => {
+            virtualObject.setInView({ inView: isInView(virtualObject.getCenter()) });
+        });
+        
+        virtualViewers.forEach(virtualViewer => {
+            virtualViewer.setInView({ inView: isInView(virtualViewer.getPosition()) });
+        });
+    }
+    
+    /**
+     * Compute the axis-aligned bounding box of the real room contents
+     * @param {Object} config - Configuration object
+     * @param {Array} config.objects - Array of real objects
+     * @param {Viewer} [config.viewer] - Real viewer
+     * @param {Array} config.mirrors - Array of mirrors (used when the room is empty)
+     * @returns {Object|null} Bounds {minX, minY, maxX, maxY}, or null for an empty scene
+     */
+    static getSceneFootprint({ objects, viewer = null, mirrors }) {
+        const points = objects.flatMap(object => object.vertices);
+        
+        if (viewer) {
+            // Include the whole viewer circle, not just its center
+            const { x, y } = viewer.getPosition();
+            points.push({ x: x - viewer.radius, y: y - viewer.radius });
+            points.push({ x: x + viewer.radius, y: y + viewer.radius });
+        }
+        
+        if (points.length === 0) {
+            mirrors.forEach(mirror => {
+                points.push({ x: mirror.x1, y: mirror.y1 }, { x: mirror.x2, y: mirror.y2 });
             });
+        }
+        
+        if (points.length === 0) return null;
+        
+        return this.getPointBounds({ points });
+    }
+    
+    /**
+     * Compute the axis-aligned bounding box of a list of points
+     * @param {Object} config - Configuration object
+     * @param {Array} config.points - Points [{x, y}]
+     * @returns {Object} Bounds {minX, minY, maxX, maxY}
+     */
+    static getPointBounds({ points }) {
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        
+        return {
+            minX: Math.min(...xs),
+            minY: Math.min(...ys),
+            maxX: Math.max(...xs),
+            maxY: Math.max(...ys)
+        };
+    }
+    
+    /**
+     * Compute the bounding box of a transformed bounding box
+     * @param {Object} config - Configuration object
+     * @param {Object} config.bounds - Bounds {minX, minY, maxX, maxY}
+     * @param {AffineTransform} config.transform - Transform to apply
+     * @returns {Object} Bounds of the four transformed corners
+     */
+    static getTransformedBounds({ bounds, transform }) {
+        const corners = [
+            { x: bounds.minX, y: bounds.minY },
+            { x: bounds.maxX, y: bounds.minY },
+            { x: bounds.maxX, y: bounds.maxY },
+            { x: bounds.minX, y: bounds.maxY }
+        ];
+        
+        return this.getPointBounds({ points: transform.applyToPoints({ points: corners }) });
+    }
+    
+    /**
+     * Check whether a virtual room shows anything inside the viewport: its contents (the
+     * transformed footprint) or one of its walls. Edge rooms often have their walls on screen
+     * while their contents are not, and dropping them would leave gaps in the virtual mirrors.
+     * @param {Object} config - Configuration object
+     * @param {AffineTransform} config.transform - Transform of the room
+     * @param {Object} config.footprint - Extent of the real room contents {minX, minY, maxX, maxY}
+     * @param {Array} config.mirrors - Array of mirrors in the scene
+     * @param {Object} config.viewport - Visible area {minX, minY, maxX, maxY}
+     * @returns {boolean} True if the contents or any wall overlap the viewport
+     */
+    static isRoomOnScreen({ transform, footprint, mirrors, viewport }) {
+        if (this.boundsOverlap({ a: this.getTransformedBounds({ bounds: footprint, transform }), b: viewport })) {
+            return true;
+        }
+        
+        return mirrors.some(mirror => this.boundsOverlap({
+            a: this.getPointBounds({
+                points: transform.applyToPoints({ points: [{ x: mirror.x1, y: mirror.y1 }, { x: mirror.x2, y: mirror.y2 }] })
+            }),
+            b: viewport
+        }));
+    }
+    
+    /**
+     * Check whether two bounding boxes overlap
+     * @param {Object} config - Configuration object
+     * @param {Object} config.a - First bounds {minX, minY, maxX, maxY}
+     * @param {Object} config.b - Second bounds {minX, minY, maxX, maxY}
+     * @returns {boolean} True if the boxes share any area or edge
+     */
+    static boundsOverlap({ a, b }) {
+        return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+    }
+    
+    /**
+     * Add chains to a room's equivalent chain list, up to MAX_RECORDED_CHAINS. The room is
+     * flagged with hasTruncatedChains when chains are dropped, or when they were extended from
+     * a room whose own list was already truncated.
+     * @param {Object} config - Configuration object
+     * @param {Object} config.room - Room to record the chains on
+     * @param {Array} config.chains - Reflection chains leading to the room
+     * @param {Object} config.source - Room the chains were extended from
+     * @returns {Array} The chains actually recorded
+     */
+    static recordEquivalentChains({ room, chains, source }) {
+        const available = Math.max(0, MAX_RECORDED_CHAINS - room.equivalentChains.length);
+        const recorded = chains.slice(0, available);
+        
+        room.equivalentChains.push(...recorded);
+        if (recorded.length < chains.length || source.hasTruncatedChains) {
+            room.hasTruncatedChains = true;
+        }
+        
+        return recorded;
+    }
+    
+    /**
+     * Generate all virtual objects for a single real object, one per unique virtual room.
+     * Rooms reached only through the back of a one-sided mirror produce no image.
+     * @param {Object} config - Configuration object
+     * @param {PolygonObject} config.object - Real object to create reflections for
+     * @param {Array} config.mirrors - Array of mirrors in the scene
+     * @param {number} [config.maxDepth=2] - Maximum reflection depth
+     * @param {Array} [config.rooms] - Precomputed virtual rooms (generated from mirrors if omitted)
+     * @param {Object} [config.wedge=null] - Kaleidoscope wedge from getWedge
+     * @returns {Array} Array of VirtualObjectModel instances
+     */
+    static generateVirtualObjects({ object, mirrors, maxDepth = 2, rooms = null, wedge = null }) {
+        const virtualRooms = rooms || this.generateVirtualRooms({ mirrors, maxDepth, wedge });
+        
+        return virtualRooms.flatMap(room => {
+            // Only reflect the object through chains whose mirrors it faces
+            const chains = this.getReflectiveChains({ point: object.getCenter(), room, wedge });
+            if (chains.length === 0) return [];
+            
+            return [new VirtualObjectModel({
+                originalObject: object,
+                reflectionChain: chains[0],
+                equivalentChains: chains,
+                depth: room.depth,
+                transform: room.transform,
+                reflectance: room.reflectance,
+                vertices: room.transform.applyToPoints({ points: object.vertices })
+            })];
         });
     }
     
@@ -139,16 +933,21 @@ export class ReflectionEngine {
      * @param {Array} config.objects - Array of real objects
      * @param {Array} config.mirrors - Array of mirrors
      * @param {number} [config.maxDepth=2] - Maximum reflection depth
-     * @returns {Array} Array of all VirtualObject instances
+     * @param {Array} [config.rooms] - Precomputed virtual rooms (generated from mirrors if omitted)
+     * @param {Object} [config.wedge=null] - Kaleidoscope wedge from getWedge
+     * @returns {Array} Array of all VirtualObjectModel instances
      */
-    static calculateAllReflections({ objects, mirrors, maxDepth = 2 }) {
+    static calculateAllReflections({ objects, mirrors, maxDepth = 2, rooms = null, wedge = null }) {
+        const virtualRooms = rooms || this.generateVirtualRooms({ mirrors, maxDepth, wedge });
         const allVirtualObjects = [];
         
         objects.forEach(object => {
             const virtualObjects = this.generateVirtualObjects({
                 object,
                 mirrors,
-                maxDepth
+                maxDepth,
+                rooms: virtualRooms,
+                wedge
             });
             
             allVirtualObjects.push(...virtualObjects);
@@ -158,87 +957,236 @@ export class ReflectionEngine {
     }
     
     /**
-     * Generate virtual viewer reflections
+     * Generate virtual viewer reflections, one per unique virtual room.
+     * Rooms reached only through the back of a one-sided mirror produce no image.
      * @param {Object} config - Configuration object
      * @param {Viewer} config.viewer - Real viewer to create reflections for
      * @param {Array} config.mirrors - Array of mirrors in the scene
      * @param {number} [config.maxDepth=2] - Maximum reflection depth
-     * @returns {Array} Array of VirtualViewer instances
+     * @param {Array} [config.rooms] - Precomputed virtual rooms (generated from mirrors if omitted)
+     * @param {Object} [config.wedge=null] - Kaleidoscope wedge from getWedge
+     * @returns {Array} Array of VirtualViewerModel instances
      */
-    static generateVirtualViewers({ viewer, mirrors, maxDepth = 2 }) {
-        const virtualViewers = [];
+    static generateVirtualViewers({ viewer, mirrors, maxDepth = 2, rooms = null, wedge = null }) {
+        if (!viewer) return [];
         
-        if (!viewer) return virtualViewers;
+        const virtualRooms = rooms || this.generateVirtualRooms({ mirrors, maxDepth, wedge });
         
-        // Generate reflections recursively
-        this.generateViewerReflectionsRecursive({
-            position: viewer.getPosition(),
-            originalViewer: viewer,
-            mirrors,
-            maxDepth,
-            currentDepth: 0,
-            reflectionChain: [],
-            virtualViewers
+        return virtualRooms.flatMap(room => {
+            // Only reflect the viewer through chains whose mirrors it faces
+            const chains = this.getReflectiveChains({ point: viewer.getPosition(), room, wedge });
+            if (chains.length === 0) return [];
+            
+            return [new VirtualViewerModel({
+                originalViewer: viewer,
+                reflectionChain: chains[0],
+                equivalentChains: chains,
+                depth: room.depth,
+                transform: room.transform,
+                reflectance: room.reflectance,
+                position: room.transform.applyToPoint({ point: viewer.getPosition() }),
+                radius: viewer.radius
+            })];
         });
+    }
+    
+    /**
+     * Generate the walls of every virtual room by reflecting the mirrors themselves.
+     * Neighbouring rooms share walls, so coinciding segments (and segments lying on a real
+     * mirror) are emitted once, keeping the shallowest room's copy.
+     * @param {Object} config - Configuration object
+     * @param {Array} config.mirrors - Array of mirrors in the scene
+     * @param {Array} config.rooms - Virtual rooms from generateVirtualRooms
+     * @returns {Array} Array of VirtualMirrorModel instances
+     */
+    static generateVirtualMirrors({ mirrors, rooms }) {
+        const virtualMirrors = [];
+        
+        // Endpoints are rounded and sorted so a segment has the same key in either direction
+        const segmentKey = (start, end) => [start, end]
+            .map(point => `${point.x.toFixed(2)},${point.y.toFixed(2)}`)
+            .sort()
+            .join('|');
         
-        return virtualViewers;
+        const seenSegments = new Set(mirrors.map(mirror =>
+            segmentKey({ x: mirror.x1, y: mirror.y1 }, { x: mirror.x2, y: mirror.y2 })
+        ));
+        
+        rooms.forEach(room => {
+            mirrors.forEach(mirror => {
+                const start = room.transform.applyToPoint({ point: { x: mirror.x1, y: mirror.y1 } });
+                const end = room.transform.applyToPoint({ point: { x: mirror.x2, y: mirror.y2 } });
+                const key = segmentKey(start, end);
+                
+                if (seenSegments.has(key)) return;
+                seenSegments.add(key);
+                
+                virtualMirrors.push(new VirtualMirrorModel({
+                    originalMirror: mirror,
+                    reflectionChain: room.reflectionChain,
+                    depth: room.depth,
+                    transform: room.transform,
+                    start,
+                    end
+                }));
+            });
+        });
+        
+        return virtualMirrors;
     }
     
     /**
-     * Recursively generate reflections for a viewer
+     * Find the vertex shared by every mirror, if the mirrors form a kaleidoscope wedge
+     * @param {Object} config - Configuration object
+     * @param {Array} config.mirrors - Array of mirrors (two or three)
+     * @param {number} [config.tolerance=1] - Maximum distance in pixels between endpoints considered equal
+     * @returns {Object|null} Shared vertex {x, y}, or null if the mirrors do not meet at one point
+     */
+    static findSharedVertex({ mirrors, tolerance = 1 }) {
+        if (mirrors.length < 2) return null;
+        
+        const endpoints = mirror => [{ x: mirror.x1, y: mirror.y1 }, { x: mirror.x2, y: mirror.y2 }];
+        const isNear = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) <= tolerance;
+        
+        // The shared vertex must be one of the first mirror's endpoints
+        const vertex = endpoints(mirrors[0]).find(candidate =>
+            mirrors.every(mirror => endpoints(mirror).some(point => isNear(point, candidate)))
+        );
+        
+        return vertex || null;
+    }
+    
+    /**
+     * Describe two mirrors sharing a vertex as a kaleidoscope wedge. Light from inside the wedge
+     * only ever meets the faces turned into it, so those faces alone reflect.
      * @param {Object} config - Configuration object
-     * @param {Object} config.position - Current position to reflect {x, y}
-     * @param {Viewer} config.originalViewer - Original real viewer
      * @param {Array} config.mirrors - Array of mirrors
-     * @param {number} config.maxDepth - Maximum reflection depth
-     * @param {number} config.currentDepth - Current reflection depth
-     * @param {Array} config.reflectionChain - Chain of mirrors used so far
-     * @param {Array} config.virtualViewers - Array to store generated virtual viewers
-     */
-    static generateViewerReflectionsRecursive({ position, originalViewer, mirrors, maxDepth, currentDepth, reflectionChain, virtualViewers }) {
-        // Base case: reached maximum depth
-        if (currentDepth >= maxDepth) {
-            return;
-        }
+     * @returns {Object|null} {vertex, edges (far endpoint of each mirror), inside (a point within the wedge),
+     *                        maxChainLength}, or null unless exactly two mirrors meet at an angle strictly
+     *                        between 0° and 180°
+     */
+    static getWedge({ mirrors }) {
+        if (mirrors.length !== 2) return null;
         
-        // Generate reflections for each mirror
-        mirrors.forEach(mirror => {
-            // Skip if this mirror was the last one used (to avoid immediate back-reflection)
-            if (reflectionChain.length > 0 && reflectionChain[reflectionChain.length - 1] === mirror) {
-                return;
-            }
-            
-            // Calculate reflected position
-            const reflectedPosition = this.reflectPoint({
-                point: position,
-                mirror: mirror
-            });
-            
-            // Create new reflection chain
-            const newReflectionChain = [...reflectionChain, mirror];
-            
-            // Create virtual viewer for this reflection
-            const virtualViewer = new VirtualViewer({
-                originalViewer: originalViewer,
-                reflectionChain: newReflectionChain,
-                depth: currentDepth + 1,
-                position: reflectedPosition,
-                radius: originalViewer.radius
-            });
-            
-            virtualViewers.push(virtualViewer);
-            
-            // Recursively generate deeper reflections
-            this.generateViewerReflectionsRecursive({
-                position: reflectedPosition,
-                originalViewer: originalViewer,
-                mirrors,
-                maxDepth,
-                currentDepth: currentDepth + 1,
-                reflectionChain: newReflectionChain,
-                virtualViewers
-            });
+        const vertex = this.findSharedVertex({ mirrors });
+        if (!vertex) return null;
+        
+        const edges = mirrors.map(mirror => this.getFarEndpoint({ mirror, vertex }));
+        const [first, second] = edges.map(edge => ({ x: edge.x - vertex.x, y: edge.y - vertex.y }));
+        const cross = first.x * second.y - first.y * second.x;
+        const sine = cross / (Math.hypot(first.x, first.y) * Math.hypot(second.x, second.y));
+        
+        if (Math.abs(sine) <= WEDGE_EPSILON) return null;
+        
+        // Unfolded, each reflection turns the wedge by θ, and images past 180° lie behind both
+        // mirrors. The half-plane tests wrap around at 360°, so wide wedges need this bound too
+        const angle = Math.atan2(Math.abs(cross), first.x * second.x + first.y * second.y);
+        
+        return {
+            vertex,
+            edges,
+            inside: {
+                x: (vertex.x + edges[0].x + edges[1].x) / 3,
+                y: (vertex.y + edges[0].y + edges[1].y) / 3
+            },
+            maxChainLength: Math.ceil(Math.PI / angle - WEDGE_EPSILON)
+        };
+    }
+    
+    /**
+     * Get the endpoint of a mirror farther from a vertex
+     * @param {Object} config - Configuration object
+     * @param {Mirror} config.mirror - Mirror to inspect
+     * @param {Object} config.vertex - Vertex {x, y}
+     * @returns {Object} Far endpoint {x, y}
+     */
+    static getFarEndpoint({ mirror, vertex }) {
+        return Math.hypot(mirror.x1 - vertex.x, mirror.y1 - vertex.y) >
+            Math.hypot(mirror.x2 - vertex.x, mirror.y2 - vertex.y)
+            ? { x: mirror.x1, y: mirror.y1 }
+            : { x: mirror.x2, y: mirror.y2 };
+    }
+    
+    /**
+     * Check whether a point lies strictly in front of the face a wedge mirror turns into the wedge.
+     * Points on the mirror line (within float drift) are not in front.
+     * @param {Object} config - Configuration object
+     * @param {Object} config.point - Point to test {x, y}
+     * @param {Mirror} config.mirror - One of the wedge's mirrors
+     * @param {Object} config.wedge - Wedge from getWedge
+     * @returns {boolean} True if light from the point can reach the mirror's inner face
+     */
+    static isInFrontOfWedge({ point, mirror, wedge }) {
+        const dx = mirror.x2 - mirror.x1;
+        const dy = mirror.y2 - mirror.y1;
+        const side = target => dx * (target.y - mirror.y1) - dy * (target.x - mirror.x1);
+        
+        // Compare against the sine of the angle to the mirror line, so the epsilon does not depend on distances
+        const scale = Math.hypot(dx, dy) * Math.hypot(point.x - wedge.vertex.x, point.y - wedge.vertex.y);
+        
+        return side(point) * Math.sign(side(wedge.inside)) > WEDGE_EPSILON * scale;
+    }
+    
+    /**
+     * Check whether a room's image of the wedge reaches in front of a wedge mirror. The image is
+     * a sector at the vertex narrower than 180°, so it does exactly when one of its two edges does.
+     * @param {Object} config - Configuration object
+     * @param {AffineTransform} config.transform - Room transform
+     * @param {Mirror} config.mirror - Mirror the room would be reflected across
+     * @param {Object} config.wedge - Wedge from getWedge
+     * @returns {boolean} True if some point of the room's wedge is in front of the mirror
+     */
+    static isRoomInFrontOfWedge({ transform, mirror, wedge }) {
+        return wedge.edges.some(edge =>
+            this.isInFrontOfWedge({ point: transform.applyToPoint({ point: edge }), mirror, wedge })
+        );
+    }
+    
+    /**
+     * Analyse mirrors meeting at a common vertex and predict the number of images.
+     * With n = 360/θ a whole number, the classic count is n − 1 for even n. For odd n the two
+     * last images only coincide when the object sits on the bisector; the prediction follows the
+     * engine and counts an object off the bisector, which forms n images (an observer may see
+     * only some of them). When θ does not divide 360° the formula has no whole answer and
+     * 360/θ − 1 is returned as is.
+     * With three mirrors the smallest angle between neighbouring mirrors is used.
+     * @param {Object} config - Configuration object
+     * @param {Array} config.mirrors - Array of mirrors sharing a vertex
+     * @returns {Object|null} {vertex, angle (degrees), sectorCount (360/θ), isWhole, predictedImageCount},
+     *                        or null if not a wedge
+     * @example
+     * analyzeKaleidoscope({ mirrors }); // { vertex: {x, y}, angle: 60, sectorCount: 6, isWhole: true, predictedImageCount: 5 }
+     */
+    static analyzeKaleidoscope({ mirrors }) {
+        const vertex = this.findSharedVertex({ mirrors });
+        if (!vertex) return null;
+        
+        // Direction of each mirror as seen from the vertex, sorted around the circle
+        const directions = mirrors.map(mirror => {
+            const far = this.getFarEndpoint({ mirror, vertex });
+            const degrees = Math.atan2(far.y - vertex.y, far.x - vertex.x) * 180 / Math.PI;
+            return (degrees + 360) % 360;
+        }).sort((a, b) => a - b);
+        
+        // Angles between neighbouring mirrors (wrapping around for three or more)
+        const gaps = directions.map((direction, index) => {
+            const next = directions[(index + 1) % directions.length];
+            return (next - direction + 360) % 360;
         });
+        
+        // Two mirrors form one wedge: the inner angle is the smaller of the two gaps
+        const angle = directions.length === 2 ? Math.min(...gaps) : Math.min(...gaps.filter(gap => gap > 0));
+        
+        const sectorCount = angle > 0 ? 360 / angle : Infinity;
+        const wholeCount = Math.round(sectorCount);
+        const isWhole = Number.isFinite(sectorCount) && Math.abs(sectorCount - wholeCount) <= WEDGE_EPSILON * sectorCount;
+        
+        let predictedImageCount = sectorCount - 1;
+        if (isWhole) {
+            predictedImageCount = wholeCount % 2 === 0 ? wholeCount - 1 : wholeCount;
+        }
+        
+        return { vertex, angle, sectorCount, isWhole, predictedImageCount };
     }
     
     /**
@@ -247,31 +1195,67 @@ export class ReflectionEngine {
      * @param {Array} config.objects - Array of real objects
      * @param {Viewer} config.viewer - Real viewer
      * @param {Array} config.mirrors - Array of mirrors
-     * @param {number} [config.maxDepth=2] - Maximum reflection depth
-     * @returns {Object} Object containing virtualObjects and virtualViewers arrays
+     * @param {number} [config.maxDepth=2] - Maximum reflection depth (ignored when a viewport is given)
+     * @param {Object} [config.viewport=null] - Visible area {minX, minY, maxX, maxY}; recurse while rooms overlap it
+     * @param {number} [config.maxImageCount=Infinity] - Safety cap on the total number of virtual objects and viewers
+     * @param {number} [config.minIntensity=0] - Skip rooms whose chain reflectance falls below this
+     * @param {boolean} [config.kaleidoscope=false] - Treat two mirrors sharing a vertex as a wedge (see getWedge)
+     * @returns {Object} Object containing virtualObjects, virtualViewers, virtualMirrors, the virtual rooms
+     *                   they share and whether the image cap cut generation short (isTruncated)
      */
-    static calculateAllReflectionsWithViewer({ objects, viewer, mirrors, maxDepth = 2 }) {
-        const virtualObjects = this.calculateAllReflections({ objects, mirrors, maxDepth });
-        const virtualViewers = this.generateVirtualViewers({ viewer, mirrors, maxDepth });
+    static calculateAllReflectionsWithViewer({ objects, viewer, mirrors, maxDepth = 2, viewport = null, maxImageCount = Infinity, minIntensity = 0, kaleidoscope = false }) {
+        // Every room holds one image per real object plus one of the viewer
+        const imagesPerRoom = Math.max(1, objects.length + (viewer ? 1 : 0));
+        const maxRooms = Math.floor(maxImageCount / imagesPerRoom);
+        const wedge = kaleidoscope ? this.getWedge({ mirrors }) : null;
+        
+        // Ask for one room more than allowed, so an extra room shows the cap actually refused one
+        const generatedRooms = this.generateVirtualRooms({
+            mirrors,
+            maxDepth: viewport ? Infinity : maxDepth,
+            viewport,
+            footprint: viewport ? this.getSceneFootprint({ objects, viewer, mirrors }) : null,
+            maxRooms: maxRooms + 1,
+            minIntensity,
+            wedge
+        });
+        const isTruncated = generatedRooms.length > maxRooms;
+        const rooms = generatedRooms.slice(0, maxRooms);
+        const virtualObjects = this.calculateAllReflections({ objects, mirrors, maxDepth, rooms, wedge });
+        const virtualViewers = this.generateVirtualViewers({ viewer, mirrors, maxDepth, rooms, wedge });
+        const virtualMirrors = this.generateVirtualMirrors({ mirrors, rooms });
         
-        return { virtualObjects, virtualViewers };
+        return { virtualObjects, virtualViewers, virtualMirrors, rooms, isTruncated };
     }
     
     /**
-     * Update virtual objects when real objects move
+     * Update virtual objects when real objects move, reusing each image's cached transform
      * @param {Object} config - Configuration object
      * @param {Array} config.virtualObjects - Array of virtual objects to update
-     * @param {Array} config.mirrors - Array of mirrors
      */
-    static updateVirtualObjects({ virtualObjects, mirrors }) {
+    static updateVirtualObjects({ virtualObjects }) {
         virtualObjects.forEach(virtualObject => {
-            // Recalculate position based on current original object position
-            const reflectedVertices = this.reflectPolygon({
-                vertices: virtualObject.originalObject.vertices,
-                mirror: virtualObject.reflectionChain[0] // For now, only handle single mirror reflections
+            const newVertices = virtualObject.transform.applyToPoints({
+                points: virtualObject.originalObject.vertices
+            });
+            
+            virtualObject.updatePosition({ newVertices });
+        });
+    }
+    
+    /**
+     * Update virtual viewers when the real viewer moves, reusing each image's cached transform
+     * @param {Object} config - Configuration object
+     * @param {Array} config.virtualViewers - Array of virtual viewers to update
+     */
+    static updateVirtualViewers({ virtualViewers }) {
+        virtualViewers.forEach(virtualViewer => {
+            const newPosition = virtualViewer.transform.applyToPoint({
+                point: virtualViewer.originalViewer.getPosition()
             });
             
-            virtualObject.updatePosition({ newVertices: reflectedVertices });
+            virtualViewer.updateOrientation();
+            virtualViewer.updatePosition({ newPosition });
         });
     }
 }
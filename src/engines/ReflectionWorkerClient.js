@@ -0,0 +1,210 @@
+/**
+ * @file ReflectionWorkerClient.js - Main-thread side of the off-thread reflection backend
+ * Classes: ReflectionWorkerClient
+ * Dependencies: reflectionWorker.js (Web Worker), AffineTransform, virtual entities
+ */
+
+import { VirtualObject } from '../entities/virtual/VirtualObject.js';
+import { VirtualViewer } from '../entities/virtual/VirtualViewer.js';
+import { VirtualMirror } from '../entities/virtual/VirtualMirror.js';
+import { AffineTransform } from '../geometry/AffineTransform.js';
+
+/**
+ * @class ReflectionWorkerClient
+ * Sends serialized scene geometry to a Web Worker running ReflectionEngine and turns the
+ * returned image data back into virtual entities.
+ * Only one request is in flight at a time: requests made meanwhile are coalesced into the
+ * latest one, and a result is thrown away if a newer request is already waiting.
+ */
+export class ReflectionWorkerClient {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {Function} config.onResult - Called with the hydrated reflections of the latest request
+     * @param {Function} [config.onError] - Called if the worker fails
+     */
+    constructor({ onResult, onError = null }) {
+        // Callbacks
+        this.onResult = onResult;
+        this.onError = onError;
+        
+        // Request state
+        this.nextRequestId = 0;
+        this.inFlight = null;
+        this.pending = null;
+        
+        // Worker instance (bundled as a module worker by Vite)
+        this.worker = new Worker(new URL('./reflectionWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = ({ data }) => this.handleResult({ result: data });
+        this.worker.onerror = (event) => {
+            this.inFlight = null;
+            this.pending = null;
+            if (this.onError) {
+                this.onError(event);
+            }
+        };
+    }
+    
+    /**
+     * Check whether Web Workers are available in this environment
+     * @returns {boolean} True if a worker backend can be created
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+    
+    /**
+     * Request new reflections for the current scene.
+     * If a computation is already running, this request replaces any queued one.
+     * @param {Object} config - Configuration object
+     * @param {Array} config.objects - Array of real objects
+     * @param {Viewer} config.viewer - Real viewer
+     * @param {Array} config.mirrors - Array of mirrors
+     * @param {Object} config.options - {maxDepth, viewport, maxImageCount, minIntensity, kaleidoscope, segmentAware}
+     */
+    requestReflections({ objects, viewer, mirrors, options }) {
+        // Keep the entity references so results map back to the scene they were computed for
+        const request = {
+            requestId: this.nextRequestId++,
+            entities: { objects: [...objects], viewer, mirrors: [...mirrors] },
+            options
+        };
+        
+        if (this.inFlight) {
+            this.pending = request;
+            return;
+        }
+        
+        this.send({ request });
+    }
+    
+    /**
+     * Post a request to the worker with plain serialized geometry
+     * @param {Object} config - Configuration object
+     * @param {Object} config.request - Request with entities and options
+     */
+    send({ request }) {
+        const { objects, viewer, mirrors } = request.entities;
+        
+        this.inFlight = request;
+        this.worker.postMessage({
+            requestId: request.requestId,
+            options: request.options,
+            scene: {
+                mirrors: mirrors.map(({ x1, y1, x2, y2, reflectivity, reflectiveSide }) => ({
+                    x1, y1, x2, y2, reflectivity, reflectiveSide
+                })),
+                objects: objects.map(({ vertices, fill }) => ({ vertices, fill })),
+                viewer: viewer ? {
+                    x: viewer.x,
+                    y: viewer.y,
+                    radius: viewer.radius,
+                    fill: viewer.fill,
+                    direction: viewer.direction,
+                    fieldOfView: viewer.fieldOfView
+                } : null
+            }
+        });
+    }
+    
+    /**
+     * Handle a worker result: drop it if a newer request is queued, otherwise deliver it
+     * @param {Object} config - Configuration object
+     * @param {Object} config.result - Raw message data posted by the worker
+     */
+    handleResult({ result }) {
+        const request = this.inFlight;
+        this.inFlight = null;
+        
+        if (!request || request.requestId !== result.requestId) return;
+        
+        // A newer scene state is waiting, so this result is already stale
+        if (this.pending) {
+            const next = this.pending;
+            this.pending = null;
+            this.send({ request: next });
+            return;
+        }
+        
+        this.onResult(this.hydrateResult({ result, entities: request.entities }));
+    }
+    
+    /**
+     * Rebuild virtual entities from the worker's plain data
+     * @param {Object} config - Configuration object
+     * @param {Object} config.result - Raw message data posted by the worker
+     * @param {Object} config.entities - Real entities the request was made for {objects, viewer, mirrors}
+     * @returns {Object} {virtualObjects, virtualViewers, virtualMirrors, rooms, isTruncated}
+     */
+    hydrateResult({ result, entities }) {
+        const { objects, viewer, mirrors } = entities;
+        const toMirrors = chain => chain.map(index => mirrors[index]);
+        
+        const rooms = result.rooms.map(room => {
+            const transform = new AffineTransform(room.transform);
+            
+            return {
+                reflectionChain: toMirrors(room.reflectionChain),
+                equivalentChains: room.equivalentChains.map(toMirrors),
+                hasTruncatedChains: room.hasTruncatedChains,
+                depth: room.depth,
+                transform,
+                signature: transform.getSignature(),
+                reflectance: room.reflectance
+            };
+        });
+        
+        const virtualObjects = result.virtualObjects.map(data => {
+            const room = rooms[data.roomIndex];
+            const virtualObject = new VirtualObject({
+                originalObject: objects[data.objectIndex],
+                reflectionChain: toMirrors(data.reflectionChain),
+                equivalentChains: data.equivalentChains.map(toMirrors),
+                depth: room.depth,
+                transform: room.transform,
+                reflectance: room.reflectance,
+                vertices: data.vertices
+            });
+            virtualObject.isHidden = data.isHidden;
+            return virtualObject;
+        });
+        
+        const virtualViewers = result.virtualViewers.map(data => {
+            const room = rooms[data.roomIndex];
+            const virtualViewer = new VirtualViewer({
+                originalViewer: viewer,
+                reflectionChain: toMirrors(data.reflectionChain),
+                equivalentChains: data.equivalentChains.map(toMirrors),
+                depth: room.depth,
+                transform: room.transform,
+                reflectance: room.reflectance,
+                position: data.position,
+                radius: viewer.radius
+            });
+            virtualViewer.isHidden = data.isHidden;
+            return virtualViewer;
+        });
+        
+        const virtualMirrors = result.virtualMirrors.map(data => {
+            const room = rooms[data.roomIndex];
+            return new VirtualMirror({
+                originalMirror: mirrors[data.mirrorIndex],
+                reflectionChain: room.reflectionChain,
+                depth: room.depth,
+                transform: room.transform,
+                start: data.start,
+                end: data.end
+            });
+        });
+        
+        return { virtualObjects, virtualViewers, virtualMirrors, rooms, isTruncated: result.isTruncated };
+    }
+    
+    /**
+     * Terminate the worker and forget any queued request
+     */
+    destroy() {
+        this.worker.terminate();
+        this.inFlight = null;
+        this.pending = null;
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * @file reflectionWorker.js - Web Worker entry point running ReflectionEngine off the main thread
+ * Dependencies: ReflectionEngine, MirrorModel, PolygonObjectModel, ViewerModel
+ */
+
+import { ReflectionEngine } from './ReflectionEngine.js';
+import { MirrorModel } from '../core/real/MirrorModel.js';
+import { PolygonObjectModel } from '../core/real/PolygonObjectModel.js';
+import { ViewerModel } from '../core/real/ViewerModel.js';
+
+/**
+ * Rebuild real entities from serialized geometry, generate all reflections and post back
+ * plain image data. Mirrors and objects are referenced by their index in the request.
+ */
+self.onmessage = ({ data }) => {
+    const { requestId, scene, options } = data;
+    
+    // The worker has no DOM, so the engine runs on the core models
+    const mirrors = scene.mirrors.map(mirror => new MirrorModel(mirror));
+    const objects = scene.objects.map(object => new PolygonObjectModel(object));
+    const viewer = scene.viewer ? new ViewerModel(scene.viewer) : null;
+    
+    const reflections = ReflectionEngine.calculateAllReflectionsWithViewer({
+        objects,
+        viewer,
+        mirrors,
+        maxDepth: options.maxDepth,
+        viewport: options.viewport,
+        maxImageCount: options.maxImageCount,
+        minIntensity: options.minIntensity,
+        kaleidoscope: options.kaleidoscope
+    });
+    
+    if (options.segmentAware) {
+        ReflectionEngine.applySegmentVisibility({
+            virtualObjects: reflections.virtualObjects,
+            virtualViewers: reflections.virtualViewers,
+            viewer
+        });
+    }
+    
+    // Replace entity references with indices so the result survives structured cloning
+    const toIndices = chain => chain.map(mirror => mirrors.indexOf(mirror));
+    const roomIndex = new Map(reflections.rooms.map((room, index) => [room.signature, index]));
+    
+    self.postMessage({
+        requestId,
+        isTruncated: reflections.isTruncated,
+        rooms: reflections.rooms.map(room => ({
+            reflectionChain: toIndices(room.reflectionChain),
+            equivalentChains: room.equivalentChains.map(toIndices),
+            hasTruncatedChains: room.hasTruncatedChains,
+            depth: room.depth,
+            transform: { ...room.transform },
+            reflectance: room.reflectance
+        })),
+        virtualObjects: reflections.virtualObjects.map(virtualObject => ({
+            objectIndex: objects.indexOf(virtualObject.originalObject),
+            roomIndex: roomIndex.get(virtualObject.transform.getSignature()),
+            reflectionChain: toIndices(virtualObject.reflectionChain),
+            equivalentChains: virtualObject.equivalentChains.map(toIndices),
+            vertices: virtualObject.vertices,
+            isHidden: virtualObject.isHidden
+        })),
+        virtualViewers: reflections.virtualViewers.map(virtualViewer => ({
+            roomIndex: roomIndex.get(virtualViewer.transform.getSignature()),
+            reflectionChain: toIndices(virtualViewer.reflectionChain),
+            equivalentChains: virtualViewer.equivalentChains.map(toIndices),
+            position: virtualViewer.getPosition(),
+            isHidden: virtualViewer.isHidden
+        })),
+        virtualMirrors: reflections.virtualMirrors.map(virtualMirror => ({
+            mirrorIndex: mirrors.indexOf(virtualMirror.originalMirror),
+            roomIndex: roomIndex.get(virtualMirror.transform.getSignature()),
+            start: { x: virtualMirror.x1, y: virtualMirror.y1 },
+            end: { x: virtualMirror.x2, y: virtualMirror.y2 }
+        }))
+    });
+};
@@ -0,0 +1,140 @@
+/**
+ * @file ImageCountOverlay.js - Predicted vs actual image count label for kaleidoscope wedges
+ * Classes: ImageCountOverlay
+ */
+
+/**
+ * @class ImageCountOverlay
+ * Renders a small text label next to the shared vertex of a mirror wedge, comparing the
+ * classic prediction (360/θ − 1, or 360/θ for an odd 360/θ with the object off the bisector)
+ * with the number of images the engine actually generated for one object.
+ */
+export class ImageCountOverlay {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {string} [config.fill='#2c3e50'] - Text color
+     * @param {number} [config.fontSize=13] - Font size in pixels
+     * @param {number} [config.offset=24] - Distance of the label below the vertex
+     */
+    constructor({ fill = '#2c3e50', fontSize = 13, offset = 24 } = {}) {
+        // Visual properties
+        this.fill = fill;
+        this.fontSize = fontSize;
+        this.offset = offset;
+        
+        // Label data
+        this.analysis = null;
+        this.actualCount = 0;
+        this.visibleCount = null;
+        
+        // DOM references
+        this.element = null;
+        this.lines = [];
+    }
+    
+    /**
+     * Create the SVG text element holding the label lines
+     * @param {Object} config - Configuration object
+     * @param {SVGElement} config.parentSvg - Parent SVG container
+     * @returns {SVGElement} The created text element
+     */
+    render({ parentSvg }) {
+        if (this.element) {
+            return this.element;
+        }
+        
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        
+        this.element = document.createElementNS(svgNamespace, 'text');
+        this.element.setAttribute('fill', this.fill);
+        this.element.setAttribute('font-size', this.fontSize);
+        this.element.setAttribute('font-family', 'sans-serif');
+        this.element.setAttribute('pointer-events', 'none');
+        
+        // One tspan per line: wedge angle, prediction, actual count
+        this.lines = [0, 1, 2].map(() => {
+            const line = document.createElementNS(svgNamespace, 'tspan');
+            this.element.appendChild(line);
+            return line;
+        });
+        
+        parentSvg.appendChild(this.element);
+        
+        this.updateVisualProperties();
+        
+        return this.element;
+    }
+    
+    /**
+     * Replace the wedge analysis and counts, then refresh the label
+     * @param {Object} config - Configuration object
+     * @param {Object|null} config.analysis - Result of ReflectionEngine.analyzeKaleidoscope, or null to hide
+     * @param {number} [config.actualCount=0] - Number of images generated for one object
+     * @param {number|null} [config.visibleCount=null] - Number of those images visible through the segments
+     */
+    setCounts({ analysis, actualCount = 0, visibleCount = null }) {
+        this.analysis = analysis;
+        this.actualCount = actualCount;
+        this.visibleCount = visibleCount;
+        this.updateVisualProperties();
+    }
+    
+    /**
+     * Update the label position and text from the current data
+     */
+    updateVisualProperties() {
+        if (!this.element) return;
+        
+        if (!this.analysis) {
+            this.element.style.display = 'none';
+            return;
+        }
+        
+        this.element.style.display = '';
+        
+        const { vertex, angle, sectorCount, isWhole, predictedImageCount } = this.analysis;
+        const x = vertex.x + this.offset;
+        const y = vertex.y + this.offset;
+        
+        // The formula only yields a whole number when 360 is divisible by the wedge angle
+        let prediction = `360/θ − 1 = ${predictedImageCount.toFixed(2)}`;
+        if (isWhole) {
+            prediction = Math.round(sectorCount) % 2 === 0
+                ? `360/θ − 1 = ${predictedImageCount}`
+                : `360/θ = ${predictedImageCount} (off the bisector)`;
+        }
+        const visible = this.visibleCount === null ? '' : ` (${this.visibleCount} visible)`;
+        
+        const texts = [
+            `θ = ${angle.toFixed(1)}°`,
+            `Predicted: ${prediction}`,
+            `Actual: ${this.actualCount}${visible}`
+        ];
+        
+        this.lines.forEach((line, index) => {
+            line.setAttribute('x', x);
+            line.setAttribute('y', y + index * this.fontSize * 1.3);
+            line.textContent = texts[index];
+        });
+    }
+    
+    /**
+     * Move the overlay to the top of the parent SVG so it is drawn above all images
+     */
+    bringToFront() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.appendChild(this.element);
+        }
+    }
+    
+    /**
+     * Remove the overlay from the DOM
+     */
+    destroy() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+        this.lines = [];
+    }
+}
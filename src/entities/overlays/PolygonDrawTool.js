@@ -0,0 +1,240 @@
+/**
+ * @file PolygonDrawTool.js - Click-to-place drawing tool for new polygon objects
+ * Classes: PolygonDrawTool
+ */
+
+/**
+ * @class PolygonDrawTool
+ * While active, covers the canvas with a transparent layer so clicks place the vertices of a
+ * new polygon instead of dragging entities. A dashed preview follows the cursor. Clicking the
+ * first vertex again or double-clicking closes the polygon (at least three vertices) and hands
+ * it to onComplete; cancel() discards it.
+ */
+export class PolygonDrawTool {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {string} [config.stroke='#333'] - Stroke color of the preview
+     * @param {number} [config.closeDistance=10] - Distance to the first vertex at which a click closes the polygon
+     */
+    constructor({ stroke = '#333', closeDistance = 10 } = {}) {
+        // Visual properties
+        this.stroke = stroke;
+        this.closeDistance = closeDistance;
+        
+        // Drawing state
+        this.isActive = false;
+        this.fill = null;
+        this.vertices = [];
+        this.cursor = null;
+        
+        // DOM references
+        this.element = null;
+        this.captureElement = null;
+        this.previewElement = null;
+        this.startElement = null;
+        
+        // Callbacks
+        this.onComplete = null; // Called with {vertices, fill} when a polygon is closed
+        
+        // Bind event handlers
+        this.handleClick = this.handleClick.bind(this);
+        this.handleDoubleClick = this.handleDoubleClick.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+    }
+    
+    /**
+     * Create the (hidden) capture layer and preview elements
+     * @param {Object} config - Configuration object
+     * @param {SVGElement} config.parentSvg - Parent SVG container
+     * @returns {SVGElement} The created group element
+     */
+    render({ parentSvg }) {
+        if (this.element) {
+            return this.element;
+        }
+        
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        
+        this.element = document.createElementNS(svgNamespace, 'g');
+        
+        // Transparent layer over the whole canvas that receives every click while drawing
+        this.captureElement = document.createElementNS(svgNamespace, 'rect');
+        this.captureElement.setAttribute('x', 0);
+        this.captureElement.setAttribute('y', 0);
+        this.captureElement.setAttribute('width', '100%');
+        this.captureElement.setAttribute('height', '100%');
+        this.captureElement.setAttribute('fill', 'transparent');
+        this.captureElement.style.cursor = 'crosshair';
+        this.captureElement.addEventListener('click', this.handleClick);
+        this.captureElement.addEventListener('dblclick', this.handleDoubleClick);
+        this.captureElement.addEventListener('mousemove', this.handleMouseMove);
+        this.element.appendChild(this.captureElement);
+        
+        this.previewElement = document.createElementNS(svgNamespace, 'path');
+        this.previewElement.setAttribute('fill-opacity', 0.4);
+        this.previewElement.setAttribute('stroke', this.stroke);
+        this.previewElement.setAttribute('stroke-width', 2);
+        this.previewElement.setAttribute('stroke-dasharray', '6,4');
+        this.previewElement.setAttribute('pointer-events', 'none');
+        this.element.appendChild(this.previewElement);
+        
+        // Marks the first vertex, which closes the polygon when clicked
+        this.startElement = document.createElementNS(svgNamespace, 'circle');
+        this.startElement.setAttribute('r', this.closeDistance / 2);
+        this.startElement.setAttribute('fill', '#ffffff');
+        this.startElement.setAttribute('stroke', this.stroke);
+        this.startElement.setAttribute('stroke-width', 2);
+        this.startElement.setAttribute('pointer-events', 'none');
+        this.element.appendChild(this.startElement);
+        
+        parentSvg.appendChild(this.element);
+        
+        this.updateVisualProperties();
+        
+        return this.element;
+    }
+    
+    /**
+     * Start drawing a new polygon, discarding any unfinished one
+     * @param {Object} config - Configuration object
+     * @param {string} config.fill - Fill color of the new polygon
+     */
+    start({ fill }) {
+        this.isActive = true;
+        this.fill = fill;
+        this.vertices = [];
+        this.cursor = null;
+        this.updateVisualProperties();
+    }
+    
+    /**
+     * Stop drawing and discard the unfinished polygon
+     */
+    cancel() {
+        this.isActive = false;
+        this.vertices = [];
+        this.cursor = null;
+        this.updateVisualProperties();
+    }
+    
+    /**
+     * Close the polygon and pass it to onComplete if it has enough vertices
+     */
+    finish() {
+        if (this.vertices.length < 3) return;
+        
+        const vertices = this.vertices;
+        const fill = this.fill;
+        this.cancel();
+        
+        if (this.onComplete) {
+            this.onComplete({ vertices, fill });
+        }
+    }
+    
+    /**
+     * Get the mouse position relative to the SVG
+     * @param {MouseEvent} event - Mouse event
+     * @returns {Object} {x, y} position in canvas coordinates
+     */
+    getMousePosition(event) {
+        const rect = this.element.ownerSVGElement.getBoundingClientRect();
+        
+        return {
+            x: event.clientX - rect.left,
+            y: event.clientY - rect.top
+        };
+    }
+    
+    /**
+     * Handle a click: close the polygon at its first vertex, otherwise add a vertex
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleClick(event) {
+        if (!this.isActive) return;
+        
+        event.preventDefault();
+        const point = this.getMousePosition(event);
+        const [first] = this.vertices;
+        
+        if (this.vertices.length >= 3 && Math.hypot(point.x - first.x, point.y - first.y) <= this.closeDistance) {
+            this.finish();
+            return;
+        }
+        
+        this.vertices.push(point);
+        this.updateVisualProperties();
+    }
+    
+    /**
+     * Handle a double click by closing the polygon at the clicked point
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleDoubleClick(event) {
+        if (!this.isActive) return;
+        
+        event.preventDefault();
+        
+        // Both clicks of the double click already placed a vertex here; keep one
+        this.vertices.pop();
+        this.finish();
+    }
+    
+    /**
+     * Handle mouse move by stretching the preview edge to the cursor
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleMouseMove(event) {
+        if (!this.isActive) return;
+        
+        this.cursor = this.getMousePosition(event);
+        this.updateVisualProperties();
+    }
+    
+    /**
+     * Update the preview from the placed vertices and the cursor
+     */
+    updateVisualProperties() {
+        if (!this.element) return;
+        
+        this.element.style.display = this.isActive ? '' : 'none';
+        
+        const points = this.cursor ? [...this.vertices, this.cursor] : this.vertices;
+        const path = points
+            .map((point, index) => `${index === 0 ? 'M' : 'L'} ${point.x} ${point.y}`)
+            .join(' ');
+        
+        this.previewElement.setAttribute('d', path);
+        this.previewElement.setAttribute('fill', this.fill || 'none');
+        
+        const [first] = this.vertices;
+        this.startElement.style.display = first ? '' : 'none';
+        if (first) {
+            this.startElement.setAttribute('cx', first.x);
+            this.startElement.setAttribute('cy', first.y);
+        }
+    }
+    
+    /**
+     * Move the tool to the top of the parent SVG so it captures clicks above all images
+     */
+    bringToFront() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.appendChild(this.element);
+        }
+    }
+    
+    /**
+     * Remove the tool from the DOM
+     */
+    destroy() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+        this.captureElement = null;
+        this.previewElement = null;
+        this.startElement = null;
+        this.isActive = false;
+    }
+}
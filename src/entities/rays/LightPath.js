@@ -0,0 +1,157 @@
+/**
+ * @file LightPath.js - Light ray overlay for a selected virtual object
+ * Classes: LightPath
+ */
+
+/**
+ * @class LightPath
+ * Renders the two light paths traced for a virtual object: the straight sightline from the
+ * image to the viewer in virtual space, and the real path bouncing off the mirrors.
+ * Bounce points are marked where the real path meets each mirror.
+ */
+export class LightPath {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {string} [config.virtualStroke='#8e44ad'] - Stroke color of the virtual sightline
+     * @param {string} [config.realStroke='#f39c12'] - Stroke color of the real bounced path
+     * @param {string} [config.invalidStroke='#c0392b'] - Stroke color of a path that misses the mirror segments
+     * @param {number} [config.strokeWidth=2] - Stroke width of both paths
+     */
+    constructor({ virtualStroke = '#8e44ad', realStroke = '#f39c12', invalidStroke = '#c0392b', strokeWidth = 2 } = {}) {
+        // Visual properties
+        this.virtualStroke = virtualStroke;
+        this.realStroke = realStroke;
+        this.invalidStroke = invalidStroke;
+        this.strokeWidth = strokeWidth;
+        
+        // Path data
+        this.path = null;
+        
+        // DOM references
+        this.element = null;
+        this.virtualLine = null;
+        this.realLine = null;
+        this.bounceMarkers = [];
+    }
+    
+    /**
+     * Create the SVG group holding both polylines and the bounce markers
+     * @param {Object} config - Configuration object
+     * @param {SVGElement} config.parentSvg - Parent SVG container
+     * @returns {SVGElement} The created group element
+     */
+    render({ parentSvg }) {
+        if (this.element) {
+            return this.element;
+        }
+        
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        
+        // Group ignores pointer events so rays never block dragging underneath
+        this.element = document.createElementNS(svgNamespace, 'g');
+        this.element.setAttribute('pointer-events', 'none');
+        
+        this.virtualLine = document.createElementNS(svgNamespace, 'polyline');
+        this.virtualLine.setAttribute('fill', 'none');
+        this.virtualLine.setAttribute('stroke', this.virtualStroke);
+        this.virtualLine.setAttribute('stroke-width', this.strokeWidth);
+        this.virtualLine.setAttribute('stroke-dasharray', '6,4'); // Dashed: the line only exists in virtual space
+        
+        this.realLine = document.createElementNS(svgNamespace, 'polyline');
+        this.realLine.setAttribute('fill', 'none');
+        this.realLine.setAttribute('stroke-width', this.strokeWidth);
+        this.realLine.setAttribute('stroke-linejoin', 'round');
+        
+        this.element.appendChild(this.virtualLine);
+        this.element.appendChild(this.realLine);
+        parentSvg.appendChild(this.element);
+        
+        this.updateVisualProperties();
+        
+        return this.element;
+    }
+    
+    /**
+     * Replace the traced path data and refresh the rendering
+     * @param {Object} config - Configuration object
+     * @param {Object|null} config.path - Result of ReflectionEngine.traceLightPath, or null to hide
+     */
+    setPath({ path }) {
+        this.path = path;
+        this.updateVisualProperties();
+    }
+    
+    /**
+     * Update the polylines and bounce markers from the current path data
+     */
+    updateVisualProperties() {
+        if (!this.element) return;
+        
+        if (!this.path) {
+            this.element.style.display = 'none';
+            return;
+        }
+        
+        this.element.style.display = '';
+        
+        const toPointsString = points => points.map(point => `${point.x},${point.y}`).join(' ');
+        
+        this.virtualLine.setAttribute('points', toPointsString(this.path.virtualPath));
+        this.realLine.setAttribute('points', toPointsString(this.path.realPath));
+        this.realLine.setAttribute('stroke', this.path.isValid ? this.realStroke : this.invalidStroke);
+        
+        this.updateBounceMarkers();
+    }
+    
+    /**
+     * Create, move or remove bounce markers so there is one per mirror bounce
+     */
+    updateBounceMarkers() {
+        const bounces = this.path.bounces;
+        
+        // Remove markers left over from a longer chain
+        while (this.bounceMarkers.length > bounces.length) {
+            const marker = this.bounceMarkers.pop();
+            marker.parentNode.removeChild(marker);
+        }
+        
+        // Add markers for a longer chain
+        while (this.bounceMarkers.length < bounces.length) {
+            const marker = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            marker.setAttribute('r', 4);
+            marker.setAttribute('fill', '#ffffff');
+            marker.setAttribute('stroke-width', 2);
+            this.element.appendChild(marker);
+            this.bounceMarkers.push(marker);
+        }
+        
+        bounces.forEach((bounce, index) => {
+            const marker = this.bounceMarkers[index];
+            marker.setAttribute('cx', bounce.point.x);
+            marker.setAttribute('cy', bounce.point.y);
+            marker.setAttribute('stroke', bounce.mirror.stroke);
+        });
+    }
+    
+    /**
+     * Move the overlay to the top of the parent SVG so it is drawn above all images
+     */
+    bringToFront() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.appendChild(this.element);
+        }
+    }
+    
+    /**
+     * Remove the light path from the DOM
+     */
+    destroy() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+        this.virtualLine = null;
+        this.realLine = null;
+        this.bounceMarkers = [];
+    }
+}
@@ -0,0 +1,118 @@
+/**
+ * @file RayFan.js - Overlay of rays cast from the viewer through the real scene
+ * Classes: RayFan
+ */
+
+/**
+ * @class RayFan
+ * Renders a fan of rays traced by ReflectionEngine.castRay as polylines in real space.
+ * Each ray takes the fill color of the object it hits, so its end point can be matched
+ * against the virtual image seen in the same direction, unless a fixed stroke is given
+ * (as for the beam of a light source).
+ */
+export class RayFan {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {string|null} [config.stroke=null] - Stroke color of every ray (null colors rays by the object they hit)
+     * @param {string} [config.missStroke='#95a5a6'] - Stroke color of rays that hit no object
+     * @param {number} [config.strokeWidth=1.5] - Stroke width of every ray
+     * @param {number} [config.opacity=0.8] - Opacity of the rays
+     */
+    constructor({ stroke = null, missStroke = '#95a5a6', strokeWidth = 1.5, opacity = 0.8 } = {}) {
+        // Visual properties
+        this.stroke = stroke;
+        this.missStroke = missStroke;
+        this.strokeWidth = strokeWidth;
+        this.opacity = opacity;
+        
+        // Ray data
+        this.rays = [];
+        
+        // DOM references
+        this.element = null;
+        this.lines = [];
+    }
+    
+    /**
+     * Create the SVG group holding the ray polylines
+     * @param {Object} config - Configuration object
+     * @param {SVGElement} config.parentSvg - Parent SVG container
+     * @returns {SVGElement} The created group element
+     */
+    render({ parentSvg }) {
+        if (this.element) {
+            return this.element;
+        }
+        
+        // Group ignores pointer events so rays never block dragging underneath
+        this.element = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        this.element.setAttribute('pointer-events', 'none');
+        this.element.setAttribute('opacity', this.opacity);
+        parentSvg.appendChild(this.element);
+        
+        this.updateVisualProperties();
+        
+        return this.element;
+    }
+    
+    /**
+     * Replace the traced rays and refresh the rendering
+     * @param {Object} config - Configuration object
+     * @param {Array} config.rays - Results of ReflectionEngine.castRay (empty to hide the fan)
+     */
+    setRays({ rays }) {
+        this.rays = rays;
+        this.updateVisualProperties();
+    }
+    
+    /**
+     * Create, update or remove polylines so there is one per ray
+     */
+    updateVisualProperties() {
+        if (!this.element) return;
+        
+        // Remove polylines left over from a larger fan
+        while (this.lines.length > this.rays.length) {
+            const line = this.lines.pop();
+            line.parentNode.removeChild(line);
+        }
+        
+        // Add polylines for a larger fan
+        while (this.lines.length < this.rays.length) {
+            const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+            line.setAttribute('fill', 'none');
+            line.setAttribute('stroke-width', this.strokeWidth);
+            line.setAttribute('stroke-linejoin', 'round');
+            this.element.appendChild(line);
+            this.lines.push(line);
+        }
+        
+        this.rays.forEach((ray, index) => {
+            const line = this.lines[index];
+            const hitObject = ray.hit && ray.hit.object;
+            
+            line.setAttribute('points', ray.points.map(point => `${point.x},${point.y}`).join(' '));
+            line.setAttribute('stroke', this.stroke || (hitObject ? hitObject.fill : this.missStroke));
+        });
+    }
+    
+    /**
+     * Move the overlay to the top of the parent SVG so it is drawn above all images
+     */
+    bringToFront() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.appendChild(this.element);
+        }
+    }
+    
+    /**
+     * Remove the ray fan from the DOM
+     */
+    destroy() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+        this.lines = [];
+    }
+}
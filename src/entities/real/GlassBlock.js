@@ -0,0 +1,184 @@
+/**
+ * @file GlassBlock.js - Draggable transparent polygons that refract rays
+ * Classes: GlassBlock
+ * Dependencies: GlassBlockModel
+ */
+
+import { GlassBlockModel } from '../../core/real/GlassBlockModel.js';
+
+/**
+ * @class GlassBlock
+ * SVG view of a glass block with drag interaction.
+ * Shape and optics live in GlassBlockModel.
+ */
+export class GlassBlock extends GlassBlockModel {
+    /**
+     * @param {Object} config - Configuration object (see GlassBlockModel)
+     */
+    constructor(config) {
+        super(config);
+        
+        // Interaction properties
+        this.isDragging = false;
+        this.isSelected = false;
+        
+        // Callbacks (a drag gesture runs from mousedown to mouseup)
+        this.onDragStart = null;
+        this.onDragEnd = null;
+        
+        // DOM reference
+        this.element = null;
+        
+        // Bind event handlers
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+    }
+    
+    /**
+     * Create and return the SVG polygon element
+     * @param {Object} config - Configuration object
+     * @param {SVGElement} config.parentSvg - Parent SVG container
+     * @returns {SVGElement} The created polygon element
+     */
+    render({ parentSvg }) {
+        if (this.element) {
+            return this.element;
+        }
+        
+        // Create SVG polygon element
+        this.element = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+        
+        // Set visual properties
+        this.updateVisualProperties();
+        
+        // Add to parent SVG
+        parentSvg.appendChild(this.element);
+        
+        // Add interaction listeners
+        this.setupInteraction();
+        
+        return this.element;
+    }
+    
+    /**
+     * Update the visual properties of the polygon
+     */
+    updateVisualProperties() {
+        if (!this.element) return;
+        
+        // Convert vertices to SVG points string
+        const pointsString = this.vertices
+            .map(vertex => `${vertex.x},${vertex.y}`)
+            .join(' ');
+        
+        this.element.setAttribute('points', pointsString);
+        this.element.setAttribute('fill', this.fill);
+        this.element.setAttribute('fill-opacity', this.fillOpacity);
+        this.element.setAttribute('stroke', this.stroke);
+        this.element.setAttribute('stroke-width', this.strokeWidth);
+        this.element.setAttribute('cursor', 'move');
+    }
+    
+    /**
+     * Move the glass block to a placement and redraw it
+     * @param {Object} config - Configuration object
+     * @param {Object} config.placement - Placement {vertices}
+     */
+    setPlacement({ placement }) {
+        super.setPlacement({ placement });
+        this.updateVisualProperties();
+    }
+    
+    /**
+     * Set up drag interaction for the polygon
+     */
+    setupInteraction() {
+        if (!this.element) return;
+        
+        this.element.addEventListener('mousedown', this.handleMouseDown);
+    }
+    
+    /**
+     * Handle mouse down event to start dragging
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleMouseDown(event) {
+        event.preventDefault();
+        this.isDragging = true;
+        this.isSelected = true;
+        
+        // Store initial mouse position
+        this.dragStart = {
+            x: event.clientX,
+            y: event.clientY,
+            vertices: this.vertices.map(v => ({ ...v }))
+        };
+        
+        // Add global event listeners
+        document.addEventListener('mousemove', this.handleMouseMove);
+        document.addEventListener('mouseup', this.handleMouseUp);
+        
+        if (this.onDragStart) {
+            this.onDragStart();
+        }
+    }
+    
+    /**
+     * Handle mouse move event by moving the glass block with the cursor
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleMouseMove(event) {
+        if (!this.isDragging) return;
+        
+        // Calculate mouse delta
+        const dx = event.clientX - this.dragStart.x;
+        const dy = event.clientY - this.dragStart.y;
+        
+        // Update vertices positions
+        this.vertices = this.dragStart.vertices.map(vertex => ({
+            x: vertex.x + dx,
+            y: vertex.y + dy
+        }));
+        
+        // Update visual representation
+        this.updateVisualProperties();
+        
+        // Trigger position change callback if available
+        if (this.onPositionChange) {
+            this.onPositionChange();
+        }
+    }
+    
+    /**
+     * Handle mouse up event to stop dragging
+     */
+    handleMouseUp() {
+        this.isDragging = false;
+        
+        // Remove global event listeners
+        document.removeEventListener('mousemove', this.handleMouseMove);
+        document.removeEventListener('mouseup', this.handleMouseUp);
+        
+        if (this.onDragEnd) {
+            this.onDragEnd();
+        }
+    }
+    
+    /**
+     * Remove the glass block from the DOM
+     */
+    destroy() {
+        if (this.element) {
+            this.element.removeEventListener('mousedown', this.handleMouseDown);
+        }
+        document.removeEventListener('mousemove', this.handleMouseMove);
+        document.removeEventListener('mouseup', this.handleMouseUp);
+        this.isDragging = false;
+        
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+    }
+}
@@ -0,0 +1,260 @@
+/**
+ * @file LightSource.js - Laser / point light source entity for the mirror reflection system
+ * Classes: LightSource
+ * Dependencies: LightSourceModel
+ */
+
+import { LightSourceModel } from '../../core/real/LightSourceModel.js';
+
+/**
+ * @class LightSource
+ * SVG view of a light source: a draggable circle with a rotation handle marking its
+ * emitting direction. Position and beam geometry live in LightSourceModel.
+ */
+export class LightSource extends LightSourceModel {
+    /**
+     * @param {Object} config - Configuration object (see LightSourceModel)
+     */
+    constructor(config) {
+        super(config);
+        
+        // Handle placement
+        this.handleDistance = this.radius * 4;
+        
+        // DOM references
+        this.element = null;
+        this.handleElement = null;
+        
+        // Drag state
+        this.isDragging = false;
+        this.isRotating = false;
+        this.dragOffset = { x: 0, y: 0 };
+        
+        // Callbacks
+        this.onPositionChange = null;
+        this.onDirectionChange = null;
+        this.onDragStart = null; // Drag or rotate gesture begins (mousedown)
+        this.onDragEnd = null; // Gesture ends (mouseup)
+        
+        // Bind event handlers
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleRotateMouseDown = this.handleRotateMouseDown.bind(this);
+        this.handleRotateMouseMove = this.handleRotateMouseMove.bind(this);
+        this.handleRotateMouseUp = this.handleRotateMouseUp.bind(this);
+    }
+    
+    /**
+     * Create and return the SVG circle element for the light source
+     * @param {Object} config - Configuration object
+     * @param {SVGElement} config.parentSvg - Parent SVG container
+     * @returns {SVGElement} The created circle element
+     */
+    render({ parentSvg }) {
+        if (this.element) {
+            return this.element;
+        }
+        
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        
+        // Create SVG circle element
+        this.element = document.createElementNS(svgNamespace, 'circle');
+        this.element.setAttribute('r', this.radius);
+        this.element.setAttribute('fill', this.color);
+        this.element.setAttribute('stroke', this.stroke);
+        this.element.setAttribute('stroke-width', this.strokeWidth);
+        this.element.style.cursor = 'move';
+        this.element.addEventListener('mousedown', this.handleMouseDown);
+        
+        // Rotation handle in the emitting direction
+        this.handleElement = document.createElementNS(svgNamespace, 'circle');
+        this.handleElement.setAttribute('r', 5);
+        this.handleElement.setAttribute('fill', '#ffffff');
+        this.handleElement.setAttribute('stroke', this.stroke);
+        this.handleElement.setAttribute('stroke-width', 2);
+        this.handleElement.style.cursor = 'grab';
+        this.handleElement.addEventListener('mousedown', this.handleRotateMouseDown);
+        
+        parentSvg.appendChild(this.element);
+        parentSvg.appendChild(this.handleElement);
+        
+        this.updateElements();
+        
+        return this.element;
+    }
+    
+    /**
+     * Move the circle and rotation handle to the current position and direction
+     */
+    updateElements() {
+        if (!this.element) return;
+        
+        this.element.setAttribute('cx', this.x);
+        this.element.setAttribute('cy', this.y);
+        
+        const radians = this.direction * Math.PI / 180;
+        this.handleElement.setAttribute('cx', this.x + Math.cos(radians) * this.handleDistance);
+        this.handleElement.setAttribute('cy', this.y + Math.sin(radians) * this.handleDistance);
+    }
+    
+    /**
+     * Move and turn the light source to a placement and redraw it
+     * @param {Object} config - Configuration object
+     * @param {Object} config.placement - Placement {x, y, direction}
+     */
+    setPlacement({ placement }) {
+        super.setPlacement({ placement });
+        this.updateElements();
+    }
+    
+    /**
+     * Get the mouse position relative to the SVG
+     * @param {MouseEvent} event - Mouse event
+     * @returns {Object} {x, y} mouse coordinates in the SVG
+     */
+    getMousePosition(event) {
+        const rect = this.element.ownerSVGElement.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+    
+    /**
+     * Handle mouse down event to start dragging
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleMouseDown(event) {
+        event.preventDefault();
+        this.isDragging = true;
+        
+        // Calculate offset from mouse to center of light source
+        const mouse = this.getMousePosition(event);
+        this.dragOffset.x = mouse.x - this.x;
+        this.dragOffset.y = mouse.y - this.y;
+        
+        // Add global event listeners
+        document.addEventListener('mousemove', this.handleMouseMove);
+        document.addEventListener('mouseup', this.handleMouseUp);
+        
+        if (this.onDragStart) {
+            this.onDragStart();
+        }
+    }
+    
+    /**
+     * Handle mouse move event for dragging
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleMouseMove(event) {
+        if (!this.isDragging) return;
+        
+        event.preventDefault();
+        
+        const mouse = this.getMousePosition(event);
+        this.x = mouse.x - this.dragOffset.x;
+        this.y = mouse.y - this.dragOffset.y;
+        this.updateElements();
+        
+        // Trigger position change callback
+        if (this.onPositionChange) {
+            this.onPositionChange();
+        }
+    }
+    
+    /**
+     * Handle mouse up event to stop dragging
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleMouseUp(event) {
+        event.preventDefault();
+        this.isDragging = false;
+        
+        // Remove global event listeners
+        document.removeEventListener('mousemove', this.handleMouseMove);
+        document.removeEventListener('mouseup', this.handleMouseUp);
+        
+        if (this.onDragEnd) {
+            this.onDragEnd();
+        }
+    }
+    
+    /**
+     * Handle mouse down on the rotation handle to start rotating
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleRotateMouseDown(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.isRotating = true;
+        
+        // Add global event listeners
+        document.addEventListener('mousemove', this.handleRotateMouseMove);
+        document.addEventListener('mouseup', this.handleRotateMouseUp);
+        
+        if (this.onDragStart) {
+            this.onDragStart();
+        }
+    }
+    
+    /**
+     * Handle mouse move event for rotating the beam towards the cursor
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleRotateMouseMove(event) {
+        if (!this.isRotating) return;
+        
+        event.preventDefault();
+        
+        const mouse = this.getMousePosition(event);
+        this.direction = Math.atan2(mouse.y - this.y, mouse.x - this.x) * 180 / Math.PI;
+        this.updateElements();
+        
+        // Trigger direction change callback
+        if (this.onDirectionChange) {
+            this.onDirectionChange();
+        }
+    }
+    
+    /**
+     * Handle mouse up event to stop rotating
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleRotateMouseUp(event) {
+        event.preventDefault();
+        this.isRotating = false;
+        
+        // Remove global event listeners
+        document.removeEventListener('mousemove', this.handleRotateMouseMove);
+        document.removeEventListener('mouseup', this.handleRotateMouseUp);
+        
+        if (this.onDragEnd) {
+            this.onDragEnd();
+        }
+    }
+    
+    /**
+     * Remove the light source from the DOM
+     */
+    destroy() {
+        if (this.element) {
+            // Remove event listeners
+            this.element.removeEventListener('mousedown', this.handleMouseDown);
+            this.handleElement.removeEventListener('mousedown', this.handleRotateMouseDown);
+            document.removeEventListener('mousemove', this.handleMouseMove);
+            document.removeEventListener('mouseup', this.handleMouseUp);
+            document.removeEventListener('mousemove', this.handleRotateMouseMove);
+            document.removeEventListener('mouseup', this.handleRotateMouseUp);
+        }
+        
+        // Remove from DOM
+        [this.element, this.handleElement].forEach(element => {
+            if (element && element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        });
+        
+        this.element = null;
+        this.handleElement = null;
+        this.isDragging = false;
+        this.isRotating = false;
+    }
+}
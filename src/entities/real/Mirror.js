@@ -1,36 +1,26 @@
 /**
  * @file Mirror.js - Mirror boundary objects for the reflection system
  * Classes: Mirror
+ * Dependencies: MirrorModel
  */
 
+import { MirrorModel } from '../../core/real/MirrorModel.js';
+
 /**
  * @class Mirror
- * Represents a mirror boundary that reflects objects and light rays.
- * Mirrors are orthogonal (horizontal or vertical) line segments forming the boundary box.
+ * SVG view of a mirror: a line, plus a hatched back for one-sided mirrors.
+ * All geometry lives in MirrorModel.
  */
-export class Mirror {
+export class Mirror extends MirrorModel {
     /**
-     * @param {Object} config - Configuration object
-     * @param {number} config.x1 - Starting x coordinate
-     * @param {number} config.y1 - Starting y coordinate
-     * @param {number} config.x2 - Ending x coordinate
-     * @param {number} config.y2 - Ending y coordinate
-     * @param {string} [config.stroke='#2c3e50'] - Stroke color
-     * @param {number} [config.strokeWidth=3] - Stroke width
+     * @param {Object} config - Configuration object (see MirrorModel)
      */
-    constructor({ x1, y1, x2, y2, stroke = '#2c3e50', strokeWidth = 3 }) {
-        // Position properties
-        this.x1 = x1;
-        this.y1 = y1;
-        this.x2 = x2;
-        this.y2 = y2;
-        
-        // Visual properties
-        this.stroke = stroke;
-        this.strokeWidth = strokeWidth;
+    constructor(config) {
+        super(config);
         
-        // DOM reference
+        // DOM references
         this.element = null;
+        this.hatchElement = null; // Painted back of a one-sided mirror
     }
     
     /**
@@ -56,6 +46,12 @@ export class Mirror {
         this.element.setAttribute('stroke-width', this.strokeWidth);
         this.element.setAttribute('stroke-linecap', 'round');
         
+        // One-sided mirrors get a hatched back behind the reflective line
+        if (this.reflectiveSide !== 'both') {
+            this.hatchElement = this.createHatchElement();
+            parentSvg.appendChild(this.hatchElement);
+        }
+        
         // Add to parent SVG
         parentSvg.appendChild(this.element);
         
@@ -63,29 +59,38 @@ export class Mirror {
     }
     
     /**
-     * Check if this mirror is horizontal (y1 === y2)
-     * @returns {boolean} True if horizontal, false if vertical
+     * Create the hatching drawn along the non-reflective side of the mirror
+     * @returns {SVGElement} Path element with one slanted tick every few pixels
      */
-    isHorizontal() {
-        return this.y1 === this.y2;
-    }
-    
-    /**
-     * Check if this mirror is vertical (x1 === x2)
-     * @returns {boolean} True if vertical, false if horizontal
-     */
-    isVertical() {
-        return this.x1 === this.x2;
-    }
-    
-    /**
-     * Get the length of the mirror
-     * @returns {number} Length of the mirror line
-     */
-    getLength() {
-        const dx = this.x2 - this.x1;
-        const dy = this.y2 - this.y1;
-        return Math.sqrt(dx * dx + dy * dy);
+    createHatchElement() {
+        const length = this.getLength();
+        const spacing = 8;      // Distance between ticks along the mirror
+        const tickDepth = 7;    // How far ticks reach behind the mirror
+        
+        // Unit vectors along the mirror and towards its back
+        const ux = (this.x2 - this.x1) / length;
+        const uy = (this.y2 - this.y1) / length;
+        const back = this.getBackNormal();
+        
+        const commands = [];
+        for (let distance = 0; distance <= length; distance += spacing) {
+            const startX = this.x1 + ux * distance;
+            const startY = this.y1 + uy * distance;
+            
+            // Slant each tick back along the mirror for the classic hatched look
+            const endX = startX + back.x * tickDepth - ux * tickDepth * 0.6;
+            const endY = startY + back.y * tickDepth - uy * tickDepth * 0.6;
+            commands.push(`M${startX},${startY} L${endX},${endY}`);
+        }
+        
+        const hatch = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        hatch.setAttribute('d', commands.join(' '));
+        hatch.setAttribute('stroke', this.stroke);
+        hatch.setAttribute('stroke-width', 1);
+        hatch.setAttribute('fill', 'none');
+        hatch.setAttribute('pointer-events', 'none');
+        
+        return hatch;
     }
     
     /**
@@ -95,6 +100,10 @@ export class Mirror {
         if (this.element && this.element.parentNode) {
             this.element.parentNode.removeChild(this.element);
         }
+        if (this.hatchElement && this.hatchElement.parentNode) {
+            this.hatchElement.parentNode.removeChild(this.hatchElement);
+        }
         this.element = null;
+        this.hatchElement = null;
     }
 }
@@ -1,34 +1,44 @@
 /**
  * @file PolygonObject.js - Draggable polygon objects within the mirror box
  * Classes: PolygonObject
+ * Dependencies: PolygonObjectModel
  */
 
+import { PolygonObjectModel } from '../../core/real/PolygonObjectModel.js';
+
 /**
  * @class PolygonObject
- * Represents a draggable polygon object that can be placed within the mirror box.
- * These objects are subject to mirror reflections and user interaction.
+ * SVG view of a polygon object with drag interaction. While selected it shows a handle on
+ * every vertex that can be dragged to reshape the polygon.
+ * Shape and appearance live in PolygonObjectModel.
  */
-export class PolygonObject {
+export class PolygonObject extends PolygonObjectModel {
     /**
-     * @param {Object} config - Configuration object
-     * @param {Array} config.vertices - Array of {x, y} points defining the polygon
-     * @param {string} [config.fill='#ff6b6b'] - Fill color of the polygon
-     * @param {string} [config.stroke='#333'] - Stroke color
-     * @param {number} [config.strokeWidth=2] - Stroke width
-     */
-    constructor({ vertices, fill = '#ff6b6b', stroke = '#333', strokeWidth = 2 }) {
-        // Shape properties
-        this.vertices = vertices;
-        this.fill = fill;
-        this.stroke = stroke;
-        this.strokeWidth = strokeWidth;
+     * @param {Object} config - Configuration object (see PolygonObjectModel)
+     */
+    constructor(config) {
+        super(config);
         
         // Interaction properties
         this.isDragging = false;
         this.isSelected = false;
+        this.draggedVertexIndex = null;
+        
+        // Callbacks (a drag gesture runs from mousedown to mouseup, on the polygon or a vertex handle)
+        this.onSelect = null;
+        this.onDragStart = null;
+        this.onDragEnd = null;
         
-        // DOM reference
+        // DOM references
         this.element = null;
+        this.handleElements = [];
+        
+        // Bind event handlers
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleVertexMouseMove = this.handleVertexMouseMove.bind(this);
+        this.handleVertexMouseUp = this.handleVertexMouseUp.bind(this);
     }
     
     /**
@@ -73,6 +83,84 @@ export class PolygonObject {
         this.element.setAttribute('stroke', this.stroke);
         this.element.setAttribute('stroke-width', this.strokeWidth);
         this.element.setAttribute('cursor', 'move');
+        
+        this.updateVertexHandles();
+    }
+    
+    /**
+     * Select or deselect the object, showing or hiding its vertex handles
+     * @param {Object} config - Configuration object
+     * @param {boolean} config.selected - Whether the object is selected
+     */
+    setSelected({ selected }) {
+        this.isSelected = selected;
+        this.updateVertexHandles();
+    }
+    
+    /**
+     * Create, move or remove the vertex handles to match the selection and current vertices
+     */
+    updateVertexHandles() {
+        const parentSvg = this.element ? this.element.parentNode : null;
+        
+        // Rebuild the handles whenever the number of vertices changes
+        if (!this.isSelected || !parentSvg || this.handleElements.length !== this.vertices.length) {
+            this.removeVertexHandles();
+        }
+        
+        if (!this.isSelected || !parentSvg) return;
+        
+        if (this.handleElements.length === 0) {
+            this.handleElements = this.vertices.map((vertex, index) => {
+                const handle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+                handle.setAttribute('r', 5);
+                handle.setAttribute('fill', '#ffffff');
+                handle.setAttribute('stroke', this.stroke);
+                handle.setAttribute('stroke-width', 2);
+                handle.style.cursor = 'crosshair';
+                handle.addEventListener('mousedown', (event) => this.handleVertexMouseDown(event, index));
+                parentSvg.appendChild(handle);
+                return handle;
+            });
+        }
+        
+        this.handleElements.forEach((handle, index) => {
+            handle.setAttribute('cx', this.vertices[index].x);
+            handle.setAttribute('cy', this.vertices[index].y);
+        });
+    }
+    
+    /**
+     * Move the vertex handles to the top of the parent SVG so they stay above all images
+     */
+    bringHandlesToFront() {
+        this.handleElements.forEach(handle => {
+            if (handle.parentNode) {
+                handle.parentNode.appendChild(handle);
+            }
+        });
+    }
+    
+    /**
+     * Remove the vertex handles from the DOM
+     */
+    removeVertexHandles() {
+        this.handleElements.forEach(handle => {
+            if (handle.parentNode) {
+                handle.parentNode.removeChild(handle);
+            }
+        });
+        this.handleElements = [];
+    }
+    
+    /**
+     * Move the object to a placement and redraw it
+     * @param {Object} config - Configuration object
+     * @param {Object} config.placement - Placement {vertices}
+     */
+    setPlacement({ placement }) {
+        super.setPlacement({ placement });
+        this.updateVisualProperties();
     }
     
     /**
@@ -81,69 +169,164 @@ export class PolygonObject {
     setupInteraction() {
         if (!this.element) return;
         
-        this.element.addEventListener('mousedown', (e) => {
-            this.isDragging = true;
-            this.isSelected = true;
-            
-            // Store initial mouse position
-            this.dragStart = {
-                x: e.clientX,
-                y: e.clientY,
-                vertices: this.vertices.map(v => ({ ...v }))
-            };
-            
-            e.preventDefault();
-        });
+        this.element.addEventListener('mousedown', this.handleMouseDown);
+    }
+    
+    /**
+     * Handle mouse down event to select the polygon and start dragging
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleMouseDown(event) {
+        event.preventDefault();
+        this.isDragging = true;
+        this.setSelected({ selected: true });
         
-        // Add global mouse events for dragging
-        document.addEventListener('mousemove', (e) => {
-            if (!this.isDragging) return;
-            
-            // Calculate mouse delta
-            const dx = e.clientX - this.dragStart.x;
-            const dy = e.clientY - this.dragStart.y;
-            
-            // Update vertices positions
-            this.vertices = this.dragStart.vertices.map(vertex => ({
-                x: vertex.x + dx,
-                y: vertex.y + dy
-            }));
-            
-            // Update visual representation
-            this.updateVisualProperties();
-            
-            // Trigger virtual object update callback if available
-            if (this.onPositionChange) {
-                this.onPositionChange();
-            }
-        });
+        if (this.onSelect) {
+            this.onSelect();
+        }
         
-        document.addEventListener('mouseup', () => {
-            this.isDragging = false;
-        });
+        // Store initial mouse position
+        this.dragStart = {
+            x: event.clientX,
+            y: event.clientY,
+            vertices: this.vertices.map(v => ({ ...v }))
+        };
+        
+        // Add global event listeners
+        document.addEventListener('mousemove', this.handleMouseMove);
+        document.addEventListener('mouseup', this.handleMouseUp);
+        
+        if (this.onDragStart) {
+            this.onDragStart();
+        }
     }
     
     /**
-     * Remove the object from the DOM
+     * Handle mouse move event by moving the polygon with the cursor
+     * @param {MouseEvent} event - Mouse event
      */
-    destroy() {
-        if (this.element && this.element.parentNode) {
-            this.element.parentNode.removeChild(this.element);
+    handleMouseMove(event) {
+        if (!this.isDragging) return;
+        
+        // Calculate mouse delta
+        const dx = event.clientX - this.dragStart.x;
+        const dy = event.clientY - this.dragStart.y;
+        
+        // Update vertices positions
+        this.vertices = this.dragStart.vertices.map(vertex => ({
+            x: vertex.x + dx,
+            y: vertex.y + dy
+        }));
+        
+        // Update visual representation
+        this.updateVisualProperties();
+        
+        // Trigger virtual object update callback if available
+        if (this.onPositionChange) {
+            this.onPositionChange();
+        }
+    }
+    
+    /**
+     * Handle mouse up event to stop dragging
+     */
+    handleMouseUp() {
+        this.isDragging = false;
+        
+        // Remove global event listeners
+        document.removeEventListener('mousemove', this.handleMouseMove);
+        document.removeEventListener('mouseup', this.handleMouseUp);
+        
+        if (this.onDragEnd) {
+            this.onDragEnd();
         }
-        this.element = null;
     }
     
     /**
-     * Get the center point of the polygon
-     * @returns {Object} {x, y} coordinates of the center
+     * Handle mouse down on a vertex handle to start reshaping
+     * @param {MouseEvent} event - Mouse event
+     * @param {number} index - Index of the dragged vertex
      */
-    getCenter() {
-        const sumX = this.vertices.reduce((sum, vertex) => sum + vertex.x, 0);
-        const sumY = this.vertices.reduce((sum, vertex) => sum + vertex.y, 0);
+    handleVertexMouseDown(event, index) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.draggedVertexIndex = index;
         
-        return {
-            x: sumX / this.vertices.length,
-            y: sumY / this.vertices.length
+        // Add global event listeners
+        document.addEventListener('mousemove', this.handleVertexMouseMove);
+        document.addEventListener('mouseup', this.handleVertexMouseUp);
+        
+        if (this.onDragStart) {
+            this.onDragStart();
+        }
+    }
+    
+    /**
+     * Handle mouse move event by moving the dragged vertex to the cursor
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleVertexMouseMove(event) {
+        if (this.draggedVertexIndex === null) return;
+        
+        event.preventDefault();
+        
+        // Get mouse position relative to the SVG
+        const rect = this.element.ownerSVGElement.getBoundingClientRect();
+        const position = {
+            x: event.clientX - rect.left,
+            y: event.clientY - rect.top
         };
+        
+        this.vertices = this.vertices.map((vertex, index) => (
+            index === this.draggedVertexIndex ? position : vertex
+        ));
+        
+        // Update visual representation
+        this.updateVisualProperties();
+        
+        // Trigger virtual object update callback if available
+        if (this.onPositionChange) {
+            this.onPositionChange();
+        }
+    }
+    
+    /**
+     * Handle mouse up event to stop reshaping
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleVertexMouseUp(event) {
+        event.preventDefault();
+        this.draggedVertexIndex = null;
+        
+        // Remove global event listeners
+        document.removeEventListener('mousemove', this.handleVertexMouseMove);
+        document.removeEventListener('mouseup', this.handleVertexMouseUp);
+        
+        if (this.onDragEnd) {
+            this.onDragEnd();
+        }
+    }
+    
+    /**
+     * Remove the object and its vertex handles from the DOM
+     */
+    destroy() {
+        if (this.element) {
+            this.element.removeEventListener('mousedown', this.handleMouseDown);
+        }
+        document.removeEventListener('mousemove', this.handleMouseMove);
+        document.removeEventListener('mouseup', this.handleMouseUp);
+        document.removeEventListener('mousemove', this.handleVertexMouseMove);
+        document.removeEventListener('mouseup', this.handleVertexMouseUp);
+        
+        this.isDragging = false;
+        this.isSelected = false;
+        this.draggedVertexIndex = null;
+        this.removeVertexHandles();
+        
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
     }
 }
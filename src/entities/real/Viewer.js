@@ -1,48 +1,47 @@
 /**
  * @file Viewer.js - Viewer entity for the mirror reflection system
  * Classes: Viewer
+ * Dependencies: ViewerModel
  */
 
+import { ViewerModel } from '../../core/real/ViewerModel.js';
+
 /**
  * @class Viewer
- * Represents the viewer entity that receives light rays from objects.
- * The viewer is a fixed position circle that observes the scene.
+ * SVG view of the viewer: a draggable circle that observes the scene. With a field of view
+ * below 360° it also shows its view cone as a wedge, which can be dragged with the viewer and
+ * rotated with a handle at its tip. Position and view cone geometry live in ViewerModel.
  */
-export class Viewer {
+export class Viewer extends ViewerModel {
     /**
-     * @param {Object} config - Configuration object
-     * @param {number} config.x - X coordinate of the viewer
-     * @param {number} config.y - Y coordinate of the viewer
-     * @param {number} [config.radius=15] - Radius of the viewer circle
-     * @param {string} [config.fill='#007acc'] - Fill color of the viewer
-     * @param {string} [config.stroke='#005a99'] - Stroke color
-     * @param {number} [config.strokeWidth=2] - Stroke width
+     * @param {Object} config - Configuration object (see ViewerModel)
      */
-    constructor({ x, y, radius = 15, fill = '#007acc', stroke = '#005a99', strokeWidth = 2 }) {
-        // Position properties
-        this.x = x;
-        this.y = y;
-        this.radius = radius;
-        
-        // Visual properties
-        this.fill = fill;
-        this.stroke = stroke;
-        this.strokeWidth = strokeWidth;
-        
-        // DOM reference
+    constructor(config) {
+        super(config);
+        
+        // DOM references
         this.element = null;
+        this.wedgeElement = null;
+        this.handleElement = null;
         
         // Drag state
         this.isDragging = false;
+        this.isRotating = false;
         this.dragOffset = { x: 0, y: 0 };
         
         // Callbacks
         this.onPositionChange = null;
+        this.onDirectionChange = null;
+        this.onDragStart = null; // Drag or rotate gesture begins (mousedown)
+        this.onDragEnd = null; // Gesture ends (mouseup)
         
         // Bind event handlers
         this.handleMouseDown = this.handleMouseDown.bind(this);
         this.handleMouseMove = this.handleMouseMove.bind(this);
         this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleRotateMouseDown = this.handleRotateMouseDown.bind(this);
+        this.handleRotateMouseMove = this.handleRotateMouseMove.bind(this);
+        this.handleRotateMouseUp = this.handleRotateMouseUp.bind(this);
     }
     
     /**
@@ -56,8 +55,22 @@ export class Viewer {
             return this.element;
         }
         
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        
+        // View cone sits behind the viewer circle and drags it along
+        if (this.hasFieldOfView()) {
+            this.wedgeElement = document.createElementNS(svgNamespace, 'path');
+            this.wedgeElement.setAttribute('fill', this.fill);
+            this.wedgeElement.setAttribute('fill-opacity', 0.15);
+            this.wedgeElement.setAttribute('stroke', this.stroke);
+            this.wedgeElement.setAttribute('stroke-width', 1);
+            this.wedgeElement.style.cursor = 'move';
+            this.wedgeElement.addEventListener('mousedown', this.handleMouseDown);
+            parentSvg.appendChild(this.wedgeElement);
+        }
+        
         // Create SVG circle element
-        this.element = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        this.element = document.createElementNS(svgNamespace, 'circle');
         
         // Set circle properties
         this.element.setAttribute('cx', this.x);
@@ -74,15 +87,51 @@ export class Viewer {
         // Add to parent SVG
         parentSvg.appendChild(this.element);
         
+        // Rotation handle at the tip of the facing direction
+        if (this.hasFieldOfView()) {
+            this.handleElement = document.createElementNS(svgNamespace, 'circle');
+            this.handleElement.setAttribute('r', 5);
+            this.handleElement.setAttribute('fill', '#ffffff');
+            this.handleElement.setAttribute('stroke', this.stroke);
+            this.handleElement.setAttribute('stroke-width', 2);
+            this.handleElement.style.cursor = 'grab';
+            this.handleElement.addEventListener('mousedown', this.handleRotateMouseDown);
+            parentSvg.appendChild(this.handleElement);
+        }
+        
+        this.updateOrientationElements();
+        
         return this.element;
     }
     
     /**
-     * Get the position of the viewer
-     * @returns {Object} {x, y} coordinates of the viewer
+     * Move the view cone and rotation handle to the current position and direction
      */
-    getPosition() {
-        return { x: this.x, y: this.y };
+    updateOrientationElements() {
+        if (this.wedgeElement) {
+            this.wedgeElement.setAttribute('d', this.getWedgePath({ x: this.x, y: this.y, direction: this.direction }));
+        }
+        
+        if (this.handleElement) {
+            const facing = this.getFacingVector();
+            this.handleElement.setAttribute('cx', this.x + facing.x * this.wedgeRadius);
+            this.handleElement.setAttribute('cy', this.y + facing.y * this.wedgeRadius);
+        }
+    }
+    
+    /**
+     * Move and turn the viewer to a placement and redraw it
+     * @param {Object} config - Configuration object
+     * @param {Object} config.placement - Placement {x, y, direction}
+     */
+    setPlacement({ placement }) {
+        super.setPlacement({ placement });
+        
+        if (this.element) {
+            this.element.setAttribute('cx', this.x);
+            this.element.setAttribute('cy', this.y);
+            this.updateOrientationElements();
+        }
     }
     
     /**
@@ -105,6 +154,10 @@ export class Viewer {
         // Add global event listeners
         document.addEventListener('mousemove', this.handleMouseMove);
         document.addEventListener('mouseup', this.handleMouseUp);
+        
+        if (this.onDragStart) {
+            this.onDragStart();
+        }
     }
     
     /**
@@ -128,6 +181,7 @@ export class Viewer {
         // Update SVG element position
         this.element.setAttribute('cx', this.x);
         this.element.setAttribute('cy', this.y);
+        this.updateOrientationElements();
         
         // Trigger position change callback
         if (this.onPositionChange) {
@@ -146,6 +200,68 @@ export class Viewer {
         // Remove global event listeners
         document.removeEventListener('mousemove', this.handleMouseMove);
         document.removeEventListener('mouseup', this.handleMouseUp);
+        
+        if (this.onDragEnd) {
+            this.onDragEnd();
+        }
+    }
+    
+    /**
+     * Handle mouse down on the rotation handle to start rotating
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleRotateMouseDown(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.isRotating = true;
+        
+        // Add global event listeners
+        document.addEventListener('mousemove', this.handleRotateMouseMove);
+        document.addEventListener('mouseup', this.handleRotateMouseUp);
+        
+        if (this.onDragStart) {
+            this.onDragStart();
+        }
+    }
+    
+    /**
+     * Handle mouse move event for rotating the view cone towards the cursor
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleRotateMouseMove(event) {
+        if (!this.isRotating) return;
+        
+        event.preventDefault();
+        
+        // Get mouse position relative to the SVG
+        const rect = this.element.ownerSVGElement.getBoundingClientRect();
+        const mouseX = event.clientX - rect.left;
+        const mouseY = event.clientY - rect.top;
+        
+        this.direction = Math.atan2(mouseY - this.y, mouseX - this.x) * 180 / Math.PI;
+        this.updateOrientationElements();
+        
+        // Trigger direction change callback
+        if (this.onDirectionChange) {
+            this.onDirectionChange();
+        }
+    }
+    
+    /**
+     * Handle mouse up event to stop rotating
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleRotateMouseUp(event) {
+        event.preventDefault();
+        this.isRotating = false;
+        
+        // Remove global event listeners
+        document.removeEventListener('mousemove', this.handleRotateMouseMove);
+        document.removeEventListener('mouseup', this.handleRotateMouseUp);
+        
+        if (this.onDragEnd) {
+            this.onDragEnd();
+        }
     }
     
     /**
@@ -157,11 +273,23 @@ export class Viewer {
             this.element.removeEventListener('mousedown', this.handleMouseDown);
             document.removeEventListener('mousemove', this.handleMouseMove);
             document.removeEventListener('mouseup', this.handleMouseUp);
+            document.removeEventListener('mousemove', this.handleRotateMouseMove);
+            document.removeEventListener('mouseup', this.handleRotateMouseUp);
             
             // Remove from DOM
             this.element.parentNode.removeChild(this.element);
         }
+        
+        [this.wedgeElement, this.handleElement].forEach(element => {
+            if (element && element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        });
+        
         this.element = null;
+        this.wedgeElement = null;
+        this.handleElement = null;
         this.isDragging = false;
+        this.isRotating = false;
     }
 }
@@ -0,0 +1,91 @@
+/**
+ * @file VirtualMirror.js - Virtual reflections of mirrors
+ * Classes: VirtualMirror
+ * Dependencies: VirtualMirrorModel
+ */
+
+import { VirtualMirrorModel } from '../../core/virtual/VirtualMirrorModel.js';
+
+/**
+ * @class VirtualMirror
+ * SVG view of a virtual room wall: a faded, dashed line drawn behind everything else.
+ * Geometry lives in VirtualMirrorModel.
+ */
+export class VirtualMirror extends VirtualMirrorModel {
+    /**
+     * @param {Object} config - Configuration object (see VirtualMirrorModel)
+     */
+    constructor(config) {
+        super(config);
+        
+        // Rendering properties
+        this.element = null;
+    }
+    
+    /**
+     * Create the view of a wall generated by ReflectionEngine
+     * @param {Object} config - Configuration object
+     * @param {VirtualMirrorModel} config.model - Generated virtual mirror
+     * @returns {VirtualMirror} View with the same geometry and chain
+     */
+    static fromModel({ model }) {
+        return new VirtualMirror({
+            originalMirror: model.originalMirror,
+            reflectionChain: model.reflectionChain,
+            depth: model.depth,
+            transform: model.transform,
+            start: { x: model.x1, y: model.y1 },
+            end: { x: model.x2, y: model.y2 }
+        });
+    }
+    
+    /**
+     * Create and return the SVG line element for the virtual mirror
+     * @param {Object} config - Configuration object
+     * @param {SVGElement} config.parentSvg - Parent SVG container
+     * @returns {SVGElement} The created line element
+     */
+    render({ parentSvg }) {
+        if (this.element) {
+            return this.element;
+        }
+        
+        // Create SVG line element
+        this.element = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        
+        // Set line properties
+        this.updateVisualProperties();
+        this.element.setAttribute('stroke', this.stroke);
+        this.element.setAttribute('stroke-width', this.strokeWidth);
+        this.element.setAttribute('stroke-dasharray', '3,3'); // Dashed stroke for virtual
+        this.element.setAttribute('pointer-events', 'none');
+        
+        // Insert behind everything else so room walls never cover objects
+        parentSvg.insertBefore(this.element, parentSvg.firstChild);
+        
+        return this.element;
+    }
+    
+    /**
+     * Update the endpoints and opacity of the line element
+     */
+    updateVisualProperties() {
+        if (!this.element) return;
+        
+        this.element.setAttribute('x1', this.x1);
+        this.element.setAttribute('y1', this.y1);
+        this.element.setAttribute('x2', this.x2);
+        this.element.setAttribute('y2', this.y2);
+        this.element.setAttribute('opacity', this.opacity);
+    }
+    
+    /**
+     * Remove the virtual mirror from the DOM
+     */
+    destroy() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+    }
+}
@@ -1,75 +1,46 @@
 /**
  * @file VirtualObject.js - Virtual reflections of real objects
  * Classes: VirtualObject
+ * Dependencies: VirtualObjectModel
  */
 
+import { VirtualObjectModel } from '../../core/virtual/VirtualObjectModel.js';
+
 /**
  * @class VirtualObject
- * Represents a virtual reflection of a real object created by mirror reflections.
- * Tracks the reflection chain and renders the virtual object with visual distinctions.
+ * SVG view of a virtual reflection of a real object, drawn with visual distinctions
+ * (lighter fill, dashed stroke) and selectable by clicking. State lives in VirtualObjectModel.
  */
-export class VirtualObject {
+export class VirtualObject extends VirtualObjectModel {
     /**
-     * @param {Object} config - Configuration object
-     * @param {PolygonObject} config.originalObject - Reference to the real object
-     * @param {Array} config.reflectionChain - Array of mirrors used for this reflection
-     * @param {number} config.depth - Reflection depth (0 = real, 1 = first reflection, etc.)
-     * @param {Array} config.vertices - Calculated virtual position vertices
+     * @param {Object} config - Configuration object (see VirtualObjectModel)
      */
-    constructor({ originalObject, reflectionChain, depth, vertices }) {
-        // Object relationships
-        this.originalObject = originalObject;
-        this.reflectionChain = reflectionChain;
-        this.depth = depth;
-        
-        // Position properties
-        this.vertices = vertices;
+    constructor(config) {
+        super(config);
         
-        // Visual properties (differentiate from real objects)
-        this.fill = this.getVirtualFill();
-        this.stroke = '#666';
-        this.strokeWidth = 1;
-        this.opacity = Math.max(0.3, 1 - (depth * 0.2)); // Fade with depth
+        // Callbacks
+        this.onSelect = null;
         
-        // Rendering properties
-        this.isVisible = true;
+        // DOM reference
         this.element = null;
     }
     
     /**
-     * Get fill color for virtual object based on depth
-     * @returns {string} Fill color for the virtual object
+     * Create the view of an image generated by ReflectionEngine
+     * @param {Object} config - Configuration object
+     * @param {VirtualObjectModel} config.model - Generated virtual object
+     * @returns {VirtualObject} View with the same geometry and chain
      */
-    getVirtualFill() {
-        // Create lighter/desaturated versions of original color
-        const originalFill = this.originalObject.fill;
-        
-        // Simple color transformation for virtual objects (transform any hex color to a lighter version)
-
-        const hexToRgb = (hex) => {
-            const bigint = parseInt(hex.slice(1), 16);
-            return [
-                (bigint >> 16) & 255,
-                (bigint >> 8) & 255,
-                bigint & 255
-            ];
-        };
-
-        const rgbToHex = (rgb) => {
-            return `#${rgb.map(channel => {
-                const hex = channel.toString(16);
-                return hex.length === 1 ? `0${hex}` : hex;
-            }).join('')}`;
-        };
-
-        // algorithm to lighten a hex color
-        const lightenColor = (color) => {
-            const rgb = hexToRgb(color);
-            const lighter = rgb.map(channel => Math.min(255, channel + 40));
-            return rgbToHex(lighter);
-        };
-
-        return lightenColor(originalFill);
+    static fromModel({ model }) {
+        return new VirtualObject({
+            originalObject: model.originalObject,
+            reflectionChain: model.reflectionChain,
+            equivalentChains: model.equivalentChains,
+            depth: model.depth,
+            transform: model.transform,
+            reflectance: model.reflectance,
+            vertices: model.vertices
+        });
     }
     
     /**
@@ -89,6 +60,15 @@ export class VirtualObject {
         // Set visual properties
         this.updateVisualProperties();
         
+        // Clicking an image selects it (e.g. to trace its light path)
+        this.element.style.cursor = 'pointer';
+        this.element.addEventListener('click', (event) => {
+            if (!this.onSelect) return;
+            
+            event.stopPropagation();
+            this.onSelect({ virtualObject: this });
+        });
+        
         // Add to parent SVG
         parentSvg.appendChild(this.element);
         
@@ -110,18 +90,14 @@ export class VirtualObject {
         this.element.setAttribute('fill', this.fill);
         this.element.setAttribute('stroke', this.stroke);
         this.element.setAttribute('stroke-width', this.strokeWidth);
-        this.element.setAttribute('opacity', this.opacity);
-        this.element.setAttribute('stroke-dasharray', '3,3'); // Dashed stroke for virtual objects
-    }
-    
-    /**
-     * Update virtual object position when original object moves
-     * @param {Object} config - Configuration object
-     * @param {Array} config.newVertices - New calculated vertices
-     */
-    updatePosition({ newVertices }) {
-        this.vertices = newVertices;
-        this.updateVisualProperties();
+        this.element.setAttribute('opacity', this.isHidden ? 0.1 : this.opacity);
+        
+        // Dashed stroke for virtual objects, sparse dots for images that cannot be seen,
+        // long dashes around a washed-out fill for images behind another object
+        const dashArray = this.isHidden ? '1,4' : (this.isOccluded ? '8,3' : '3,3');
+        this.element.setAttribute('stroke-dasharray', dashArray);
+        this.element.setAttribute('fill-opacity', this.isOccluded ? 0.2 : 1);
+        this.element.style.display = this.isVisible ? '' : 'none';
     }
     
     /**
@@ -133,18 +109,4 @@ export class VirtualObject {
         }
         this.element = null;
     }
-    
-    /**
-     * Get the center point of the virtual polygon
-     * @returns {Object} {x, y} coordinates of the center
-     */
-    getCenter() {
-        const sumX = this.vertices.reduce((sum, vertex) => sum + vertex.x, 0);
-        const sumY = this.vertices.reduce((sum, vertex) => sum + vertex.y, 0);
-        
-        return {
-            x: sumX / this.vertices.length,
-            y: sumY / this.vertices.length
-        };
-    }
 }
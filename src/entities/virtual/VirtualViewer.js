@@ -1,57 +1,45 @@
 /**
  * @file VirtualViewer.js - Virtual reflections of the viewer
  * Classes: VirtualViewer
+ * Dependencies: VirtualViewerModel
  */
 
+import { VirtualViewerModel } from '../../core/virtual/VirtualViewerModel.js';
+
 /**
  * @class VirtualViewer
- * Represents a virtual reflection of the viewer created by mirror reflections.
- * Tracks the reflection chain and renders the virtual viewer with visual distinctions.
+ * SVG view of a virtual reflection of the viewer, drawn with visual distinctions and with
+ * its mirrored view cone. State lives in VirtualViewerModel.
  */
-export class VirtualViewer {
+export class VirtualViewer extends VirtualViewerModel {
     /**
-     * @param {Object} config - Configuration object
-     * @param {Viewer} config.originalViewer - Reference to the real viewer
-     * @param {Array} config.reflectionChain - Array of mirrors used for this reflection
-     * @param {number} config.depth - Reflection depth (0 = real, 1 = first reflection, etc.)
-     * @param {Object} config.position - Calculated virtual position {x, y}
-     * @param {number} [config.radius] - Radius of the virtual viewer
+     * @param {Object} config - Configuration object (see VirtualViewerModel)
      */
-    constructor({ originalViewer, reflectionChain, depth, position, radius }) {
-        // Object relationships
-        this.originalViewer = originalViewer;
-        this.reflectionChain = reflectionChain;
-        this.depth = depth;
-        
-        // Position properties
-        this.x = position.x;
-        this.y = position.y;
-        this.radius = radius || originalViewer.radius;
-        
-        // Visual properties (differentiate from real viewer)
-        this.fill = this.getVirtualFill();
-        this.stroke = '#666';
-        this.strokeWidth = 1;
-        this.opacity = Math.max(0.3, 1 - (depth * 0.2)); // Fade with depth
+    constructor(config) {
+        super(config);
         
-        // Rendering properties
-        this.isVisible = true;
+        // DOM references
         this.element = null;
+        this.wedgeElement = null;
     }
     
     /**
-     * Get fill color for virtual viewer based on depth
-     * @returns {string} Fill color for the virtual viewer
+     * Create the view of an image generated by ReflectionEngine
+     * @param {Object} config - Configuration object
+     * @param {VirtualViewerModel} config.model - Generated virtual viewer
+     * @returns {VirtualViewer} View with the same position and chain
      */
-    getVirtualFill() {
-        // Create lighter/desaturated versions of original viewer color
-        const originalFill = this.originalViewer.fill;
-        
-        // Simple color transformation for virtual viewer
-        if (originalFill === '#007acc') return '#66aadd'; // Lighter blue
-        
-        // Default lighter transformation
-        return '#aaccee';
+    static fromModel({ model }) {
+        return new VirtualViewer({
+            originalViewer: model.originalViewer,
+            reflectionChain: model.reflectionChain,
+            equivalentChains: model.equivalentChains,
+            depth: model.depth,
+            transform: model.transform,
+            reflectance: model.reflectance,
+            position: model.getPosition(),
+            radius: model.radius
+        });
     }
     
     /**
@@ -61,22 +49,32 @@ export class VirtualViewer {
      * @returns {SVGElement} The created circle element
      */
     render({ parentSvg }) {
-        if (this.element) {
+        if (this.element || !this.isVisible) {
             return this.element;
         }
         
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        
+        // Mirrored view cone, drawn behind the circle
+        if (this.originalViewer.hasFieldOfView()) {
+            this.wedgeElement = document.createElementNS(svgNamespace, 'path');
+            this.wedgeElement.setAttribute('fill', this.fill);
+            this.wedgeElement.setAttribute('fill-opacity', 0.15);
+            this.wedgeElement.setAttribute('stroke', this.stroke);
+            this.wedgeElement.setAttribute('stroke-width', this.strokeWidth);
+            this.wedgeElement.setAttribute('pointer-events', 'none');
+            parentSvg.appendChild(this.wedgeElement);
+        }
+        
         // Create SVG circle element
-        this.element = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        this.element = document.createElementNS(svgNamespace, 'circle');
         
         // Set circle properties
-        this.element.setAttribute('cx', this.x);
-        this.element.setAttribute('cy', this.y);
         this.element.setAttribute('r', this.radius);
         this.element.setAttribute('fill', this.fill);
         this.element.setAttribute('stroke', this.stroke);
         this.element.setAttribute('stroke-width', this.strokeWidth);
-        this.element.setAttribute('opacity', this.opacity);
-        this.element.setAttribute('stroke-dasharray', '3,3'); // Dashed stroke for virtual
+        this.updateVisualProperties();
         
         // Add to parent SVG
         parentSvg.appendChild(this.element);
@@ -85,37 +83,32 @@ export class VirtualViewer {
     }
     
     /**
-     * Update the position of the virtual viewer
-     * @param {Object} config - Configuration object
-     * @param {Object} config.newPosition - New position {x, y}
+     * Move the circle and mirrored view cone, and apply opacity and dash style according to
+     * the hidden and occluded state
      */
-    updatePosition({ newPosition }) {
-        this.x = newPosition.x;
-        this.y = newPosition.y;
+    updateVisualProperties() {
+        if (!this.element) return;
         
-        if (this.element) {
-            this.element.setAttribute('cx', this.x);
-            this.element.setAttribute('cy', this.y);
-        }
-    }
-    
-    /**
-     * Get the position of the virtual viewer
-     * @returns {Object} {x, y} coordinates of the virtual viewer
-     */
-    getPosition() {
-        return { x: this.x, y: this.y };
-    }
-    
-    /**
-     * Set visibility of the virtual viewer
-     * @param {Object} config - Configuration object
-     * @param {boolean} config.visible - Whether the virtual viewer should be visible
-     */
-    setVisible({ visible }) {
-        this.isVisible = visible;
-        if (this.element) {
-            this.element.style.display = visible ? 'block' : 'none';
+        this.element.setAttribute('cx', this.x);
+        this.element.setAttribute('cy', this.y);
+        this.element.setAttribute('opacity', this.isHidden ? 0.1 : this.opacity);
+        
+        // Dashed stroke for virtual, sparse dots for images that cannot be seen,
+        // long dashes around a washed-out fill for images behind an object
+        const dashArray = this.isHidden ? '1,4' : (this.isOccluded ? '8,3' : '3,3');
+        this.element.setAttribute('stroke-dasharray', dashArray);
+        this.element.setAttribute('fill-opacity', this.isOccluded ? 0.2 : 1);
+        this.element.style.display = this.isVisible ? 'block' : 'none';
+        
+        if (this.wedgeElement) {
+            this.wedgeElement.setAttribute('d', this.originalViewer.getWedgePath({
+                x: this.x,
+                y: this.y,
+                direction: this.direction
+            }));
+            this.wedgeElement.setAttribute('opacity', this.isHidden ? 0.1 : this.opacity);
+            this.wedgeElement.setAttribute('stroke-dasharray', dashArray);
+            this.wedgeElement.style.display = this.isVisible ? 'block' : 'none';
         }
     }
     
@@ -123,9 +116,12 @@ export class VirtualViewer {
      * Remove the virtual viewer from the DOM
      */
     destroy() {
-        if (this.element && this.element.parentNode) {
-            this.element.parentNode.removeChild(this.element);
-        }
+        [this.element, this.wedgeElement].forEach(element => {
+            if (element && element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        });
         this.element = null;
+        this.wedgeElement = null;
     }
 }
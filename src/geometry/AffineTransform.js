@@ -0,0 +1,182 @@
+/**
+ * @file AffineTransform.js - 2D affine transforms for composing mirror reflections
+ * Classes: AffineTransform
+ */
+
+/**
+ * @class AffineTransform
+ * Immutable 2D affine transform using the SVG matrix convention:
+ * x' = a*x + c*y + e, y' = b*x + d*y + f.
+ * Virtual rooms cache the composition of their reflection chain as one of these.
+ */
+export class AffineTransform {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {number} [config.a=1] - Linear part, x contribution to x'
+     * @param {number} [config.b=0] - Linear part, x contribution to y'
+     * @param {number} [config.c=0] - Linear part, y contribution to x'
+     * @param {number} [config.d=1] - Linear part, y contribution to y'
+     * @param {number} [config.e=0] - Translation along x
+     * @param {number} [config.f=0] - Translation along y
+     */
+    constructor({ a = 1, b = 0, c = 0, d = 1, e = 0, f = 0 } = {}) {
+        // Linear part
+        this.a = a;
+        this.b = b;
+        this.c = c;
+        this.d = d;
+        
+        // Translation part
+        this.e = e;
+        this.f = f;
+    }
+    
+    /**
+     * Create the identity transform
+     * @returns {AffineTransform} Transform that leaves every point unchanged
+     */
+    static identity() {
+        return new AffineTransform();
+    }
+    
+    /**
+     * Create the reflection across the infinite line through a mirror's endpoints.
+     * Uses the Householder form I - 2nn^T for the linear part, where n is the unit normal.
+     * @param {Object} config - Configuration object
+     * @param {Mirror} config.mirror - Mirror to reflect across
+     * @returns {AffineTransform} Reflection transform (identity for a zero-length mirror)
+     * @example
+     * AffineTransform.fromMirror({ mirror }).applyToPoint({ point }); // Same as ReflectionEngine.reflectPoint
+     */
+    static fromMirror({ mirror }) {
+        const dx = mirror.x2 - mirror.x1;
+        const dy = mirror.y2 - mirror.y1;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        
+        if (length === 0) {
+            return AffineTransform.identity();
+        }
+        
+        // Unit normal of the mirror line
+        const nx = -dy / length;
+        const ny = dx / length;
+        
+        const a = 1 - 2 * nx * nx;
+        const b = -2 * nx * ny;
+        const c = -2 * nx * ny;
+        const d = 1 - 2 * ny * ny;
+        
+        // Choose the translation so that points on the mirror line stay fixed
+        const e = mirror.x1 - (a * mirror.x1 + c * mirror.y1);
+        const f = mirror.y1 - (b * mirror.x1 + d * mirror.y1);
+        
+        return new AffineTransform({ a, b, c, d, e, f });
+    }
+    
+    /**
+     * Compose with another transform: the result applies `transform` first, then this one
+     * @param {Object} config - Configuration object
+     * @param {AffineTransform} config.transform - Transform applied before this one
+     * @returns {AffineTransform} The composition this ∘ transform
+     * @example
+     * AffineTransform.fromMirror({ mirror: second }).compose({ transform: AffineTransform.fromMirror({ mirror: first }) });
+     */
+    compose({ transform }) {
+        return new AffineTransform({
+            a: this.a * transform.a + this.c * transform.b,
+            b: this.b * transform.a + this.d * transform.b,
+            c: this.a * transform.c + this.c * transform.d,
+            d: this.b * transform.c + this.d * transform.d,
+            e: this.a * transform.e + this.c * transform.f + this.e,
+            f: this.b * transform.e + this.d * transform.f + this.f
+        });
+    }
+    
+    /**
+     * Compute the inverse transform
+     * @returns {AffineTransform|null} Inverse transform, or null if the transform is singular
+     */
+    invert() {
+        const determinant = this.getDeterminant();
+        
+        if (Math.abs(determinant) < 1e-12) {
+            return null;
+        }
+        
+        const a = this.d / determinant;
+        const b = -this.b / determinant;
+        const c = -this.c / determinant;
+        const d = this.a / determinant;
+        
+        return new AffineTransform({
+            a, b, c, d,
+            e: -(a * this.e + c * this.f),
+            f: -(b * this.e + d * this.f)
+        });
+    }
+    
+    /**
+     * Apply the transform to a point
+     * @param {Object} config - Configuration object
+     * @param {Object} config.point - Point to transform {x, y}
+     * @returns {Object} Transformed point {x, y}
+     */
+    applyToPoint({ point }) {
+        return {
+            x: this.a * point.x + this.c * point.y + this.e,
+            y: this.b * point.x + this.d * point.y + this.f
+        };
+    }
+    
+    /**
+     * Apply the transform to a list of points
+     * @param {Object} config - Configuration object
+     * @param {Array} config.points - Points to transform [{x, y}]
+     * @returns {Array} Transformed points
+     */
+    applyToPoints({ points }) {
+        return points.map(point => this.applyToPoint({ point }));
+    }
+    
+    /**
+     * Apply only the linear part of the transform to a direction vector (no translation)
+     * @param {Object} config - Configuration object
+     * @param {Object} config.vector - Vector to transform {x, y}
+     * @returns {Object} Transformed vector {x, y}
+     */
+    applyToVector({ vector }) {
+        return {
+            x: this.a * vector.x + this.c * vector.y,
+            y: this.b * vector.x + this.d * vector.y
+        };
+    }
+    
+    /**
+     * Get the determinant of the linear part
+     * @returns {number} Determinant (-1 for an odd number of reflections, 1 for an even number)
+     */
+    getDeterminant() {
+        return this.a * this.d - this.b * this.c;
+    }
+    
+    /**
+     * Check whether the transform mirrors orientation (odd number of reflections)
+     * @returns {boolean} True if the determinant is negative
+     */
+    isOrientationReversing() {
+        return this.getDeterminant() < 0;
+    }
+    
+    /**
+     * Build a key shared by all transforms that are equal up to float drift
+     * @param {Object} [config] - Configuration object
+     * @param {number} [config.precision=4] - Decimal places kept for each coefficient
+     * @returns {string} Signature string
+     */
+    getSignature({ precision = 4 } = {}) {
+        // Normalise -0 to 0 so that equal transforms never produce different keys
+        return [this.a, this.b, this.c, this.d, this.e, this.f]
+            .map(value => (Math.abs(value) < 0.5 * 10 ** -precision ? 0 : value).toFixed(precision))
+            .join(',');
+    }
+}
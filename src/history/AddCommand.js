@@ -0,0 +1,35 @@
+/**
+ * @file AddCommand.js - Undoable addition of a scene entity
+ * Classes: AddCommand
+ */
+
+/**
+ * @class AddCommand
+ * An entity added to the scene. The add and remove steps are the simulation's own edit
+ * methods, so undo and redo go through the same path (and image recomputation) as the UI.
+ */
+export class AddCommand {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {Function} config.add - Puts the entity (back) into the scene
+     * @param {Function} config.remove - Takes the entity out of the scene
+     */
+    constructor({ add, remove }) {
+        this.add = add;
+        this.remove = remove;
+    }
+    
+    /**
+     * Take the added entity out again
+     */
+    undo() {
+        this.remove();
+    }
+    
+    /**
+     * Put the entity back
+     */
+    redo() {
+        this.add();
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * @file CommandHistory.js - Undo/redo stacks of scene edit commands
+ * Classes: CommandHistory
+ */
+
+/**
+ * @class CommandHistory
+ * Keeps undo and redo stacks of commands. A command is any object with undo() and redo();
+ * each one stands for a whole user gesture (a drag from mousedown to mouseup, an add or a
+ * removal). Recording a new command clears the redo stack. While a command is being undone
+ * or redone, record() is ignored, so edit methods can record unconditionally even when the
+ * history itself calls them.
+ */
+export class CommandHistory {
+    /**
+     * @param {Object} [config] - Configuration object
+     * @param {number} [config.limit=100] - Maximum number of undoable commands kept
+     */
+    constructor({ limit = 100 } = {}) {
+        // History stacks (most recent command last)
+        this.undoStack = [];
+        this.redoStack = [];
+        this.limit = limit;
+        
+        // Replay state
+        this.isReplaying = false;
+    }
+    
+    /**
+     * Record a command that has already been applied
+     * @param {Object} config - Configuration object
+     * @param {Object} config.command - Command with undo() and redo()
+     */
+    record({ command }) {
+        if (this.isReplaying) return;
+        
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+    
+    /**
+     * Undo the most recent command
+     * @returns {boolean} True if a command was undone
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+        
+        this.replay(() => command.undo());
+        this.redoStack.push(command);
+        return true;
+    }
+    
+    /**
+     * Redo the most recently undone command
+     * @returns {boolean} True if a command was redone
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+        
+        this.replay(() => command.redo());
+        this.undoStack.push(command);
+        return true;
+    }
+    
+    /**
+     * Run an undo or redo step with recording suspended
+     * @param {Function} step - Step to run
+     */
+    replay(step) {
+        this.isReplaying = true;
+        try {
+            step();
+        } finally {
+            this.isReplaying = false;
+        }
+    }
+    
+    /**
+     * Check whether there is anything to undo
+     * @returns {boolean} True if undo() would undo a command
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    /**
+     * Check whether there is anything to redo
+     * @returns {boolean} True if redo() would redo a command
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+    
+    /**
+     * Forget every command (e.g. when the whole scene is replaced)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
@@ -0,0 +1,52 @@
+/**
+ * @file MoveCommand.js - Undoable move or rotation of a scene entity
+ * Classes: MoveCommand
+ */
+
+/**
+ * @class MoveCommand
+ * One drag gesture of an entity with getPlacement/setPlacement (object, glass block,
+ * viewer or light source), stored as its placement before and after the gesture.
+ */
+export class MoveCommand {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {Object} config.entity - Moved entity
+     * @param {Object} config.before - Placement at mousedown
+     * @param {Object} config.after - Placement at mouseup
+     * @param {Function} [config.onChange] - Called after every undo or redo, e.g. to recompute images
+     */
+    constructor({ entity, before, after, onChange = null }) {
+        this.entity = entity;
+        this.before = before;
+        this.after = after;
+        this.onChange = onChange;
+    }
+    
+    /**
+     * Move the entity back to where the gesture started
+     */
+    undo() {
+        this.apply({ placement: this.before });
+    }
+    
+    /**
+     * Move the entity to where the gesture ended
+     */
+    redo() {
+        this.apply({ placement: this.after });
+    }
+    
+    /**
+     * Place the entity and notify the listener
+     * @param {Object} config - Configuration object
+     * @param {Object} config.placement - Placement to restore
+     */
+    apply({ placement }) {
+        this.entity.setPlacement({ placement });
+        
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+}
@@ -0,0 +1,35 @@
+/**
+ * @file RemoveCommand.js - Undoable removal of a scene entity
+ * Classes: RemoveCommand
+ */
+
+/**
+ * @class RemoveCommand
+ * An entity removed from the scene; the inverse of AddCommand. The same entity instance is
+ * put back on undo, so commands recorded before the removal still refer to it.
+ */
+export class RemoveCommand {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {Function} config.add - Puts the entity back into the scene
+     * @param {Function} config.remove - Takes the entity out of the scene
+     */
+    constructor({ add, remove }) {
+        this.add = add;
+        this.remove = remove;
+    }
+    
+    /**
+     * Put the removed entity back
+     */
+    undo() {
+        this.add();
+    }
+    
+    /**
+     * Remove the entity again
+     */
+    redo() {
+        this.remove();
+    }
+}
@@ -4,9 +4,11 @@
  */
 
 import { MainSimulation } from './simulation/mainSimulation.js';
+import { SceneFormat } from './core/SceneFormat.js';
+import { SceneLink } from './core/SceneLink.js';
 
 // Initialize the application when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     const canvas = document.getElementById('mirror-canvas');
     
     if (!canvas) {
@@ -14,6 +16,9 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
     }
     
+    // Optional strip showing the viewer's first-person view
+    const firstPersonCanvas = document.getElementById('first-person-canvas');
+    
     console.log('Canvas found, initializing simulation...');
     
     // Scene configuration
@@ -43,6 +48,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 strokeWidth: 2
             }
         ],
+        // Mirrors may sit at any angle, e.g. { x1: '10%', y1: '90%', x2: '25%', y2: '75%' },
+        // take a reflectivity between 0 and 1 (default 1) for half-silvered or tarnished mirrors,
+        // and a reflectiveSide ('both', or 'left'/'right' of the x1,y1 → x2,y2 direction) for one-sided mirrors
         mirrors: [
             {
                 // Vertical mirror at 33% of canvas width
@@ -74,26 +82,245 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         ],
         viewer: {
-            // Viewer below the triangle
+            // Viewer below the triangle, looking up with a 120° view cone
             x: '50%',
             y: '55%',
             radius: 15,
+            direction: -90,
+            fieldOfView: 120,
+            fill: '#007acc',
+            stroke: '#005a99',
+            strokeWidth: 2
+        },
+        // Glass prism refracting the laser; refractiveIndex defaults to 1.5
+        glassBlocks: [
+            {
+                vertices: [
+                    { x: '42%', y: '36%' },
+                    { x: '46%', y: '43%' },
+                    { x: '38%', y: '43%' }
+                ],
+                refractiveIndex: 1.5
+            }
+        ],
+        // Laser bouncing around the central room; give it a spread (degrees) for a flashlight cone
+        lightSources: [
+            {
+                x: '38%',
+                y: '60%',
+                direction: -35,
+                spread: 0,
+                color: '#e74c3c'
+            }
+        ]
+    };
+    
+    // Kaleidoscope configuration: two mirrors meeting at 60° at a shared vertex (open with ?scene=kaleidoscope)
+    const kaleidoscopeConfig = {
+        objects: [
+            {
+                // Small triangle inside the wedge
+                vertices: [
+                    { x: 420, y: 450 },
+                    { x: 405, y: 480 },
+                    { x: 435, y: 480 }
+                ],
+                fill: '#ff6b6b',
+                stroke: '#333',
+                strokeWidth: 2
+            }
+        ],
+        mirrors: [
+            {
+                // Horizontal mirror running right from the vertex
+                x1: 250, y1: 550,
+                x2: 750, y2: 550,
+                stroke: '#2c3e50',
+                strokeWidth: 3
+            },
+            {
+                // Mirror rising at exactly 60° from the same vertex
+                x1: 250, y1: 550,
+                x2: 500, y2: 550 - 250 * Math.sqrt(3),
+                stroke: '#2c3e50',
+                strokeWidth: 3
+            }
+        ],
+        viewer: {
+            x: 350,
+            y: 520,
+            radius: 12,
             fill: '#007acc',
             stroke: '#005a99',
             strokeWidth: 2
         }
     };
     
+    const isKaleidoscope = new URLSearchParams(window.location.search).get('scene') === 'kaleidoscope';
+    
     // Create and initialize the simulation
     const simulation = new MainSimulation({
         canvas: canvas,
         width: 800,
         height: 800,
-        ...sceneConfig
+        segmentAware: true,
+        generationMode: isKaleidoscope ? 'kaleidoscope' : 'viewport',
+        occlusionMode: 'mark',
+        useWorker: true,
+        firstPersonCanvas,
+        ...(isKaleidoscope ? kaleidoscopeConfig : sceneConfig)
     });
     
-    // Initialize the simulation with configured objects
-    simulation.init();
+    const showSceneError = (message) => {
+        const sceneErrors = document.getElementById('scene-errors');
+        if (sceneErrors) {
+            sceneErrors.textContent = message;
+            sceneErrors.hidden = false;
+        }
+    };
+    
+    // Initialize the simulation with configured objects; a broken scene is reported, not started
+    try {
+        simulation.init();
+    } catch (error) {
+        console.error(error.message);
+        showSceneError(error.message);
+        return;
+    }
+    
+    // A shared link (#scene=...) replaces the built-in scene and its settings. It is loaded like
+    // a scene file, so it is validated and can only change the entities and saved settings.
+    try {
+        const linkedScene = await SceneLink.decode({ hash: window.location.hash });
+        if (linkedScene) {
+            simulation.loadScene({ scene: linkedScene });
+        }
+    } catch (error) {
+        console.warn(`Ignoring scene link: ${error.message}`);
+        showSceneError(`Ignoring scene link: ${error.message}`);
+    }
+    
+    // Ray-casting controls
+    const rayCastingToggle = document.getElementById('ray-casting-toggle');
+    const rayCountInput = document.getElementById('ray-count');
+    
+    if (rayCastingToggle && rayCountInput) {
+        const updateRayCasting = () => {
+            simulation.setRayCasting({
+                enabled: rayCastingToggle.checked,
+                rayCount: Math.max(1, parseInt(rayCountInput.value, 10) || 1)
+            });
+        };
+        
+        rayCastingToggle.addEventListener('change', updateRayCasting);
+        rayCountInput.addEventListener('input', updateRayCasting);
+    }
+    
+    // Scene file controls
+    const saveSceneButton = document.getElementById('save-scene');
+    const loadSceneInput = document.getElementById('load-scene');
+    
+    if (saveSceneButton) {
+        saveSceneButton.addEventListener('click', () => {
+            const text = SceneFormat.stringify({ scene: simulation.serialize() });
+            const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+            
+            // Download through a temporary link
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'mirror-scene.json';
+            link.click();
+            URL.revokeObjectURL(url);
+        });
+    }
+    
+    if (loadSceneInput) {
+        loadSceneInput.addEventListener('change', async () => {
+            const [file] = loadSceneInput.files;
+            if (!file) return;
+            
+            try {
+                simulation.loadScene({ scene: SceneFormat.parse({ text: await file.text() }) });
+            } catch (error) {
+                console.error('Failed to load scene:', error);
+                window.alert(`Could not load ${file.name}: ${error.message}`);
+            }
+            
+            // Allow loading the same file again
+            loadSceneInput.value = '';
+        });
+    }
+    
+    // Keep the URL fragment in sync so the address bar always holds a shareable link.
+    // Updates are debounced because browsers throttle history.replaceState during fast drags.
+    let linkUpdateTimer = null;
+    let linkUpdateId = 0;
+    
+    simulation.onSceneChange = () => {
+        clearTimeout(linkUpdateTimer);
+        linkUpdateTimer = setTimeout(async () => {
+            const updateId = ++linkUpdateId;
+            const hash = await SceneLink.encode({ scene: simulation.serialize() });
+            
+            // Drop encodings overtaken by a newer change
+            if (updateId === linkUpdateId) {
+                history.replaceState(null, '', hash);
+            }
+        }, 250);
+    };
+    
+    // Pasting another scene link into the address bar loads it without a reload
+    window.addEventListener('hashchange', async () => {
+        try {
+            const scene = await SceneLink.decode({ hash: window.location.hash });
+            if (scene) {
+                simulation.loadScene({ scene });
+            }
+        } catch (error) {
+            console.error('Failed to load scene link:', error);
+            window.alert(`Could not load the scene link: ${error.message}`);
+        }
+    });
+    
+    // Shape drawing controls: click out the vertices, then click the first one or double-click to close
+    const drawShapeButton = document.getElementById('draw-shape');
+    const shapeFillInput = document.getElementById('shape-fill');
+    
+    if (drawShapeButton && shapeFillInput) {
+        drawShapeButton.addEventListener('click', () => {
+            simulation.startDrawing({ fill: shapeFillInput.value });
+        });
+    }
+    
+    // Keyboard shortcuts; text fields keep their own undo and deletion
+    document.addEventListener('keydown', (event) => {
+        if (event.target.closest('input, textarea, select')) return;
+        
+        // Undo with Ctrl+Z (Cmd+Z on macOS), redo with Ctrl+Shift+Z
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
+            event.preventDefault();
+            
+            if (event.shiftKey) {
+                simulation.redo();
+            } else {
+                simulation.undo();
+            }
+            return;
+        }
+        
+        // Escape abandons the shape being drawn
+        if (event.key === 'Escape') {
+            simulation.cancelDrawing();
+            return;
+        }
+        
+        // Delete or Backspace removes the selected object
+        const selectedObject = simulation.getSelectedObject();
+        if ((event.key === 'Delete' || event.key === 'Backspace') && selectedObject) {
+            event.preventDefault();
+            simulation.removeObject({ object: selectedObject });
+        }
+    });
     
     // Make simulation available globally for debugging
     window.simulation = simulation;
@@ -0,0 +1,129 @@
+/**
+ * @file firstPersonSimulation.js - First-person strip view of what the viewer sees
+ * Classes: FirstPersonSimulation
+ * Dependencies: ReflectionEngine, CssColor
+ */
+
+import { ReflectionEngine } from '../engines/ReflectionEngine.js';
+import { CssColor } from '../core/CssColor.js';
+
+/**
+ * @class FirstPersonSimulation
+ * Renders a 1D panoramic strip into its own SVG canvas. Each column is one ray cast from the
+ * viewer across its field of view; the ray bounces off the mirrors and the column takes the
+ * color of the first polygon it reaches, darkened by distance and mirror reflectivity.
+ * The left edge of the strip is the left edge of the viewer's field of view.
+ */
+export class FirstPersonSimulation {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {SVGElement} config.canvas - SVG canvas element for the strip
+     * @param {number} [config.width=800] - Strip width
+     * @param {number} [config.height=60] - Strip height
+     * @param {number} [config.columnCount=200] - Number of rays (columns) across the strip
+     * @param {number} [config.maxBounces=10] - Maximum mirror bounces per ray
+     * @param {number} [config.shadingDistance=600] - Path length at which brightness drops to one half
+     * @param {string} [config.background='#f4f4f4'] - Color of rays that hit nothing
+     */
+    constructor({ canvas, width = 800, height = 60, columnCount = 200, maxBounces = 10, shadingDistance = 600, background = '#f4f4f4' }) {
+        // Canvas properties
+        this.canvas = canvas;
+        this.width = width;
+        this.height = height;
+        
+        // Sampling properties
+        this.columnCount = columnCount;
+        this.maxBounces = maxBounces;
+        this.shadingDistance = shadingDistance;
+        this.background = background;
+        
+        // DOM references
+        this.columns = [];
+    }
+    
+    /**
+     * Create one rectangle per column
+     */
+    init() {
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        const columnWidth = this.width / this.columnCount;
+        
+        this.columns = Array.from({ length: this.columnCount }, (_, index) => {
+            const column = document.createElementNS(svgNamespace, 'rect');
+            
+            // Slight overlap hides anti-aliasing seams between neighbouring columns
+            column.setAttribute('x', index * columnWidth);
+            column.setAttribute('y', 0);
+            column.setAttribute('width', columnWidth + 0.5);
+            column.setAttribute('height', this.height);
+            column.setAttribute('fill', this.background);
+            
+            this.canvas.appendChild(column);
+            return column;
+        });
+    }
+    
+    /**
+     * Recast every column's ray and recolor the strip
+     * @param {Object} config - Configuration object
+     * @param {Viewer} config.viewer - Real viewer
+     * @param {Array} config.mirrors - Array of mirrors
+     * @param {Array} config.objects - Array of real objects
+     * @param {Array} [config.glassBlocks=[]] - Array of glass blocks that refract the rays
+     */
+    render({ viewer, mirrors, objects, glassBlocks = [] }) {
+        if (!viewer) return;
+        
+        const fieldOfView = Math.min(viewer.fieldOfView, 360);
+        const origin = viewer.getPosition();
+        
+        this.columns.forEach((column, index) => {
+            // Sample the centre of each column, from the left edge of the view to the right
+            const degrees = viewer.direction - fieldOfView / 2 + fieldOfView * (index + 0.5) / this.columnCount;
+            const radians = degrees * Math.PI / 180;
+            
+            const ray = ReflectionEngine.castRay({
+                origin,
+                direction: { x: Math.cos(radians), y: Math.sin(radians) },
+                mirrors,
+                objects,
+                glassBlocks,
+                maxBounces: this.maxBounces
+            });
+            
+            column.setAttribute('fill', this.getColumnColor({ ray }));
+        });
+    }
+    
+    /**
+     * Shade the color of whatever stopped a ray
+     * @param {Object} config - Configuration object
+     * @param {Object} config.ray - Result of ReflectionEngine.castRay
+     * @returns {string} CSS color for the column
+     */
+    getColumnColor({ ray }) {
+        if (!ray.hit) return this.background;
+        
+        const baseColor = ray.hit.object ? ray.hit.object.fill : ray.hit.mirror.stroke;
+        const rgb = CssColor.parse({ value: baseColor });
+        if (!rgb) return baseColor;
+        
+        // Farther and dimmer images fade towards black
+        const brightness = ray.reflectance / (1 + ray.distance / this.shadingDistance);
+        const [r, g, b] = rgb.map(channel => Math.round(channel * brightness));
+        
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+    
+    /**
+     * Remove the strip from the DOM
+     */
+    destroy() {
+        this.columns.forEach(column => {
+            if (column.parentNode) {
+                column.parentNode.removeChild(column);
+            }
+        });
+        this.columns = [];
+    }
+}
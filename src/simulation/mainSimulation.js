@@ -1,11 +1,26 @@
 /**
  * @file mainSimulation.js - Main simulation coordinator
  * Classes: MainSimulation
- * Dependencies: RealSceneSimulation, VirtualSimulation
+ * Dependencies: RealSceneSimulation, VirtualSimulation, FirstPersonSimulation, ReflectionEngine, SceneFormat,
+ *               SceneValidator, LightPath, RayFan, ImageCountOverlay, PolygonDrawTool, PolygonObject,
+ *               CommandHistory, MoveCommand, AddCommand, RemoveCommand
  */
 
 import { RealSceneSimulation } from './realSimulation.js';
 import { VirtualSimulation } from './virtualSimulation.js';
+import { FirstPersonSimulation } from './firstPersonSimulation.js';
+import { ReflectionEngine } from '../engines/ReflectionEngine.js';
+import { SceneFormat } from '../core/SceneFormat.js';
+import { SceneValidator } from '../core/SceneValidator.js';
+import { LightPath } from '../entities/rays/LightPath.js';
+import { RayFan } from '../entities/rays/RayFan.js';
+import { ImageCountOverlay } from '../entities/overlays/ImageCountOverlay.js';
+import { PolygonDrawTool } from '../entities/overlays/PolygonDrawTool.js';
+import { PolygonObject } from '../entities/real/PolygonObject.js';
+import { CommandHistory } from '../history/CommandHistory.js';
+import { MoveCommand } from '../history/MoveCommand.js';
+import { AddCommand } from '../history/AddCommand.js';
+import { RemoveCommand } from '../history/RemoveCommand.js';
 
 /**
  * @class MainSimulation
@@ -18,11 +33,49 @@ export class MainSimulation {
      * @param {SVGElement} config.canvas - SVG canvas element for rendering
      * @param {number} [config.width=800] - Canvas width
      * @param {number} [config.height=800] - Canvas height
-     * @param {Array} [config.objects=[]] - Array of object configurations
-     * @param {Array} [config.mirrors=[]] - Array of mirror configurations
+     * @param {Array} [config.objects] - Array of object configurations (a sample triangle when omitted)
+     * @param {Array} [config.mirrors] - Array of mirror configurations (sample mirrors when omitted)
      * @param {Object} [config.viewer=null] - Viewer configuration
+     * @param {Array} [config.lightSources=[]] - Array of light source configurations
+     * @param {Array} [config.glassBlocks=[]] - Array of glass block configurations
+     * @param {number} [config.maxReflectionDepth=2] - Reflection depth in 'depth' generation mode
+     * @param {boolean} [config.segmentAware=false] - Only show images visible through the finite mirror segments
+     * @param {string} [config.hiddenImageMode='mark'] - 'mark' or 'drop' images hidden in segment-aware mode
+     * @param {string} [config.generationMode='depth'] - 'depth' for a fixed depth, 'viewport' to fill the visible canvas,
+     *                                                   'kaleidoscope' for every image of mirrors sharing a vertex
+     * @param {number} [config.maxImageCount=2000] - Safety cap on the total number of generated images
+     * @param {boolean} [config.useWorker=false] - Compute full regenerations off the main thread
+     * @param {number} [config.distanceFalloff=0] - Image intensity attenuation per pixel of distance from the viewer
+     * @param {number} [config.minIntensity=0.05] - Images dimmer than this are culled
+     * @param {string} [config.occlusionMode='off'] - 'off', 'mark' or 'hide' images blocked by real objects
+     * @param {SVGElement} [config.firstPersonCanvas=null] - SVG canvas for the first-person strip view
+     * @param {boolean} [config.rayCasting=false] - Draw a fan of rays cast from the viewer
+     * @param {number} [config.rayCount=36] - Number of rays in the fan
+     * @param {number} [config.maxRayBounces=10] - Mirror bounces after which a ray is stopped
      */
-    constructor({ canvas, width = 800, height = 800, objects = [], mirrors = [], viewer = null }) {
+    constructor({ 
+        canvas, 
+        width = 800, 
+        height = 800, 
+        objects, 
+        mirrors, 
+        viewer = null, 
+        lightSources = [],
+        glassBlocks = [],
+        maxReflectionDepth = 2,
+        segmentAware = false, 
+        hiddenImageMode = 'mark', 
+        generationMode = 'depth', 
+        maxImageCount = 2000,
+        useWorker = false,
+        distanceFalloff = 0,
+        minIntensity = 0.05,
+        occlusionMode = 'off',
+        firstPersonCanvas = null,
+        rayCasting = false,
+        rayCount = 36,
+        maxRayBounces = 10
+    }) {
         // Real scene manager
         this.realScene = new RealSceneSimulation({ 
             canvas, 
@@ -30,17 +83,79 @@ export class MainSimulation {
             height, 
             objects, 
             mirrors, 
-            viewer 
+            viewer,
+            lightSources,
+            glassBlocks
         });
         
+        // Canvas properties (kept to rebuild the real scene when a scene file is loaded)
+        this.canvas = canvas;
+        this.width = width;
+        this.height = height;
+        
         // Virtual scene manager
-        this.virtualScene = new VirtualSimulation({ maxReflectionDepth: 2 });
+        this.virtualScene = new VirtualSimulation({ 
+            maxReflectionDepth, 
+            segmentAware, 
+            hiddenImageMode,
+            generationMode,
+            viewport: { minX: 0, minY: 0, maxX: width, maxY: height },
+            maxImageCount,
+            useWorker,
+            distanceFalloff,
+            minIntensity,
+            occlusionMode
+        });
+        
+        // Optional strip showing what the viewer sees
+        this.firstPersonView = firstPersonCanvas
+            ? new FirstPersonSimulation({ canvas: firstPersonCanvas, width })
+            : null;
+        
+        // Worker results arrive asynchronously and need their own render pass
+        this.virtualScene.onFrameReady = () => this.renderScene();
+        
+        // Light path overlay for the selected virtual object
+        this.lightPath = new LightPath();
+        this.selectedImage = null;
+        this.virtualScene.onVirtualObjectSelect = ({ virtualObject }) => {
+            this.selectVirtualObject({ virtualObject });
+        };
+        this.handleCanvasClick = this.handleCanvasClick.bind(this);
+        
+        // Ray-casting overlay: rays from the viewer bouncing off the real mirrors
+        this.rayFan = new RayFan();
+        this.rayCasting = rayCasting;
+        this.rayCount = rayCount;
+        this.maxRayBounces = maxRayBounces;
+        
+        // Beam overlay per light source, keyed by the light source
+        this.lightBeams = new Map();
+        
+        // Predicted vs actual image count label for kaleidoscope wedges
+        this.imageCountOverlay = new ImageCountOverlay();
+        
+        // Drawing tool for new polygon objects, and the real object whose vertex handles are shown
+        this.polygonDrawTool = new PolygonDrawTool();
+        this.polygonDrawTool.onComplete = ({ vertices, fill }) => {
+            const object = new PolygonObject({ vertices, fill });
+            this.addObject({ object });
+            this.selectObject({ object });
+        };
+        this.selectedObject = null;
+        
+        // Undo/redo of whole edits: one command per drag gesture, addition or removal
+        this.history = new CommandHistory();
+        
+        // Callbacks
+        this.onSceneChange = null; // Called whenever an entity is moved, added or removed, or a scene is loaded
         
         this.isRunning = false;
     }
     
     /**
      * Initialize the complete simulation
+     * @throws {SceneValidationError} If the scene configuration is invalid
      */
     init() {
         console.log('Initializing main simulation...');
@@ -51,9 +166,21 @@ export class MainSimulation {
         // Initialize virtual scene
         this.virtualScene.init();
         
+        // Initialize first-person strip
+        if (this.firstPersonView) {
+            this.firstPersonView.init();
+        }
+        
         // Set up object callbacks for virtual object updates
         this.setupObjectCallbacks();
         
+        // Light path layer; clicking the empty canvas clears the selection
+        this.lightPath.render({ parentSvg: this.realScene.canvas });
+        this.realScene.canvas.addEventListener('click', this.handleCanvasClick);
+        this.imageCountOverlay.render({ parentSvg: this.realScene.canvas });
+        this.rayFan.render({ parentSvg: this.realScene.canvas });
+        this.polygonDrawTool.render({ parentSvg: this.realScene.canvas });
+        
         // Generate virtual objects and viewers
         this.updateVirtualObjectsAndViewers();
         
@@ -70,21 +197,93 @@ export class MainSimulation {
     setupObjectCallbacks() {
         this.realScene.getObjects().forEach(object => {
             object.onPositionChange = () => {
-                this.updateVirtualObjectsAndViewers();
+                this.updateVirtualPositions();
                 this.renderScene();
+                this.handleSceneChange();
             };
+            object.onSelect = () => this.selectObject({ object });
+            this.setupDragHistory({ entity: object });
+        });
+        
+        // Light beams only depend on real geometry, so moving a source just redraws
+        this.realScene.getLightSources().forEach(lightSource => {
+            this.setupLightSourceCallbacks({ lightSource });
+        });
+        
+        // Glass blocks only bend traced rays and have no virtual images
+        this.realScene.getGlassBlocks().forEach(glassBlock => {
+            glassBlock.onPositionChange = () => {
+                this.renderScene();
+                this.handleSceneChange();
+            };
+            this.setupDragHistory({ entity: glassBlock });
         });
         
         // Set up viewer callback
         const viewer = this.realScene.getViewer();
         if (viewer) {
             viewer.onPositionChange = () => {
-                this.updateVirtualObjectsAndViewers();
+                this.updateVirtualPositions();
                 this.renderScene();
+                this.handleSceneChange();
             };
+            
+            // Rotating the view cone re-orients the virtual viewers and re-dims the images
+            viewer.onDirectionChange = viewer.onPositionChange;
+            this.setupDragHistory({ entity: viewer });
         }
     }
     
+    /**
+     * Record each drag or rotate gesture of an entity as one MoveCommand, from mousedown to mouseup
+     * @param {Object} config - Configuration object
+     * @param {PolygonObject|GlassBlock|Viewer|LightSource} config.entity - Entity to watch
+     */
+    setupDragHistory({ entity }) {
+        let before = null;
+        
+        entity.onDragStart = () => {
+            before = entity.getPlacement();
+        };
+        
+        entity.onDragEnd = () => {
+            const after = entity.getPlacement();
+            
+            // A click without movement is not an edit
+            if (before && JSON.stringify(after) !== JSON.stringify(before)) {
+                this.history.record({
+                    command: new MoveCommand({ entity, before, after, onChange: () => this.handleHistoryStep() })
+                });
+            }
+            before = null;
+        };
+    }
+    
+    /**
+     * Recompute the images and redraw after an entity is moved by undo or redo
+     */
+    handleHistoryStep() {
+        this.updateVirtualObjectsAndViewers();
+        this.renderScene();
+        this.handleSceneChange();
+    }
+    
+    /**
+     * Undo the most recent edit
+     * @returns {boolean} True if an edit was undone
+     */
+    undo() {
+        return this.history.undo();
+    }
+    
+    /**
+     * Redo the most recently undone edit
+     * @returns {boolean} True if an edit was redone
+     */
+    redo() {
+        return this.history.redo();
+    }
+    
     /**
      * Add an object to the simulation
      * @param {Object} config - Configuration object
@@ -96,12 +295,125 @@ export class MainSimulation {
         
         // Set up callback for virtual object updates
         object.onPositionChange = () => {
-            this.updateVirtualObjectsAndViewers();
+            this.updateVirtualPositions();
             this.renderScene();
+            this.handleSceneChange();
         };
+        object.onSelect = () => this.selectObject({ object });
+        this.setupDragHistory({ entity: object });
         
         // Update virtual objects and viewers
         this.updateVirtualObjectsAndViewers();
+        this.renderScene();
+        this.handleSceneChange();
+        
+        this.history.record({
+            command: new AddCommand({
+                add: () => this.addObject({ object }),
+                remove: () => this.removeObject({ object })
+            })
+        });
+    }
+    
+    /**
+     * Notify the onSceneChange listener that the serialized scene has changed
+     */
+    handleSceneChange() {
+        if (this.onSceneChange) {
+            this.onSceneChange();
+        }
+    }
+    
+    /**
+     * Redraw the scene whenever a light source is dragged or rotated
+     * @param {Object} config - Configuration object
+     * @param {LightSource} config.lightSource - Light source to watch
+     */
+    setupLightSourceCallbacks({ lightSource }) {
+        lightSource.onPositionChange = () => {
+            this.renderScene();
+            this.handleSceneChange();
+        };
+        lightSource.onDirectionChange = lightSource.onPositionChange;
+        this.setupDragHistory({ entity: lightSource });
+    }
+    
+    /**
+     * Add a light source to the simulation
+     * @param {Object} config - Configuration object
+     * @param {LightSource} config.lightSource - Light source to add to the scene
+     */
+    addLightSource({ lightSource }) {
+        this.realScene.addLightSource({ lightSource });
+        this.setupLightSourceCallbacks({ lightSource });
+        this.renderScene();
+        this.handleSceneChange();
+        
+        this.history.record({
+            command: new AddCommand({
+                add: () => this.addLightSource({ lightSource }),
+                remove: () => this.removeLightSource({ lightSource })
+            })
+        });
+    }
+    
+    /**
+     * Remove a light source and its beam from the simulation
+     * @param {Object} config - Configuration object
+     * @param {LightSource} config.lightSource - Light source to remove from the scene
+     */
+    removeLightSource({ lightSource }) {
+        this.realScene.removeLightSource({ lightSource });
+        this.renderScene();
+        this.handleSceneChange();
+        
+        this.history.record({
+            command: new RemoveCommand({
+                add: () => this.addLightSource({ lightSource }),
+                remove: () => this.removeLightSource({ lightSource })
+            })
+        });
+    }
+    
+    /**
+     * Add a glass block to the simulation
+     * @param {Object} config - Configuration object
+     * @param {GlassBlock} config.glassBlock - Glass block to add to the scene
+     */
+    addGlassBlock({ glassBlock }) {
+        this.realScene.addGlassBlock({ glassBlock });
+        glassBlock.onPositionChange = () => {
+            this.renderScene();
+            this.handleSceneChange();
+        };
+        this.setupDragHistory({ entity: glassBlock });
+        this.renderScene();
+        this.handleSceneChange();
+        
+        this.history.record({
+            command: new AddCommand({
+                add: () => this.addGlassBlock({ glassBlock }),
+                remove: () => this.removeGlassBlock({ glassBlock })
+            })
+        });
+    }
+    
+    /**
+     * Remove a glass block from the simulation
+     * @param {Object} config - Configuration object
+     * @param {GlassBlock} config.glassBlock - Glass block to remove from the scene
+     */
+    removeGlassBlock({ glassBlock }) {
+        this.realScene.removeGlassBlock({ glassBlock });
+        this.renderScene();
+        this.handleSceneChange();
+        
+        this.history.record({
+            command: new RemoveCommand({
+                add: () => this.addGlassBlock({ glassBlock }),
+                remove: () => this.removeGlassBlock({ glassBlock })
+            })
+        });
     }
     
     /**
@@ -110,8 +422,106 @@ export class MainSimulation {
      * @param {PolygonObject} config.object - Object to remove from the scene
      */
     removeObject({ object }) {
+        if (object === this.selectedObject) {
+            this.deselectObject();
+        }
+        
         this.realScene.removeObject({ object });
         this.updateVirtualObjectsAndViewers();
+        this.renderScene();
+        this.handleSceneChange();
+        
+        this.history.record({
+            command: new RemoveCommand({
+                add: () => this.addObject({ object }),
+                remove: () => this.removeObject({ object })
+            })
+        });
+    }
+    
+    /**
+     * Capture the live scene (entity positions, optics and style plus generation settings)
+     * @returns {Object} Scene in the current SceneFormat version
+     */
+    serialize() {
+        return SceneFormat.create({
+            mirrors: this.realScene.getMirrors(),
+            objects: this.realScene.getObjects(),
+            viewer: this.realScene.getViewer(),
+            glassBlocks: this.realScene.getGlassBlocks(),
+            lightSources: this.realScene.getLightSources(),
+            settings: this.getSettings()
+        });
+    }
+    
+    /**
+     * Replace the current scene with a saved one, rebuilding the real scene in place.
+     * Settings missing from the scene keep their current values.
+     * @param {Object} config - Configuration object
+     * @param {Object} config.scene - Scene from SceneFormat.parse or serialize
+     * @throws {SceneValidationError} If the scene is invalid (the current scene is kept)
+     */
+    loadScene({ scene }) {
+        SceneValidator.assertValid({
+            errors: SceneValidator.validate({ scene, canvas: { width: this.width, height: this.height } })
+        });
+        
+        this.clearSelection();
+        this.deselectObject();
+        
+        // Rebuild the real scene from the scene's entity configurations
+        this.realScene.destroy();
+        this.realScene = new RealSceneSimulation({
+            canvas: this.canvas,
+            width: this.width,
+            height: this.height,
+            objects: scene.objects,
+            mirrors: scene.mirrors,
+            viewer: scene.viewer,
+            lightSources: scene.lightSources,
+            glassBlocks: scene.glassBlocks
+        });
+        this.realScene.init();
+        this.setupObjectCallbacks();
+        
+        // Edits of the previous scene refer to entities that no longer exist
+        this.history.clear();
+        
+        this.applySettings({ settings: scene.settings || {} });
+        
+        // New entities have new ids, so reconciliation replaces every image
+        this.updateVirtualObjectsAndViewers();
+        this.renderScene();
+        this.handleSceneChange();
+    }
+    
+    /**
+     * Get the generation and visibility settings saved with a scene
+     * @returns {Object} Current settings of the virtual scene
+     */
+    getSettings() {
+        return {
+            maxReflectionDepth: this.virtualScene.maxReflectionDepth,
+            generationMode: this.virtualScene.generationMode,
+            segmentAware: this.virtualScene.segmentAware,
+            hiddenImageMode: this.virtualScene.hiddenImageMode,
+            occlusionMode: this.virtualScene.occlusionMode,
+            distanceFalloff: this.virtualScene.distanceFalloff,
+            minIntensity: this.virtualScene.minIntensity
+        };
+    }
+    
+    /**
+     * Apply saved settings to the virtual scene
+     * @param {Object} config - Configuration object
+     * @param {Object} config.settings - Settings to apply (missing keys are left unchanged)
+     */
+    applySettings({ settings }) {
+        Object.keys(this.getSettings()).forEach(key => {
+            if (settings[key] !== undefined) {
+                this.virtualScene[key] = settings[key];
+            }
+        });
     }
     
     /**
@@ -123,6 +533,250 @@ export class MainSimulation {
         
         // Render virtual objects and viewers on top
         this.virtualScene.renderVirtualObjectsAndViewers({ parentSvg: this.realScene.canvas });
+        
+        // Rays and light paths stay above every image
+        this.updateRayFan();
+        this.rayFan.bringToFront();
+        this.updateLightBeams();
+        this.updateLightPath();
+        this.lightPath.bringToFront();
+        
+        this.updateImageCountOverlay();
+        this.imageCountOverlay.bringToFront();
+        
+        // Editing aids stay above everything, the drawing layer topmost so it receives every click
+        if (this.selectedObject) {
+            this.selectedObject.bringHandlesToFront();
+        }
+        this.polygonDrawTool.bringToFront();
+        
+        // Recast the first-person view so it follows every drag
+        if (this.firstPersonView) {
+            this.firstPersonView.render({
+                viewer: this.realScene.getViewer(),
+                mirrors: this.realScene.getMirrors(),
+                objects: this.realScene.getObjects(),
+                glassBlocks: this.realScene.getGlassBlocks()
+            });
+        }
+    }
+    
+    /**
+     * Recast the fan of rays from the viewer across its field of view
+     */
+    updateRayFan() {
+        const viewer = this.realScene.getViewer();
+        
+        if (!this.rayCasting || !viewer) {
+            this.rayFan.setRays({ rays: [] });
+            return;
+        }
+        
+        // A full circle would repeat its first ray at 360°, so full views divide by rayCount instead
+        const fieldOfView = Math.min(viewer.fieldOfView, 360);
+        const steps = fieldOfView >= 360 ? this.rayCount : Math.max(this.rayCount - 1, 1);
+        const startAngle = viewer.direction - fieldOfView / 2;
+        
+        const rays = Array.from({ length: this.rayCount }, (_, index) => {
+            const radians = (startAngle + fieldOfView * index / steps) * Math.PI / 180;
+            
+            return ReflectionEngine.castRay({
+                origin: viewer.getPosition(),
+                direction: { x: Math.cos(radians), y: Math.sin(radians) },
+                mirrors: this.realScene.getMirrors(),
+                objects: this.realScene.getObjects(),
+                glassBlocks: this.realScene.getGlassBlocks(),
+                maxBounces: this.maxRayBounces
+            });
+        });
+        
+        this.rayFan.setRays({ rays });
+    }
+    
+    /**
+     * Retrace the beam of every light source, adding and removing beam overlays as sources come and go
+     */
+    updateLightBeams() {
+        const lightSources = this.realScene.getLightSources();
+        
+        // Drop beams of removed light sources
+        this.lightBeams.forEach((beam, lightSource) => {
+            if (!lightSources.includes(lightSource)) {
+                beam.destroy();
+                this.lightBeams.delete(lightSource);
+            }
+        });
+        
+        lightSources.forEach(lightSource => {
+            if (!this.lightBeams.has(lightSource)) {
+                const beam = new RayFan({ stroke: lightSource.color, strokeWidth: 2, opacity: 0.9 });
+                beam.render({ parentSvg: this.realScene.canvas });
+                this.lightBeams.set(lightSource, beam);
+            }
+            
+            const beam = this.lightBeams.get(lightSource);
+            beam.setRays({
+                rays: ReflectionEngine.traceBeam({
+                    lightSource,
+                    mirrors: this.realScene.getMirrors(),
+                    objects: this.realScene.getObjects(),
+                    glassBlocks: this.realScene.getGlassBlocks()
+                })
+            });
+            beam.bringToFront();
+        });
+    }
+    
+    /**
+     * Turn the ray-casting overlay on or off
+     * @param {Object} config - Configuration object
+     * @param {boolean} config.enabled - Whether rays are drawn
+     * @param {number} [config.rayCount] - New number of rays in the fan
+     */
+    setRayCasting({ enabled, rayCount = this.rayCount }) {
+        this.rayCasting = enabled;
+        this.rayCount = rayCount;
+        this.updateRayFan();
+    }
+    
+    /**
+     * Refresh the kaleidoscope label with the predicted and generated image counts
+     */
+    updateImageCountOverlay() {
+        const analysis = this.virtualScene.generationMode === 'kaleidoscope'
+            ? ReflectionEngine.analyzeKaleidoscope({ mirrors: this.realScene.getMirrors() })
+            : null;
+        
+        if (!analysis) {
+            this.imageCountOverlay.setCounts({ analysis: null });
+            return;
+        }
+        
+        // Which images a wedge forms depends on where the object sits, so count those of one object
+        const [firstObject] = this.realScene.getObjects();
+        const images = this.virtualScene.getVirtualObjects()
+            .filter(virtualObject => virtualObject.originalObject === firstObject);
+        const visibleCount = this.virtualScene.segmentAware
+            ? images.filter(virtualObject => !virtualObject.isHidden && virtualObject.isVisible).length
+            : null;
+        
+        this.imageCountOverlay.setCounts({
+            analysis,
+            actualCount: images.length,
+            visibleCount
+        });
+    }
+    
+    /**
+     * Select a virtual object and trace its light paths to the viewer
+     * @param {Object} config - Configuration object
+     * @param {VirtualObject} config.virtualObject - Clicked virtual object
+     */
+    selectVirtualObject({ virtualObject }) {
+        // Remember the image by its original and room so it survives regeneration
+        this.selectedImage = {
+            originalObject: virtualObject.originalObject,
+            signature: virtualObject.transform.getSignature()
+        };
+        this.updateLightPath();
+    }
+    
+    /**
+     * Clear the selected virtual object and hide its light paths
+     */
+    clearSelection() {
+        this.selectedImage = null;
+        this.updateLightPath();
+    }
+    
+    /**
+     * Find the current virtual object matching the selection, if it still exists
+     * @returns {VirtualObject|null} Selected virtual object
+     */
+    getSelectedVirtualObject() {
+        if (!this.selectedImage) return null;
+        
+        const { originalObject, signature } = this.selectedImage;
+        const match = this.virtualScene.getVirtualObjects().find(virtualObject =>
+            virtualObject.originalObject === originalObject &&
+            virtualObject.transform.getSignature() === signature
+        );
+        
+        return match || null;
+    }
+    
+    /**
+     * Retrace the light paths of the selected virtual object
+     */
+    updateLightPath() {
+        const virtualObject = this.getSelectedVirtualObject();
+        const path = virtualObject
+            ? ReflectionEngine.traceLightPath({ virtualObject, viewer: this.realScene.getViewer() })
+            : null;
+        
+        this.lightPath.setPath({ path });
+    }
+    
+    /**
+     * Handle clicks on the empty canvas to clear the selection
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleCanvasClick(event) {
+        if (event.target === this.realScene.canvas) {
+            this.clearSelection();
+            this.deselectObject();
+        }
+    }
+    
+    /**
+     * Select a real object, showing its vertex handles in place of the previous selection's
+     * @param {Object} config - Configuration object
+     * @param {PolygonObject} config.object - Object to select
+     */
+    selectObject({ object }) {
+        if (this.selectedObject && this.selectedObject !== object) {
+            this.selectedObject.setSelected({ selected: false });
+        }
+        
+        this.selectedObject = object;
+        object.setSelected({ selected: true });
+        object.bringHandlesToFront();
+    }
+    
+    /**
+     * Deselect the selected real object, hiding its vertex handles
+     */
+    deselectObject() {
+        if (this.selectedObject) {
+            this.selectedObject.setSelected({ selected: false });
+            this.selectedObject = null;
+        }
+    }
+    
+    /**
+     * Get the real object whose vertex handles are shown
+     * @returns {PolygonObject|null} Selected object
+     */
+    getSelectedObject() {
+        return this.selectedObject;
+    }
+    
+    /**
+     * Start drawing a new polygon object by clicking its vertices on the canvas
+     * @param {Object} config - Configuration object
+     * @param {string} config.fill - Fill color of the new object
+     */
+    startDrawing({ fill }) {
+        this.deselectObject();
+        this.polygonDrawTool.start({ fill });
+        this.polygonDrawTool.bringToFront();
+    }
+    
+    /**
+     * Discard the polygon being drawn
+     */
+    cancelDrawing() {
+        this.polygonDrawTool.cancel();
     }
     
     /**
@@ -146,6 +800,17 @@ export class MainSimulation {
         });
     }
     
+    /**
+     * Move existing virtual objects and viewers using their cached transforms
+     */
+    updateVirtualPositions() {
+        this.virtualScene.updateVirtualPositions({
+            objects: this.realScene.getObjects(),
+            viewer: this.realScene.getViewer(),
+            mirrors: this.realScene.getMirrors()
+        });
+    }
+    
     /**
      * Get all objects in the scene (real only)
      * @returns {Array} Array of all real objects
@@ -170,6 +835,30 @@ export class MainSimulation {
         return this.virtualScene.getVirtualViewers();
     }
     
+    /**
+     * Get all virtual mirrors (walls of the virtual rooms)
+     * @returns {Array} Array of all virtual mirrors
+     */
+    getVirtualMirrors() {
+        return this.virtualScene.getVirtualMirrors();
+    }
+    
+    /**
+     * Get all glass blocks in the scene
+     * @returns {Array} Array of all glass blocks
+     */
+    getGlassBlocks() {
+        return this.realScene.getGlassBlocks();
+    }
+    
+    /**
+     * Get all light sources in the scene
+     * @returns {Array} Array of all light sources
+     */
+    getLightSources() {
+        return this.realScene.getLightSources();
+    }
+    
     /**
      * Get the real viewer
      * @returns {Viewer|null} The real viewer object
@@ -182,6 +871,16 @@ export class MainSimulation {
      * Stop the simulation and clean up
      */
     destroy() {
+        this.realScene.canvas.removeEventListener('click', this.handleCanvasClick);
+        this.lightPath.destroy();
+        this.imageCountOverlay.destroy();
+        this.rayFan.destroy();
+        this.polygonDrawTool.destroy();
+        this.lightBeams.forEach(beam => beam.destroy());
+        this.lightBeams.clear();
+        if (this.firstPersonView) {
+            this.firstPersonView.destroy();
+        }
         this.virtualScene.destroy();
         this.realScene.destroy();
         this.isRunning = false;
@@ -1,12 +1,15 @@
 /**
  * @file realSimulation.js - Real scene simulation management
  * Classes: RealSceneSimulation
- * Dependencies: PolygonObject, Mirror, Viewer
+ * Dependencies: PolygonObject, GlassBlock, Mirror, Viewer, LightSource, SceneValidator
  */
 
 import { PolygonObject } from '../entities/real/PolygonObject.js';
+import { GlassBlock } from '../entities/real/GlassBlock.js';
 import { Mirror } from '../entities/real/Mirror.js';
 import { Viewer } from '../entities/real/Viewer.js';
+import { LightSource } from '../entities/real/LightSource.js';
+import { SceneValidator } from '../core/SceneValidator.js';
 
 /**
  * @class RealSceneSimulation
@@ -19,11 +22,13 @@ export class RealSceneSimulation {
      * @param {SVGElement} config.canvas - SVG canvas element for rendering
      * @param {number} [config.width=800] - Canvas width
      * @param {number} [config.height=800] - Canvas height
-     * @param {Array} [config.objects=[]] - Array of object configurations
-     * @param {Array} [config.mirrors=[]] - Array of mirror configurations
+     * @param {Array} [config.objects] - Array of object configurations (a sample triangle when omitted)
+     * @param {Array} [config.mirrors] - Array of mirror configurations (sample mirrors when omitted)
      * @param {Object} [config.viewer=null] - Viewer configuration
+     * @param {Array} [config.lightSources=[]] - Array of light source configurations
+     * @param {Array} [config.glassBlocks=[]] - Array of glass block configurations
      */
-    constructor({ canvas, width = 800, height = 800, objects = [], mirrors = [], viewer = null }) {
+    constructor({ canvas, width = 800, height = 800, objects, mirrors, viewer = null, lightSources = [], glassBlocks = [] }) {
         // Canvas properties
         this.canvas = canvas;
         this.width = width;
@@ -33,20 +38,28 @@ export class RealSceneSimulation {
         this.objectConfigs = objects;
         this.mirrorConfigs = mirrors;
         this.viewerConfig = viewer;
+        this.lightSourceConfigs = lightSources;
+        this.glassBlockConfigs = glassBlocks;
         
         // Scene objects
         this.objects = [];
         this.mirrors = [];
         this.viewer = null;
+        this.lightSources = [];
+        this.glassBlocks = [];
         this.isRunning = false;
     }
     
     /**
      * Initialize the real scene with configured objects
+     * @throws {SceneValidationError} If the configuration is invalid (nothing is built)
      */
     init() {
         console.log('Initializing real scene...');
         
+        // Report every problem at once, before anything is torn down or half-built
+        SceneValidator.assertValid({ errors: this.validateConfig() });
+        
         // Clear any existing objects
         this.clearScene();
         
@@ -59,10 +72,33 @@ export class RealSceneSimulation {
         // Create objects from configuration
         this.createObjectsFromConfig();
         
+        // Create glass blocks from configuration
+        this.createGlassBlocksFromConfig();
+        
+        // Create light sources from configuration
+        this.createLightSourcesFromConfig();
+        
         this.isRunning = true;
         console.log('Real scene initialized successfully');
     }
     
+    /**
+     * Validate the whole scene configuration
+     * @returns {Array} Problems found [{path, message}] (empty when the configuration is valid)
+     */
+    validateConfig() {
+        return SceneValidator.validate({
+            scene: {
+                objects: this.objectConfigs,
+                mirrors: this.mirrorConfigs,
+                viewer: this.viewerConfig,
+                lightSources: this.lightSourceConfigs,
+                glassBlocks: this.glassBlockConfigs
+            },
+            canvas: { width: this.width, height: this.height }
+        });
+    }
+    
     /**
      * Create sample objects for testing the simulation
      */
@@ -87,8 +123,8 @@ export class RealSceneSimulation {
      * Create objects from configuration array
      */
     createObjectsFromConfig() {
-        if (this.objectConfigs.length === 0) {
-            // Fall back to default objects if no configuration provided
+        if (this.objectConfigs === undefined) {
+            // Fall back to default objects if no configuration provided (an empty list stays empty)
             this.createSampleObjects();
             return;
         }
@@ -133,6 +169,51 @@ export class RealSceneSimulation {
         }
     }
     
+    /**
+     * Create glass blocks from configuration array (none by default)
+     */
+    createGlassBlocksFromConfig() {
+        this.glassBlockConfigs.forEach(config => {
+            const processedVertices = config.vertices.map(vertex => ({
+                x: this.resolvePosition(vertex.x, this.width),
+                y: this.resolvePosition(vertex.y, this.height)
+            }));
+            
+            const glassBlock = new GlassBlock({
+                vertices: processedVertices,
+                refractiveIndex: config.refractiveIndex ?? 1.5,
+                fill: config.fill || '#aed6f1',
+                fillOpacity: config.fillOpacity ?? 0.4,
+                stroke: config.stroke || '#5dade2',
+                strokeWidth: config.strokeWidth || 2
+            });
+            
+            this.addGlassBlock({ glassBlock });
+        });
+    }
+    
+    /**
+     * Add a glass block to the real scene
+     * @param {Object} config - Configuration object
+     * @param {GlassBlock} config.glassBlock - Glass block to add to the scene
+     */
+    addGlassBlock({ glassBlock }) {
+        this.glassBlocks.push(glassBlock);
+    }
+    
+    /**
+     * Remove a glass block from the real scene
+     * @param {Object} config - Configuration object
+     * @param {GlassBlock} config.glassBlock - Glass block to remove from the scene
+     */
+    removeGlassBlock({ glassBlock }) {
+        const index = this.glassBlocks.indexOf(glassBlock);
+        if (index > -1) {
+            this.glassBlocks.splice(index, 1);
+            glassBlock.destroy();
+        }
+    }
+    
     /**
      * Add a mirror to the real scene
      * @param {Object} config - Configuration object
@@ -155,6 +236,49 @@ export class RealSceneSimulation {
         }
     }
     
+    /**
+     * Add a light source to the real scene
+     * @param {Object} config - Configuration object
+     * @param {LightSource} config.lightSource - Light source to add to the scene
+     */
+    addLightSource({ lightSource }) {
+        this.lightSources.push(lightSource);
+    }
+    
+    /**
+     * Remove a light source from the real scene
+     * @param {Object} config - Configuration object
+     * @param {LightSource} config.lightSource - Light source to remove from the scene
+     */
+    removeLightSource({ lightSource }) {
+        const index = this.lightSources.indexOf(lightSource);
+        if (index > -1) {
+            this.lightSources.splice(index, 1);
+            lightSource.destroy();
+        }
+    }
+    
+    /**
+     * Create light sources from configuration array (none by default)
+     */
+    createLightSourcesFromConfig() {
+        this.lightSourceConfigs.forEach(config => {
+            const lightSource = new LightSource({
+                x: this.resolvePosition(config.x, this.width),
+                y: this.resolvePosition(config.y, this.height),
+                direction: config.direction ?? 0,
+                spread: config.spread ?? 0,
+                rayCount: config.rayCount || 9,
+                radius: config.radius || 8,
+                color: config.color || '#e74c3c',
+                stroke: config.stroke || '#922b21',
+                strokeWidth: config.strokeWidth || 2
+            });
+            
+            this.addLightSource({ lightSource });
+        });
+    }
+    
     /**
      * Create mirror boundaries forming a rectangular box
      */
@@ -180,8 +304,8 @@ export class RealSceneSimulation {
      * Create mirrors from configuration array
      */
     createMirrorsFromConfig() {
-        if (this.mirrorConfigs.length === 0) {
-            // Fall back to default mirrors if no configuration provided
+        if (this.mirrorConfigs === undefined) {
+            // Fall back to default mirrors if no configuration provided (an empty list stays empty)
             this.createMirrors();
             return;
         }
@@ -193,7 +317,9 @@ export class RealSceneSimulation {
                 x2: this.resolvePosition(config.x2, this.width),
                 y2: this.resolvePosition(config.y2, this.height),
                 stroke: config.stroke || '#2c3e50',
-                strokeWidth: config.strokeWidth || 3
+                strokeWidth: config.strokeWidth || 3,
+                reflectivity: config.reflectivity ?? 1,
+                reflectiveSide: config.reflectiveSide || 'both'
             });
             
             this.addMirror({ mirror });
@@ -231,22 +357,20 @@ export class RealSceneSimulation {
             radius: this.viewerConfig.radius || 15,
             fill: this.viewerConfig.fill || '#007acc',
             stroke: this.viewerConfig.stroke || '#005a99',
-            strokeWidth: this.viewerConfig.strokeWidth || 2
+            strokeWidth: this.viewerConfig.strokeWidth || 2,
+            direction: this.viewerConfig.direction ?? -90,
+            fieldOfView: this.viewerConfig.fieldOfView ?? 360
         });
     }
     
     /**
      * Resolve position value (supports percentages and absolute values)
-     * @param {number|string} value - Position value (number or percentage string)
+     * @param {number|string} value - Position value (number or percentage string, checked by SceneValidator)
      * @param {number} dimension - Canvas dimension (width or height)
      * @returns {number} Resolved absolute position
      */
     resolvePosition(value, dimension) {
-        if (typeof value === 'string' && value.endsWith('%')) {
-            const percentage = parseFloat(value) / 100;
-            return dimension * percentage;
-        }
-        return value;
+        return SceneValidator.resolvePosition({ value, dimension });
     }
     
     /**
@@ -258,6 +382,11 @@ export class RealSceneSimulation {
             mirror.render({ parentSvg: this.canvas });
         });
         
+        // Render glass blocks
+        this.glassBlocks.forEach(glassBlock => {
+            glassBlock.render({ parentSvg: this.canvas });
+        });
+        
         // Render real objects
         this.objects.forEach(object => {
             object.render({ parentSvg: this.canvas });
@@ -265,6 +394,11 @@ export class RealSceneSimulation {
         
         // Render viewer (observer)
         this.viewer.render({ parentSvg: this.canvas });
+        
+        // Render light sources
+        this.lightSources.forEach(lightSource => {
+            lightSource.render({ parentSvg: this.canvas });
+        });
     }
     
     /**
@@ -276,6 +410,11 @@ export class RealSceneSimulation {
         });
         this.objects = [];
         
+        this.glassBlocks.forEach(glassBlock => {
+            glassBlock.destroy();
+        });
+        this.glassBlocks = [];
+        
         this.mirrors.forEach(mirror => {
             mirror.destroy();
         });
@@ -285,6 +424,11 @@ export class RealSceneSimulation {
             this.viewer.destroy();
             this.viewer = null;
         }
+        
+        this.lightSources.forEach(lightSource => {
+            lightSource.destroy();
+        });
+        this.lightSources = [];
     }
     
     /**
@@ -295,6 +439,14 @@ export class RealSceneSimulation {
         return [...this.objects];
     }
     
+    /**
+     * Get all glass blocks in the real scene
+     * @returns {Array} Array of all glass blocks in the simulation
+     */
+    getGlassBlocks() {
+        return [...this.glassBlocks];
+    }
+    
     /**
      * Get all mirrors in the real scene
      * @returns {Array} Array of all mirrors in the simulation
@@ -303,6 +455,14 @@ export class RealSceneSimulation {
         return [...this.mirrors];
     }
     
+    /**
+     * Get all light sources in the real scene
+     * @returns {Array} Array of all light sources in the simulation
+     */
+    getLightSources() {
+        return [...this.lightSources];
+    }
+    
     /**
      * Get the viewer in the real scene
      * @returns {Viewer|null} The viewer object or null if not created
@@ -1,10 +1,14 @@
 /**
  * @file virtualSimulation.js - Virtual object simulation management
  * Classes: VirtualSimulation
- * Dependencies: ReflectionEngine
+ * Dependencies: ReflectionEngine, ReflectionWorkerClient, VirtualObject, VirtualViewer, VirtualMirror
  */
 
 import { ReflectionEngine } from '../engines/ReflectionEngine.js';
+import { ReflectionWorkerClient } from '../engines/ReflectionWorkerClient.js';
+import { VirtualObject } from '../entities/virtual/VirtualObject.js';
+import { VirtualViewer } from '../entities/virtual/VirtualViewer.js';
+import { VirtualMirror } from '../entities/virtual/VirtualMirror.js';
 
 /**
  * @class VirtualSimulation
@@ -15,13 +19,64 @@ export class VirtualSimulation {
     /**
      * @param {Object} config - Configuration object
      * @param {number} [config.maxReflectionDepth=1] - Maximum reflection depth
+     * @param {boolean} [config.segmentAware=false] - Treat mirrors as finite segments when deciding visibility
+     * @param {string} [config.hiddenImageMode='mark'] - 'mark' to render hidden images faintly, 'drop' to omit them
+     * @param {boolean} [config.showVirtualMirrors=true] - Render reflected mirrors as virtual room walls
+     * @param {string} [config.generationMode='depth'] - 'depth' stops at maxReflectionDepth, 'viewport' recurses while rooms are
+     *                                                   on screen, 'kaleidoscope' generates every image formed inside a two-mirror wedge
+     * @param {Object} [config.viewport=null] - Visible area {minX, minY, maxX, maxY} used by 'viewport' mode
+     * @param {number} [config.maxImageCount=2000] - Safety cap on the total number of generated images
+     * @param {boolean} [config.useWorker=false] - Compute full regenerations in a Web Worker
+     * @param {number} [config.distanceFalloff=0] - Intensity attenuation per pixel of viewer-to-image distance
+     * @param {number} [config.minIntensity=0.05] - Images dimmer than this are culled
+     * @param {string} [config.occlusionMode='off'] - 'off', 'mark' to style images blocked by real objects,
+     *                                                 or 'hide' to remove them from view
      */
-    constructor({ maxReflectionDepth = 1 } = {}) {
+    constructor({ 
+        maxReflectionDepth = 1, 
+        segmentAware = false, 
+        hiddenImageMode = 'mark', 
+        showVirtualMirrors = true, 
+        generationMode = 'depth', 
+        viewport = null, 
+        maxImageCount = 2000,
+        useWorker = false,
+        distanceFalloff = 0,
+        minIntensity = 0.05,
+        occlusionMode = 'off'
+    } = {}) {
         // Virtual objects management
         this.virtualObjects = [];
         this.virtualViewers = [];
+        this.virtualMirrors = [];
+        this.virtualRooms = [];
         this.maxReflectionDepth = maxReflectionDepth;
         this.isRunning = false;
+        
+        // Generation settings
+        this.generationMode = generationMode;
+        this.viewport = viewport;
+        this.maxImageCount = maxImageCount;
+        this.isTruncated = false; // Whether the last generation stopped at the image cap
+        
+        // Worker backend (created in init when supported)
+        this.useWorker = useWorker;
+        this.workerClient = null;
+        this.lastGenerationInput = null;
+        
+        // Callbacks
+        this.onVirtualObjectSelect = null;
+        this.onFrameReady = null; // Called when asynchronously computed images replace the current frame
+        
+        // Intensity settings
+        this.distanceFalloff = distanceFalloff;
+        this.minIntensity = minIntensity;
+        
+        // Visibility settings
+        this.showVirtualMirrors = showVirtualMirrors;
+        this.segmentAware = segmentAware;
+        this.hiddenImageMode = hiddenImageMode;
+        this.occlusionMode = occlusionMode;
     }
     
     /**
@@ -31,6 +86,15 @@ export class VirtualSimulation {
         console.log('Initializing virtual simulation...');
         this.clearVirtualObjects();
         this.clearVirtualViewers();
+        this.clearVirtualMirrors();
+        
+        if (this.useWorker && ReflectionWorkerClient.isSupported()) {
+            this.workerClient = new ReflectionWorkerClient({
+                onResult: reflections => this.handleWorkerResult({ reflections }),
+                onError: event => this.handleWorkerError({ event })
+            });
+        }
+        
         this.isRunning = true;
         console.log('Virtual simulation initialized successfully');
     }
@@ -50,35 +114,303 @@ export class VirtualSimulation {
             objects,
             mirrors,
             maxDepth: this.maxReflectionDepth
-        });
-        
-        console.log(`Generated ${this.virtualObjects.length} virtual objects`);
+        }).map(model => VirtualObject.fromModel({ model }));
+        this.attachSelectionCallbacks();
     }
     
     /**
-     * Generate virtual objects and viewers based on real objects, viewer, and mirrors
+     * Generate virtual objects and viewers based on real objects, viewer, and mirrors.
+     * With the worker backend the current images stay on screen until the new ones arrive.
      * @param {Object} config - Configuration object
      * @param {Array} config.objects - Array of real objects
      * @param {Viewer} config.viewer - Real viewer
      * @param {Array} config.mirrors - Array of mirrors
      */
     generateVirtualObjectsAndViewers({ objects, viewer, mirrors }) {
-        // Clear existing virtual objects and viewers
-        this.clearVirtualObjects();
-        this.clearVirtualViewers();
+        this.lastGenerationInput = { objects, viewer, mirrors };
+        
+        if (this.workerClient) {
+            this.workerClient.requestReflections({
+                objects,
+                viewer,
+                mirrors,
+                options: { ...this.getGenerationOptions(), segmentAware: this.segmentAware }
+            });
+            return;
+        }
         
         // Generate new virtual objects and viewers
-        const reflections = ReflectionEngine.calculateAllReflectionsWithViewer({
-            objects,
+        const reflections = this.createViews({
+            reflections: ReflectionEngine.calculateAllReflectionsWithViewer({
+                objects,
+                viewer,
+                mirrors,
+                ...this.getGenerationOptions()
+            })
+        });
+        
+        // Only keep images whose sightline crosses the actual mirror segments
+        if (this.segmentAware) {
+            ReflectionEngine.applySegmentVisibility({
+                virtualObjects: reflections.virtualObjects,
+                virtualViewers: reflections.virtualViewers,
+                viewer
+            });
+        }
+        
+        this.applyReflections({ reflections });
+        this.applyIntensity({ viewer });
+        this.applyOcclusion({ viewer, objects });
+    }
+    
+    /**
+     * Wrap the DOM-free images generated by ReflectionEngine in their SVG views
+     * @param {Object} config - Configuration object
+     * @param {Object} config.reflections - Result of ReflectionEngine.calculateAllReflectionsWithViewer
+     * @returns {Object} The same result with virtualObjects, virtualViewers and virtualMirrors as views
+     */
+    createViews({ reflections }) {
+        return {
+            ...reflections,
+            virtualObjects: reflections.virtualObjects.map(model => VirtualObject.fromModel({ model })),
+            virtualViewers: reflections.virtualViewers.map(model => VirtualViewer.fromModel({ model })),
+            virtualMirrors: reflections.virtualMirrors.map(model => VirtualMirror.fromModel({ model }))
+        };
+    }
+    
+    /**
+     * Get the engine options for a full generation
+     * @returns {Object} {maxDepth, viewport, maxImageCount, minIntensity, kaleidoscope}
+     */
+    getGenerationOptions() {
+        return {
+            // Chains in a wedge end once they wrap around behind both mirrors, so recursion stops by itself
+            maxDepth: this.generationMode === 'kaleidoscope' ? Infinity : this.maxReflectionDepth,
+            viewport: this.isViewportBounded() ? this.viewport : null,
+            maxImageCount: this.maxImageCount,
+            minIntensity: this.minIntensity,
+            kaleidoscope: this.generationMode === 'kaleidoscope'
+        };
+    }
+    
+    /**
+     * Recompute image intensities (reflectance and distance falloff), cull faint images and dim
+     * images outside the viewer's field of view
+     * @param {Object} config - Configuration object
+     * @param {Viewer} config.viewer - Real viewer
+     */
+    applyIntensity({ viewer }) {
+        ReflectionEngine.applyIntensity({
+            virtualObjects: this.virtualObjects,
+            virtualViewers: this.virtualViewers,
             viewer,
-            mirrors,
-            maxDepth: this.maxReflectionDepth
+            distanceFalloff: this.distanceFalloff,
+            minIntensity: this.minIntensity
         });
         
-        this.virtualObjects = reflections.virtualObjects;
-        this.virtualViewers = reflections.virtualViewers;
+        ReflectionEngine.applyFieldOfView({
+            virtualObjects: this.virtualObjects,
+            virtualViewers: this.virtualViewers,
+            viewer
+        });
+    }
+    
+    /**
+     * Check every image's sightline against the real objects. Runs after applyIntensity, so in
+     * 'hide' mode occluded images are hidden on top of the intensity culling.
+     * @param {Object} config - Configuration object
+     * @param {Viewer} config.viewer - Real viewer
+     * @param {Array} config.objects - Array of real objects
+     */
+    applyOcclusion({ viewer, objects }) {
+        if (this.occlusionMode === 'off') return;
+        
+        ReflectionEngine.applyOcclusion({
+            virtualObjects: this.virtualObjects,
+            virtualViewers: this.virtualViewers,
+            viewer,
+            objects
+        });
+        
+        if (this.occlusionMode === 'hide') {
+            [...this.virtualObjects, ...this.virtualViewers].forEach(entity => {
+                if (entity.isOccluded) {
+                    entity.setVisible({ visible: false });
+                }
+            });
+        }
+    }
+    
+    /**
+     * Replace the current virtual entities with freshly generated ones.
+     * Entities are reconciled by key so images that still exist keep their SVG nodes and only
+     * have their attributes updated; nodes are created or removed only for images that appear
+     * or disappear.
+     * @param {Object} config - Configuration object
+     * @param {Object} config.reflections - Result of ReflectionEngine.calculateAllReflectionsWithViewer
+     */
+    applyReflections({ reflections }) {
+        // Generation reruns on every drag frame, so only report reaching the cap once
+        if (reflections.isTruncated && !this.isTruncated) {
+            console.warn(`Reflection generation stopped at the ${this.maxImageCount} image cap`);
+        }
+        this.isTruncated = reflections.isTruncated;
+        
+        let { virtualObjects, virtualViewers } = reflections;
+        
+        // Hidden images never reach the scene in drop mode
+        if (this.segmentAware && this.hiddenImageMode === 'drop') {
+            virtualObjects = virtualObjects.filter(virtualObject => !virtualObject.isHidden);
+            virtualViewers = virtualViewers.filter(virtualViewer => !virtualViewer.isHidden);
+        }
         
-        console.log(`Generated ${this.virtualObjects.length} virtual objects and ${this.virtualViewers.length} virtual viewers`);
+        this.virtualObjects = this.reconcile({ current: this.virtualObjects, next: virtualObjects });
+        this.virtualViewers = this.reconcile({ current: this.virtualViewers, next: virtualViewers });
+        this.virtualMirrors = this.reconcile({
+            current: this.virtualMirrors,
+            next: this.showVirtualMirrors ? reflections.virtualMirrors : []
+        });
+        this.virtualRooms = reflections.rooms;
+        this.attachSelectionCallbacks();
+    }
+    
+    /**
+     * Keyed reconciliation of virtual entities between two frames.
+     * An entity whose key already exists keeps the existing instance (and its SVG node), which
+     * is updated from the new one; unmatched new entities are kept as-is and rendered later;
+     * existing entities missing from the new frame are destroyed.
+     * @param {Object} config - Configuration object
+     * @param {Array} config.current - Entities currently in the scene
+     * @param {Array} config.next - Freshly generated entities
+     * @returns {Array} Entities for the new frame
+     */
+    reconcile({ current, next }) {
+        const existingByKey = new Map(current.map(entity => [entity.getKey(), entity]));
+        
+        const reconciled = next.map(entity => {
+            const key = entity.getKey();
+            const existing = existingByKey.get(key);
+            
+            if (!existing) return entity;
+            
+            existingByKey.delete(key);
+            existing.updateFrom({ source: entity });
+            return existing;
+        });
+        
+        existingByKey.forEach(entity => entity.destroy());
+        
+        return reconciled;
+    }
+    
+    /**
+     * Show images computed by the worker (visibility was already evaluated there)
+     * @param {Object} config - Configuration object
+     * @param {Object} config.reflections - Hydrated worker result
+     */
+    handleWorkerResult({ reflections }) {
+        this.applyReflections({ reflections });
+        this.applyIntensity({ viewer: this.lastGenerationInput.viewer });
+        this.applyOcclusion(this.lastGenerationInput);
+        
+        if (this.onFrameReady) {
+            this.onFrameReady();
+        }
+    }
+    
+    /**
+     * Fall back to synchronous generation when the worker fails
+     * @param {Object} config - Configuration object
+     * @param {Event} config.event - Worker error event
+     */
+    handleWorkerError({ event }) {
+        console.error('Reflection worker failed, falling back to the main thread:', event.message);
+        
+        this.workerClient.destroy();
+        this.workerClient = null;
+        
+        if (this.lastGenerationInput) {
+            this.generateVirtualObjectsAndViewers(this.lastGenerationInput);
+            if (this.onFrameReady) {
+                this.onFrameReady();
+            }
+        }
+    }
+    
+    /**
+     * Check whether generation is bounded by the viewport instead of a fixed depth
+     * @returns {boolean} True in 'viewport' mode with a viewport configured
+     */
+    isViewportBounded() {
+        return this.generationMode === 'viewport' && this.viewport !== null;
+    }
+    
+    /**
+     * Forward clicks on freshly generated virtual objects to the selection callback
+     */
+    attachSelectionCallbacks() {
+        this.virtualObjects.forEach(virtualObject => {
+            virtualObject.onSelect = this.onVirtualObjectSelect;
+        });
+    }
+    
+    /**
+     * Mark (or drop) virtual objects and viewers that cannot be seen through the mirror segments
+     * @param {Object} config - Configuration object
+     * @param {Viewer} config.viewer - Real viewer
+     */
+    applySegmentVisibility({ viewer }) {
+        ReflectionEngine.applySegmentVisibility({
+            virtualObjects: this.virtualObjects,
+            virtualViewers: this.virtualViewers,
+            viewer
+        });
+        
+        this.dropHiddenImages();
+    }
+    
+    /**
+     * Remove hidden images from the scene when hiddenImageMode is 'drop'
+     */
+    dropHiddenImages() {
+        if (this.hiddenImageMode !== 'drop') return;
+        
+        const keepVisible = entities => entities.filter(entity => {
+            if (entity.isHidden) entity.destroy();
+            return !entity.isHidden;
+        });
+        
+        this.virtualObjects = keepVisible(this.virtualObjects);
+        this.virtualViewers = keepVisible(this.virtualViewers);
+    }
+    
+    /**
+     * Move existing virtual objects and viewers after real objects or the viewer moved.
+     * Each image reapplies its cached transform, so the room tree is not rebuilt. Dropped
+     * images cannot come back this way, in viewport mode the set of on-screen rooms depends on
+     * where the contents are, and with one-sided mirrors which images exist depends on which side
+     * the contents sit, so all three fall back to a full regeneration.
+     * @param {Object} config - Configuration object
+     * @param {Array} config.objects - Array of real objects
+     * @param {Viewer} config.viewer - Real viewer
+     * @param {Array} config.mirrors - Array of mirrors
+     */
+    updateVirtualPositions({ objects, viewer, mirrors }) {
+        const hasOneSidedMirrors = mirrors.some(mirror => mirror.reflectiveSide !== 'both');
+        
+        if ((this.segmentAware && this.hiddenImageMode === 'drop') || this.isViewportBounded() || hasOneSidedMirrors) {
+            this.generateVirtualObjectsAndViewers({ objects, viewer, mirrors });
+            return;
+        }
+        
+        ReflectionEngine.updateVirtualObjects({ virtualObjects: this.virtualObjects });
+        ReflectionEngine.updateVirtualViewers({ virtualViewers: this.virtualViewers });
+        this.applyIntensity({ viewer });
+        this.applyOcclusion({ viewer, objects });
+        
+        if (this.segmentAware) {
+            this.applySegmentVisibility({ viewer });
+        }
     }
     
     /**
@@ -119,6 +451,11 @@ export class VirtualSimulation {
      * @param {SVGElement} config.parentSvg - Parent SVG container
      */
     renderVirtualObjectsAndViewers({ parentSvg }) {
+        // Render virtual room walls (inserted behind the real scene)
+        this.virtualMirrors.forEach(virtualMirror => {
+            virtualMirror.render({ parentSvg });
+        });
+        
         // Render virtual objects
         this.virtualObjects.forEach(virtualObject => {
             virtualObject.render({ parentSvg });
@@ -150,6 +487,16 @@ export class VirtualSimulation {
         this.virtualViewers = [];
     }
     
+    /**
+     * Clear all virtual mirrors from the scene
+     */
+    clearVirtualMirrors() {
+        this.virtualMirrors.forEach(virtualMirror => {
+            virtualMirror.destroy();
+        });
+        this.virtualMirrors = [];
+    }
+    
     /**
      * Get all virtual objects
      * @returns {Array} Array of all virtual objects
@@ -166,6 +513,22 @@ export class VirtualSimulation {
         return [...this.virtualViewers];
     }
     
+    /**
+     * Get all virtual mirrors (walls of the virtual rooms)
+     * @returns {Array} Array of all virtual mirrors
+     */
+    getVirtualMirrors() {
+        return [...this.virtualMirrors];
+    }
+    
+    /**
+     * Get all unique virtual rooms from the last generation
+     * @returns {Array} Rooms as {reflectionChain, equivalentChains, hasTruncatedChains, depth, transform, signature}
+     */
+    getVirtualRooms() {
+        return [...this.virtualRooms];
+    }
+    
     /**
      * Get the count of virtual objects
      * @returns {number} Number of virtual objects
@@ -191,6 +554,24 @@ export class VirtualSimulation {
         this.maxReflectionDepth = depth;
     }
     
+    /**
+     * Enable or disable segment-aware visibility
+     * @param {Object} config - Configuration object
+     * @param {boolean} config.enabled - Whether mirrors are treated as finite segments
+     */
+    setSegmentAware({ enabled }) {
+        this.segmentAware = enabled;
+    }
+    
+    /**
+     * Switch between fixed-depth and viewport-bounded generation
+     * @param {Object} config - Configuration object
+     * @param {string} config.mode - 'depth', 'viewport' or 'kaleidoscope'
+     */
+    setGenerationMode({ mode }) {
+        this.generationMode = mode;
+    }
+    
     /**
      * Get maximum reflection depth
      * @returns {number} Current maximum reflection depth
@@ -203,8 +584,14 @@ export class VirtualSimulation {
      * Stop the virtual simulation and clean up
      */
     destroy() {
+        if (this.workerClient) {
+            this.workerClient.destroy();
+            this.workerClient = null;
+        }
+        
         this.clearVirtualObjects();
         this.clearVirtualViewers();
+        this.clearVirtualMirrors();
         this.isRunning = false;
         console.log('Virtual simulation destroyed');
     }
@@ -0,0 +1,63 @@
+/**
+ * @file AffineTransform.test.js - Unit and property tests for AffineTransform
+ * Dependencies: node:test, fast-check, AffineTransform, helpers
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fc from 'fast-check';
+import { AffineTransform } from '../src/geometry/AffineTransform.js';
+import { MirrorModel } from '../src/core/real/MirrorModel.js';
+import { isSamePoint, mirrorArbitrary, pointArbitrary } from './helpers.js';
+
+describe('AffineTransform', () => {
+    it('reflects across a vertical mirror', () => {
+        const mirror = new MirrorModel({ x1: 100, y1: 0, x2: 100, y2: 50 });
+        const transform = AffineTransform.fromMirror({ mirror });
+        
+        assert.deepEqual(transform.applyToPoint({ point: { x: 130, y: 20 } }), { x: 70, y: 20 });
+    });
+    
+    it('applies only the linear part to vectors', () => {
+        const mirror = new MirrorModel({ x1: 0, y1: 200, x2: 50, y2: 200 });
+        const transform = AffineTransform.fromMirror({ mirror });
+        
+        assert.deepEqual(transform.applyToVector({ vector: { x: 1, y: 1 } }), { x: 1, y: -1 });
+    });
+    
+    it('gives equal transforms the same signature', () => {
+        const mirror = new MirrorModel({ x1: 0, y1: 0, x2: 100, y2: 37 });
+        const reflection = AffineTransform.fromMirror({ mirror });
+        const roundTrip = reflection.compose({ transform: reflection });
+        
+        assert.equal(roundTrip.getSignature(), AffineTransform.identity().getSignature());
+    });
+    
+    it('reflection is orientation reversing with determinant -1', () => {
+        fc.assert(fc.property(mirrorArbitrary, mirror => {
+            const transform = AffineTransform.fromMirror({ mirror });
+            
+            assert.ok(Math.abs(transform.getDeterminant() + 1) < 1e-9);
+            assert.ok(transform.isOrientationReversing());
+        }));
+    });
+    
+    it('reflection is its own inverse', () => {
+        fc.assert(fc.property(mirrorArbitrary, pointArbitrary, (mirror, point) => {
+            const transform = AffineTransform.fromMirror({ mirror });
+            const roundTrip = transform.compose({ transform });
+            
+            assert.ok(isSamePoint(roundTrip.applyToPoint({ point }), point));
+        }));
+    });
+    
+    it('composing with the inverse gives the identity', () => {
+        fc.assert(fc.property(mirrorArbitrary, mirrorArbitrary, pointArbitrary, (first, second, point) => {
+            const transform = AffineTransform.fromMirror({ mirror: first })
+                .compose({ transform: AffineTransform.fromMirror({ mirror: second }) });
+            const mapped = transform.applyToPoint({ point });
+            
+            assert.ok(isSamePoint(transform.invert().applyToPoint({ point: mapped }), point, 1e-4));
+        }));
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * @file CommandHistory.test.js - Tests for undo/redo of scene edits
+ * Dependencies: node:test, CommandHistory, MoveCommand, AddCommand, RemoveCommand, ViewerModel, helpers
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandHistory } from '../src/history/CommandHistory.js';
+import { MoveCommand } from '../src/history/MoveCommand.js';
+import { AddCommand } from '../src/history/AddCommand.js';
+import { RemoveCommand } from '../src/history/RemoveCommand.js';
+import { ViewerModel } from '../src/core/real/ViewerModel.js';
+import { createTriangle } from './helpers.js';
+
+describe('CommandHistory', () => {
+    it('undoes and redoes a move of an object', () => {
+        const history = new CommandHistory();
+        const object = createTriangle({ x: 100, y: 100 });
+        const before = object.getPlacement();
+        
+        object.setPlacement({ placement: createTriangle({ x: 200, y: 150 }).getPlacement() });
+        const after = object.getPlacement();
+        
+        let changes = 0;
+        history.record({ command: new MoveCommand({ entity: object, before, after, onChange: () => changes++ }) });
+        
+        assert.equal(history.undo(), true);
+        assert.deepEqual(object.getPlacement(), before);
+        assert.equal(history.redo(), true);
+        assert.deepEqual(object.getPlacement(), after);
+        assert.equal(changes, 2);
+    });
+    
+    it('restores position and direction of a viewer', () => {
+        const history = new CommandHistory();
+        const viewer = new ViewerModel({ x: 400, y: 450, direction: -90, fieldOfView: 120 });
+        const before = viewer.getPlacement();
+        
+        viewer.setPlacement({ placement: { x: 300, y: 200, direction: 45 } });
+        history.record({ command: new MoveCommand({ entity: viewer, before, after: viewer.getPlacement() }) });
+        history.undo();
+        
+        assert.deepEqual(viewer.getPlacement(), { x: 400, y: 450, direction: -90 });
+    });
+    
+    it('keeps placements independent of later edits', () => {
+        const object = createTriangle({ x: 100, y: 100 });
+        const placement = object.getPlacement();
+        
+        object.vertices[0].x = 999;
+        
+        assert.notEqual(placement.vertices[0].x, 999);
+    });
+    
+    it('undoes additions and removals through the given steps', () => {
+        const history = new CommandHistory();
+        const scene = [];
+        const item = { name: 'triangle' };
+        const add = () => scene.push(item);
+        const remove = () => scene.splice(scene.indexOf(item), 1);
+        
+        add();
+        history.record({ command: new AddCommand({ add, remove }) });
+        remove();
+        history.record({ command: new RemoveCommand({ add, remove }) });
+        
+        history.undo();
+        assert.deepEqual(scene, [item]);
+        history.undo();
+        assert.deepEqual(scene, []);
+        history.redo();
+        history.redo();
+        assert.deepEqual(scene, []);
+    });
+    
+    it('ignores commands recorded while undoing or redoing', () => {
+        const history = new CommandHistory();
+        const command = {
+            undo: () => history.record({ command: { undo() {}, redo() {} } }),
+            redo: () => history.record({ command: { undo() {}, redo() {} } })
+        };
+        
+        history.record({ command });
+        history.undo();
+        
+        assert.equal(history.canUndo(), false);
+        assert.equal(history.canRedo(), true);
+    });
+    
+    it('clears the redo stack on a new edit', () => {
+        const history = new CommandHistory();
+        const command = { undo() {}, redo() {} };
+        
+        history.record({ command });
+        history.undo();
+        history.record({ command });
+        
+        assert.equal(history.canRedo(), false);
+        assert.equal(history.redo(), false);
+    });
+    
+    it('drops the oldest commands beyond the limit', () => {
+        const history = new CommandHistory({ limit: 2 });
+        const undone = [];
+        [1, 2, 3].forEach(id => history.record({ command: { undo: () => undone.push(id), redo() {} } }));
+        
+        while (history.undo()) { /* undo everything */ }
+        
+        assert.deepEqual(undone, [3, 2]);
+    });
+    
+    it('forgets everything on clear', () => {
+        const history = new CommandHistory();
+        history.record({ command: { undo() {}, redo() {} } });
+        history.clear();
+        
+        assert.equal(history.canUndo(), false);
+        assert.equal(history.undo(), false);
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * @file CssColor.test.js - Tests for CSS color parsing and virtual image fills
+ * Dependencies: node:test, CssColor, VirtualObjectModel, PolygonObjectModel
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CssColor } from '../src/core/CssColor.js';
+import { VirtualObjectModel } from '../src/core/virtual/VirtualObjectModel.js';
+import { PolygonObjectModel } from '../src/core/real/PolygonObjectModel.js';
+
+describe('CssColor', () => {
+    it('parses hex colors in every length', () => {
+        assert.deepEqual(CssColor.parse({ value: '#ff6b6b' }), [255, 107, 107]);
+        assert.deepEqual(CssColor.parse({ value: '#abc' }), [170, 187, 204]);
+        assert.deepEqual(CssColor.parse({ value: '#abcd' }), [170, 187, 204]);
+        assert.deepEqual(CssColor.parse({ value: '#007acc80' }), [0, 122, 204]);
+    });
+    
+    it('parses rgb() and hsl() in comma and space syntax', () => {
+        assert.deepEqual(CssColor.parse({ value: 'rgb(0, 122, 204)' }), [0, 122, 204]);
+        assert.deepEqual(CssColor.parse({ value: 'rgba(0,122,204,0.5)' }), [0, 122, 204]);
+        assert.deepEqual(CssColor.parse({ value: 'rgb(0 122 204 / 50%)' }), [0, 122, 204]);
+        assert.deepEqual(CssColor.parse({ value: 'rgb(100%, 0%, 50%)' }), [255, 0, 128]);
+        assert.deepEqual(CssColor.parse({ value: 'hsl(120deg 100% 25%)' }), [0, 128, 0]);
+        assert.deepEqual(CssColor.parse({ value: 'hsla(0, 100%, 50%, 0.3)' }), [255, 0, 0]);
+    });
+    
+    it('parses CSS named colors only', () => {
+        assert.deepEqual(CssColor.parse({ value: 'black' }), [0, 0, 0]);
+        assert.deepEqual(CssColor.parse({ value: 'RebeccaPurple' }), [102, 51, 153]);
+        assert.equal(CssColor.parse({ value: 'reed' }), null);
+        assert.equal(CssColor.parse({ value: 'constructor' }), null);
+    });
+    
+    it('formats channels as 6-digit hex', () => {
+        assert.equal(CssColor.toHex({ rgb: [0, 122, 204] }), '#007acc');
+    });
+});
+
+describe('VirtualObjectModel.getVirtualFill', () => {
+    const virtualFill = fill => new VirtualObjectModel({
+        originalObject: new PolygonObjectModel({ vertices: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 10 }], fill }),
+        reflectionChain: [],
+        depth: 1,
+        vertices: []
+    }).fill;
+    
+    it('lightens every accepted color format', () => {
+        assert.equal(virtualFill('#ff6b6b'), '#ff9393');
+        assert.equal(virtualFill('black'), '#282828');
+        assert.equal(virtualFill('rgb(0, 122, 204)'), '#28a2f4');
+        assert.equal(virtualFill('#abc'), '#d2e3f4');
+    });
+});
@@ -0,0 +1,45 @@
+/**
+ * @file GlassBlock.test.js - Tests for dragging glass blocks across removal and undo
+ * Dependencies: node:test, GlassBlock, CommandHistory, RemoveCommand, helpers
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { GlassBlock } from '../src/entities/real/GlassBlock.js';
+import { CommandHistory } from '../src/history/CommandHistory.js';
+import { RemoveCommand } from '../src/history/RemoveCommand.js';
+import { createFakeDocument } from './helpers.js';
+
+describe('GlassBlock', () => {
+    beforeEach(() => {
+        globalThis.document = createFakeDocument();
+    });
+    
+    afterEach(() => {
+        delete globalThis.document;
+    });
+    
+    it('reports one position change per mousemove after being removed and restored by undo', () => {
+        const parentSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        const history = new CommandHistory();
+        const glassBlock = new GlassBlock({ vertices: [{ x: 0, y: 0 }, { x: 40, y: 0 }, { x: 0, y: 40 }] });
+        glassBlock.render({ parentSvg });
+        
+        let positionChanges = 0;
+        glassBlock.onPositionChange = () => positionChanges++;
+        
+        const add = () => glassBlock.render({ parentSvg });
+        const remove = () => glassBlock.destroy();
+        remove();
+        history.record({ command: new RemoveCommand({ add, remove }) });
+        history.undo();
+        
+        glassBlock.element.dispatch({ type: 'mousedown', event: { clientX: 0, clientY: 0 } });
+        document.dispatch({ type: 'mousemove', event: { clientX: 10, clientY: 5 } });
+        document.dispatch({ type: 'mouseup' });
+        
+        assert.equal(positionChanges, 1);
+        assert.deepEqual(glassBlock.vertices[0], { x: 10, y: 5 });
+        assert.equal(document.listenerCount({ type: 'mousemove' }), 0);
+    });
+});
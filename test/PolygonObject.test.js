@@ -0,0 +1,79 @@
+/**
+ * @file PolygonObject.test.js - Tests for dragging polygon objects across removal and undo
+ * Dependencies: node:test, PolygonObject, CommandHistory, RemoveCommand, helpers
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PolygonObject } from '../src/entities/real/PolygonObject.js';
+import { CommandHistory } from '../src/history/CommandHistory.js';
+import { RemoveCommand } from '../src/history/RemoveCommand.js';
+import { createFakeDocument } from './helpers.js';
+
+describe('PolygonObject', () => {
+    let parentSvg;
+    
+    beforeEach(() => {
+        globalThis.document = createFakeDocument();
+        parentSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    });
+    
+    afterEach(() => {
+        delete globalThis.document;
+    });
+    
+    /**
+     * Drag an object by one mouse gesture
+     * @param {PolygonObject} object - Object to drag
+     */
+    const drag = (object) => {
+        object.element.dispatch({ type: 'mousedown', event: { clientX: 0, clientY: 0 } });
+        document.dispatch({ type: 'mousemove', event: { clientX: 10, clientY: 5 } });
+        document.dispatch({ type: 'mouseup' });
+    };
+    
+    it('moves by the mouse delta and releases the document listeners on mouseup', () => {
+        const object = new PolygonObject({ vertices: [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 0, y: 20 }] });
+        object.render({ parentSvg });
+        
+        drag(object);
+        
+        assert.deepEqual(object.vertices, [{ x: 10, y: 5 }, { x: 30, y: 5 }, { x: 10, y: 25 }]);
+        assert.equal(document.listenerCount({ type: 'mousemove' }), 0);
+        assert.equal(document.listenerCount({ type: 'mouseup' }), 0);
+    });
+    
+    it('reports one position change per mousemove after being removed and restored by undo', () => {
+        const history = new CommandHistory();
+        const object = new PolygonObject({ vertices: [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 0, y: 20 }] });
+        object.render({ parentSvg });
+        
+        let positionChanges = 0;
+        object.onPositionChange = () => positionChanges++;
+        
+        // Delete the object, then bring it back twice over
+        const add = () => object.render({ parentSvg });
+        const remove = () => object.destroy();
+        remove();
+        history.record({ command: new RemoveCommand({ add, remove }) });
+        history.undo();
+        history.redo();
+        history.undo();
+        
+        drag(object);
+        
+        assert.equal(positionChanges, 1);
+        assert.equal(document.listenerCount({ type: 'mousemove' }), 0);
+    });
+    
+    it('leaves no document listeners behind when destroyed mid-drag', () => {
+        const object = new PolygonObject({ vertices: [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 0, y: 20 }] });
+        object.render({ parentSvg });
+        
+        object.element.dispatch({ type: 'mousedown', event: { clientX: 0, clientY: 0 } });
+        object.destroy();
+        
+        assert.equal(document.listenerCount({ type: 'mousemove' }), 0);
+        assert.equal(document.listenerCount({ type: 'mouseup' }), 0);
+    });
+});
@@ -0,0 +1,26 @@
+/**
+ * @file RealSceneSimulation.test.js - Tests for building the real scene from its configuration
+ * Dependencies: node:test, RealSceneSimulation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RealSceneSimulation } from '../src/simulation/realSimulation.js';
+
+describe('RealSceneSimulation', () => {
+    it('falls back to the sample scene only when no configuration is given', () => {
+        const sample = new RealSceneSimulation({ canvas: null });
+        sample.init();
+        
+        assert.equal(sample.getObjects().length, 1);
+        assert.ok(sample.getMirrors().length > 0);
+    });
+    
+    it('keeps an empty configuration empty', () => {
+        const empty = new RealSceneSimulation({ canvas: null, objects: [], mirrors: [] });
+        empty.init();
+        
+        assert.equal(empty.getObjects().length, 0);
+        assert.equal(empty.getMirrors().length, 0);
+    });
+});
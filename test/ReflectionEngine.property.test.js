@@ -0,0 +1,164 @@
+/**
+ * @file ReflectionEngine.property.test.js - Property-based tests for ReflectionEngine
+ * Dependencies: node:test, fast-check, ReflectionEngine, MirrorModel, PolygonObjectModel, helpers
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fc from 'fast-check';
+import { ReflectionEngine } from '../src/engines/ReflectionEngine.js';
+import { MirrorModel } from '../src/core/real/MirrorModel.js';
+import { PolygonObjectModel } from '../src/core/real/PolygonObjectModel.js';
+import {
+    createBox,
+    createTriangle,
+    isSamePoint,
+    mirrorArbitrary,
+    pointArbitrary,
+    signedArea,
+    triangleArbitrary
+} from './helpers.js';
+
+// Box dimensions and depths kept small enough that every run stays fast
+const boxArbitrary = fc.record({
+    x: fc.integer({ min: -200, max: 200 }),
+    y: fc.integer({ min: -200, max: 200 }),
+    width: fc.integer({ min: 50, max: 800 }),
+    height: fc.integer({ min: 50, max: 800 })
+});
+const depthArbitrary = fc.integer({ min: 1, max: 5 });
+
+describe('ReflectionEngine properties', () => {
+    it('reflecting twice across the same mirror is the identity', () => {
+        fc.assert(fc.property(mirrorArbitrary, pointArbitrary, (mirror, point) => {
+            const once = ReflectionEngine.reflectPoint({ point, mirror });
+            const twice = ReflectionEngine.reflectPoint({ point: once, mirror });
+            
+            assert.ok(isSamePoint(twice, point));
+        }));
+    });
+    
+    it('reflection preserves distances to the mirror line', () => {
+        fc.assert(fc.property(mirrorArbitrary, pointArbitrary, (mirror, point) => {
+            const reflected = ReflectionEngine.reflectPoint({ point, mirror });
+            
+            // Both mirror endpoints are fixed points, so their distances are unchanged
+            [{ x: mirror.x1, y: mirror.y1 }, { x: mirror.x2, y: mirror.y2 }].forEach(endpoint => {
+                const before = Math.hypot(point.x - endpoint.x, point.y - endpoint.y);
+                const after = Math.hypot(reflected.x - endpoint.x, reflected.y - endpoint.y);
+                assert.ok(Math.abs(before - after) < 1e-6);
+            });
+        }));
+    });
+    
+    it('two parallel mirrors produce 2·depth images', () => {
+        fc.assert(fc.property(fc.integer({ min: 20, max: 500 }), depthArbitrary, (gap, maxDepth) => {
+            const mirrors = [
+                new MirrorModel({ x1: 0, y1: 0, x2: 400, y2: 0 }),
+                new MirrorModel({ x1: 0, y1: gap, x2: 400, y2: gap })
+            ];
+            const object = createTriangle({ x: 200, y: gap / 2, size: 5 });
+            const images = ReflectionEngine.calculateAllReflections({ objects: [object], mirrors, maxDepth });
+            
+            assert.equal(images.length, 2 * maxDepth);
+        }));
+    });
+    
+    it('a box of four mirrors produces 2·depth·(depth + 1) images', () => {
+        // Rooms tile a lattice; room (i, j) needs |i| + |j| reflections
+        fc.assert(fc.property(boxArbitrary, depthArbitrary, (box, maxDepth) => {
+            const object = createTriangle({ x: box.x + box.width / 2, y: box.y + box.height / 2, size: 10 });
+            const images = ReflectionEngine.calculateAllReflections({ objects: [object], mirrors: createBox(box), maxDepth });
+            
+            assert.equal(images.length, 2 * maxDepth * (maxDepth + 1));
+        }));
+    });
+    
+    it('a kaleidoscope wedge of angle 180°/n produces 360/θ − 1 images', () => {
+        fc.assert(fc.property(fc.integer({ min: 2, max: 8 }), fc.double({ min: 0, max: 360, noNaN: true }), (n, rotation) => {
+            const wedgeAngle = 180 / n;
+            const direction = degrees => ({
+                x: 200 * Math.cos(degrees * Math.PI / 180),
+                y: 200 * Math.sin(degrees * Math.PI / 180)
+            });
+            const first = direction(rotation);
+            const second = direction(rotation + wedgeAngle);
+            const mirrors = [
+                new MirrorModel({ x1: 0, y1: 0, x2: first.x, y2: first.y }),
+                new MirrorModel({ x1: 0, y1: 0, x2: second.x, y2: second.y })
+            ];
+            const inside = direction(rotation + wedgeAngle / 2);
+            const object = createTriangle({ x: inside.x / 2, y: inside.y / 2, size: 2 });
+            
+            const images = ReflectionEngine.calculateAllReflections({ objects: [object], mirrors, maxDepth: Infinity });
+            const analysis = ReflectionEngine.analyzeKaleidoscope({ mirrors });
+            
+            assert.equal(images.length, 2 * n - 1);
+            assert.ok(Math.abs(analysis.predictedImageCount - images.length) < 1e-6);
+        }));
+    });
+    
+    it('a kaleidoscope wedge of any angle forms one image per reflection in front of a mirror', () => {
+        const wedgeArbitrary = fc.record({
+            wedgeAngle: fc.double({ min: 15, max: 170, noNaN: true }),
+            position: fc.double({ min: 0.05, max: 0.95, noNaN: true }),
+            rotation: fc.double({ min: 0, max: 360, noNaN: true })
+        });
+        
+        fc.assert(fc.property(wedgeArbitrary, ({ wedgeAngle, position, rotation }) => {
+            const direction = (degrees, radius) => ({
+                x: radius * Math.cos((rotation + degrees) * Math.PI / 180),
+                y: radius * Math.sin((rotation + degrees) * Math.PI / 180)
+            });
+            const first = direction(0, 400);
+            const second = direction(wedgeAngle, 400);
+            const mirrors = [
+                new MirrorModel({ x1: 0, y1: 0, x2: first.x, y2: first.y }),
+                new MirrorModel({ x1: 0, y1: 0, x2: second.x, y2: second.y })
+            ];
+            
+            // Small triangle centered at angle φ from the first mirror
+            const phi = position * wedgeAngle;
+            const center = direction(phi, 150);
+            const object = new PolygonObjectModel({
+                vertices: [0, 120, 240].map(degrees => {
+                    const offset = direction(degrees, 2);
+                    return { x: center.x + offset.x, y: center.y + offset.y };
+                })
+            });
+            
+            const result = ReflectionEngine.calculateAllReflectionsWithViewer({
+                objects: [object],
+                viewer: null,
+                mirrors,
+                maxDepth: Infinity,
+                maxImageCount: 2000,
+                kaleidoscope: true
+            });
+            
+            // Each chain alternates mirrors until its image is behind the next one: the chain
+            // starting at the first mirror forms ⌈(180 − φ)/θ⌉ images, the other ⌈(180 − θ + φ)/θ⌉.
+            // Their last images coincide only when 360/θ is an even whole number
+            const analysis = ReflectionEngine.analyzeKaleidoscope({ mirrors });
+            const coincide = analysis.isWhole && Math.round(analysis.sectorCount) % 2 === 0 ? 1 : 0;
+            const expected = Math.ceil((180 - phi) / wedgeAngle) + Math.ceil((180 - wedgeAngle + phi) / wedgeAngle) - coincide;
+            
+            assert.equal(result.virtualObjects.length, expected);
+            assert.equal(result.isTruncated, false);
+        }));
+    });
+    
+    it('images preserve polygon area and flip orientation with each reflection', () => {
+        fc.assert(fc.property(fc.array(mirrorArbitrary, { minLength: 1, maxLength: 3 }), triangleArbitrary, (mirrors, vertices) => {
+            const object = new PolygonObjectModel({ vertices });
+            const originalArea = signedArea(vertices);
+            const images = ReflectionEngine.calculateAllReflections({ objects: [object], mirrors, maxDepth: 2 });
+            
+            images.forEach(image => {
+                const area = signedArea(image.vertices);
+                const expected = image.depth % 2 === 0 ? originalArea : -originalArea;
+                assert.ok(Math.abs(area - expected) <= 1e-6 * Math.max(1, Math.abs(originalArea)));
+            });
+        }));
+    });
+});
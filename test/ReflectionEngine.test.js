@@ -0,0 +1,427 @@
+/**
+ * @file ReflectionEngine.test.js - Unit tests for ReflectionEngine
+ * Dependencies: node:test, ReflectionEngine, MirrorModel, ViewerModel, GlassBlockModel, PolygonObjectModel, helpers
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReflectionEngine } from '../src/engines/ReflectionEngine.js';
+import { MirrorModel } from '../src/core/real/MirrorModel.js';
+import { ViewerModel } from '../src/core/real/ViewerModel.js';
+import { GlassBlockModel } from '../src/core/real/GlassBlockModel.js';
+import { PolygonObjectModel } from '../src/core/real/PolygonObjectModel.js';
+import { createBox, createTriangle, isSamePoint } from './helpers.js';
+
+describe('ReflectionEngine.reflectPoint', () => {
+    it('reflects across vertical, horizontal and diagonal mirrors', () => {
+        const vertical = new MirrorModel({ x1: 100, y1: 0, x2: 100, y2: 10 });
+        const horizontal = new MirrorModel({ x1: 0, y1: 50, x2: 10, y2: 50 });
+        const diagonal = new MirrorModel({ x1: 0, y1: 0, x2: 10, y2: 10 });
+        const point = { x: 30, y: 20 };
+        
+        assert.deepEqual(ReflectionEngine.reflectPoint({ point, mirror: vertical }), { x: 170, y: 20 });
+        assert.deepEqual(ReflectionEngine.reflectPoint({ point, mirror: horizontal }), { x: 30, y: 80 });
+        assert.ok(isSamePoint(ReflectionEngine.reflectPoint({ point, mirror: diagonal }), { x: 20, y: 30 }));
+    });
+});
+
+describe('ReflectionEngine.generateVirtualRooms', () => {
+    it('merges chains that produce the same room', () => {
+        // In a box, top→left and left→top both land in the diagonal corner room
+        const rooms = ReflectionEngine.generateVirtualRooms({ mirrors: createBox(), maxDepth: 2 });
+        const cornerRooms = rooms.filter(room => room.equivalentChains.length > 1);
+        
+        assert.equal(cornerRooms.length, 4);
+        cornerRooms.forEach(room => assert.equal(room.depth, 2));
+    });
+    
+    it('extends chains that reach a room after it was expanded', () => {
+        // left→top→left lands back in the top room at depth 3, after that room was expanded
+        const [top, , bottom, left] = createBox();
+        const rooms = ReflectionEngine.generateVirtualRooms({ mirrors: [top, bottom, left], maxDepth: 4 });
+        const hasChain = (room, expected) => room.equivalentChains.some(chain =>
+            chain.length === expected.length && chain.every((mirror, index) => mirror === expected[index])
+        );
+        const topRoom = rooms.find(room => hasChain(room, [top]));
+        const shiftedRoom = rooms.find(room => hasChain(room, [top, bottom]));
+        
+        assert.ok(hasChain(topRoom, [left, top, left]));
+        assert.ok(hasChain(shiftedRoom, [left, top, left, bottom]));
+    });
+    
+    it('flags rooms whose chains exceed the recorded cap', () => {
+        const shallowRooms = ReflectionEngine.generateVirtualRooms({ mirrors: createBox(), maxDepth: 2 });
+        const deepRooms = ReflectionEngine.generateVirtualRooms({ mirrors: createBox(), maxDepth: 8 });
+        
+        assert.ok(shallowRooms.every(room => !room.hasTruncatedChains));
+        assert.ok(deepRooms.some(room => room.hasTruncatedChains));
+        deepRooms.filter(room => room.hasTruncatedChains && room.depth === 1).forEach(room => {
+            assert.equal(room.equivalentChains.length, 64);
+        });
+    });
+    
+    it('skips rooms reached through the back of a one-sided mirror', () => {
+        // Reflective face below the line
+        const mirrors = [new MirrorModel({ x1: 0, y1: 0, x2: 100, y2: 0, reflectiveSide: 'right' })];
+        const front = createTriangle({ x: 50, y: 50, size: 10 });
+        const back = createTriangle({ x: 50, y: -50, size: 10 });
+        
+        assert.equal(ReflectionEngine.calculateAllReflections({ objects: [front], mirrors, maxDepth: 2 }).length, 1);
+        assert.equal(ReflectionEngine.calculateAllReflections({ objects: [back], mirrors, maxDepth: 2 }).length, 0);
+    });
+    
+    it('multiplies mirror reflectivities along the chain', () => {
+        const mirrors = [
+            new MirrorModel({ x1: 0, y1: 0, x2: 100, y2: 0, reflectivity: 0.5 }),
+            new MirrorModel({ x1: 0, y1: 100, x2: 100, y2: 100, reflectivity: 0.8 })
+        ];
+        const rooms = ReflectionEngine.generateVirtualRooms({ mirrors, maxDepth: 2 });
+        
+        rooms.filter(room => room.depth === 2).forEach(room => {
+            assert.ok(Math.abs(room.reflectance - 0.4) < 1e-9);
+        });
+    });
+});
+
+describe('ReflectionEngine.updateVirtualObjects', () => {
+    it('moves images of every depth with the real object', () => {
+        const mirrors = createBox();
+        const object = createTriangle({ x: 300, y: 300 });
+        const virtualObjects = ReflectionEngine.calculateAllReflections({ objects: [object], mirrors, maxDepth: 3 });
+        
+        object.vertices = object.vertices.map(vertex => ({ x: vertex.x + 40, y: vertex.y - 25 }));
+        ReflectionEngine.updateVirtualObjects({ virtualObjects });
+        
+        // Every image must match a fresh generation, not just the single-reflection ones
+        const expected = ReflectionEngine.calculateAllReflections({ objects: [object], mirrors, maxDepth: 3 });
+        virtualObjects.forEach((virtualObject, index) => {
+            virtualObject.vertices.forEach((vertex, vertexIndex) => {
+                assert.ok(isSamePoint(vertex, expected[index].vertices[vertexIndex]));
+            });
+        });
+    });
+});
+
+describe('ReflectionEngine.calculateAllReflectionsWithViewer', () => {
+    it('keeps viewport rooms whose walls are on screen even when their contents are not', () => {
+        const left = new MirrorModel({ x1: 0, y1: 0, x2: 0, y2: 100 });
+        const right = new MirrorModel({ x1: 100, y1: 0, x2: 100, y2: 100 });
+        const object = createTriangle({ x: 15, y: 50, size: 5 });
+        
+        // The image behind the right mirror lands at x ≈ 185, off screen, but the room's wall at x = 100 is not
+        const rooms = ReflectionEngine.generateVirtualRooms({
+            mirrors: [left, right],
+            maxDepth: Infinity,
+            viewport: { minX: -50, minY: 0, maxX: 150, maxY: 100 },
+            footprint: ReflectionEngine.getSceneFootprint({ objects: [object], mirrors: [left, right] }),
+            maxRooms: 100
+        });
+        
+        assert.ok(rooms.some(room => room.reflectionChain.length === 1 && room.reflectionChain[0] === right));
+        assert.ok(rooms.length < 100);
+    });
+    
+    it('stops at the image cap and reports truncation', () => {
+        const result = ReflectionEngine.calculateAllReflectionsWithViewer({
+            objects: [createTriangle({ x: 300, y: 300 })],
+            viewer: new ViewerModel({ x: 400, y: 400 }),
+            mirrors: createBox(),
+            maxDepth: 10,
+            maxImageCount: 20
+        });
+        
+        assert.ok(result.virtualObjects.length + result.virtualViewers.length <= 20);
+        assert.ok(result.isTruncated);
+    });
+    
+    it('does not report truncation when generation ends exactly at the cap', () => {
+        // Two parallel mirrors at depth 2 form exactly four rooms
+        const mirrors = [
+            new MirrorModel({ x1: 0, y1: 0, x2: 100, y2: 0 }),
+            new MirrorModel({ x1: 0, y1: 100, x2: 100, y2: 100 })
+        ];
+        const generate = maxImageCount => ReflectionEngine.calculateAllReflectionsWithViewer({
+            objects: [createTriangle({ x: 50, y: 50, size: 10 })],
+            viewer: null,
+            mirrors,
+            maxDepth: 2,
+            maxImageCount
+        });
+        
+        assert.equal(generate(4).virtualObjects.length, 4);
+        assert.equal(generate(4).isTruncated, false);
+        assert.equal(generate(3).virtualObjects.length, 3);
+        assert.equal(generate(3).isTruncated, true);
+    });
+});
+
+describe('ReflectionEngine.applySegmentVisibility', () => {
+    it('hides images whose sightline misses the mirror segment', () => {
+        // Short mirror: the image of a far-off object is only visible from in front of the mirror
+        const mirrors = [new MirrorModel({ x1: 0, y1: 0, x2: 100, y2: 0 })];
+        const object = createTriangle({ x: 50, y: 100, size: 5 });
+        const virtualObjects = ReflectionEngine.calculateAllReflections({ objects: [object], mirrors, maxDepth: 1 });
+        
+        ReflectionEngine.applySegmentVisibility({
+            virtualObjects,
+            virtualViewers: [],
+            viewer: new ViewerModel({ x: 50, y: 200 })
+        });
+        assert.ok(!virtualObjects[0].isHidden);
+        
+        ReflectionEngine.applySegmentVisibility({
+            virtualObjects,
+            virtualViewers: [],
+            viewer: new ViewerModel({ x: 600, y: 100 })
+        });
+        assert.ok(virtualObjects[0].isHidden);
+    });
+});
+
+describe('ReflectionEngine.applyOcclusion', () => {
+    it('marks images whose bounced path crosses another object', () => {
+        const mirrors = [new MirrorModel({ x1: 0, y1: 0, x2: 400, y2: 0 })];
+        const object = createTriangle({ x: 100, y: 200, size: 10 });
+        const blocker = createTriangle({ x: 150, y: 100, size: 30 });
+        const viewer = new ViewerModel({ x: 300, y: 200 });
+        const virtualObjects = ReflectionEngine.calculateAllReflections({ objects: [object], mirrors, maxDepth: 1 });
+        
+        ReflectionEngine.applyOcclusion({ virtualObjects, virtualViewers: [], viewer, objects: [object] });
+        assert.ok(!virtualObjects[0].isOccluded);
+        
+        ReflectionEngine.applyOcclusion({ virtualObjects, virtualViewers: [], viewer, objects: [object, blocker] });
+        assert.ok(virtualObjects[0].isOccluded);
+    });
+    
+    it('marks the image of an object standing between the viewer and the mirror', () => {
+        const mirrors = [new MirrorModel({ x1: 0, y1: 0, x2: 400, y2: 0 })];
+        const object = createTriangle({ x: 200, y: 100, size: 10 });
+        const virtualObjects = ReflectionEngine.calculateAllReflections({ objects: [object], mirrors, maxDepth: 1 });
+        
+        // Looking straight up through the object at its own image above the mirror
+        ReflectionEngine.applyOcclusion({ virtualObjects, virtualViewers: [], viewer: new ViewerModel({ x: 200, y: 200 }), objects: [object] });
+        assert.ok(virtualObjects[0].isOccluded);
+        
+        // Seen from the side, only the leg back to the object itself touches it
+        ReflectionEngine.applyOcclusion({ virtualObjects, virtualViewers: [], viewer: new ViewerModel({ x: 400, y: 100 }), objects: [object] });
+        assert.ok(!virtualObjects[0].isOccluded);
+    });
+});
+
+describe('ReflectionEngine.castRay', () => {
+    it('bounces off mirrors until it hits an object', () => {
+        const mirrors = [new MirrorModel({ x1: 0, y1: 0, x2: 400, y2: 0 })];
+        const object = createTriangle({ x: 300, y: 100, size: 10 });
+        
+        // 45° up-right from (100, 100): bounce at (200, 0), back down towards (300, 100)
+        const ray = ReflectionEngine.castRay({
+            origin: { x: 100, y: 100 },
+            direction: { x: 1, y: -1 },
+            mirrors,
+            objects: [object]
+        });
+        
+        assert.equal(ray.bounces.length, 1);
+        assert.ok(isSamePoint(ray.bounces[0].point, { x: 200, y: 0 }));
+        assert.equal(ray.hit.object, object);
+    });
+    
+    it('stops at the back of a one-sided mirror', () => {
+        const mirror = new MirrorModel({ x1: 0, y1: 0, x2: 400, y2: 0, reflectiveSide: 'left' });
+        const ray = ReflectionEngine.castRay({
+            origin: { x: 100, y: 100 },
+            direction: { x: 0, y: -1 },
+            mirrors: [mirror]
+        });
+        
+        assert.equal(ray.bounces.length, 0);
+        assert.equal(ray.hit.mirror, mirror);
+    });
+    
+    it('passes straight through glass at normal incidence', () => {
+        const glassBlock = new GlassBlockModel({
+            vertices: [{ x: 50, y: 50 }, { x: 150, y: 50 }, { x: 150, y: 150 }, { x: 50, y: 150 }]
+        });
+        const ray = ReflectionEngine.castRay({
+            origin: { x: 100, y: 0 },
+            direction: { x: 0, y: 1 },
+            mirrors: [],
+            objects: [createTriangle({ x: 100, y: 300 })],
+            glassBlocks: [glassBlock]
+        });
+        
+        assert.equal(ray.refractions.length, 2);
+        ray.points.forEach(point => assert.ok(Math.abs(point.x - 100) < 1e-6));
+    });
+});
+
+describe('ReflectionEngine.refractDirection', () => {
+    const surface = { x1: 0, y1: 0, x2: 100, y2: 0 };
+    const fromDegrees = degrees => ({
+        x: Math.sin(degrees * Math.PI / 180),
+        y: Math.cos(degrees * Math.PI / 180)
+    });
+    
+    it('obeys Snell\'s law', () => {
+        const refracted = ReflectionEngine.refractDirection({ direction: fromDegrees(30), surface, fromIndex: 1, toIndex: 1.5 });
+        const angle = Math.asin(refracted.x) * 180 / Math.PI;
+        
+        assert.ok(Math.abs(Math.sin(30 * Math.PI / 180) - 1.5 * Math.sin(angle * Math.PI / 180)) < 1e-9);
+    });
+    
+    it('returns null past the critical angle', () => {
+        // Critical angle from glass (1.5) to air is about 41.8°
+        assert.ok(ReflectionEngine.refractDirection({ direction: fromDegrees(40), surface, fromIndex: 1.5, toIndex: 1 }));
+        assert.equal(ReflectionEngine.refractDirection({ direction: fromDegrees(45), surface, fromIndex: 1.5, toIndex: 1 }), null);
+    });
+});
+
+describe('ReflectionEngine.analyzeKaleidoscope', () => {
+    /**
+     * Point at a polar angle around the origin (degrees from the +x axis towards +y)
+     * @param {number} degrees - Polar angle
+     * @param {number} radius - Distance from the origin
+     * @returns {Object} Point {x, y}
+     */
+    const polar = (degrees, radius) => ({
+        x: radius * Math.cos(degrees * Math.PI / 180),
+        y: radius * Math.sin(degrees * Math.PI / 180)
+    });
+    
+    /**
+     * Two 400px mirrors meeting at the origin, the first along the +x axis
+     * @param {Object} config - Configuration object
+     * @param {number} config.angle - Wedge angle in degrees
+     * @returns {Array} The two mirrors
+     */
+    const createWedge = ({ angle }) => {
+        const end = polar(angle, 400);
+        return [
+            new MirrorModel({ x1: 0, y1: 0, x2: 400, y2: 0 }),
+            new MirrorModel({ x1: 0, y1: 0, x2: end.x, y2: end.y })
+        ];
+    };
+    
+    /**
+     * Generate the kaleidoscope images of an object inside a wedge
+     * @param {Object} config - Configuration object
+     * @param {Array} config.mirrors - Wedge mirrors
+     * @param {PolygonObjectModel} config.object - Object inside the wedge
+     * @returns {Object} Result of calculateAllReflectionsWithViewer
+     */
+    const generateKaleidoscope = ({ mirrors, object }) => ReflectionEngine.calculateAllReflectionsWithViewer({
+        objects: [object],
+        viewer: null,
+        mirrors,
+        maxDepth: Infinity,
+        maxImageCount: 2000,
+        kaleidoscope: true
+    });
+    
+    /**
+     * Small triangle whose center sits at a polar angle, 150px from the vertex
+     * @param {number} degrees - Polar angle of the center
+     * @returns {PolygonObjectModel} Triangle
+     */
+    const createObjectAt = degrees => {
+        const center = polar(degrees, 150);
+        return new PolygonObjectModel({
+            vertices: [polar(degrees - 90, 4), polar(degrees + 30, 4), polar(degrees + 150, 4)]
+                .map(offset => ({ x: center.x + offset.x, y: center.y + offset.y }))
+        });
+    };
+    
+    it('finds the wedge angle of two mirrors sharing a vertex', () => {
+        const mirrors = [
+            new MirrorModel({ x1: 0, y1: 0, x2: 100, y2: 0 }),
+            new MirrorModel({ x1: 0, y1: 0, x2: 0, y2: 100 })
+        ];
+        const analysis = ReflectionEngine.analyzeKaleidoscope({ mirrors });
+        
+        assert.deepEqual(analysis.vertex, { x: 0, y: 0 });
+        assert.ok(Math.abs(analysis.angle - 90) < 1e-9);
+        assert.ok(Math.abs(analysis.predictedImageCount - 3) < 1e-9);
+    });
+    
+    it('returns null when the mirrors do not meet', () => {
+        const [top, , bottom] = createBox();
+        
+        assert.equal(ReflectionEngine.analyzeKaleidoscope({ mirrors: [top, bottom] }), null);
+    });
+    
+    it('counts one image per reflection off the faces of a 72° wedge', () => {
+        // 360/72 = 5 is odd: an object off the bisector forms 5 images, not 360/θ − 1 = 4
+        const mirrors = createWedge({ angle: 72 });
+        const analysis = ReflectionEngine.analyzeKaleidoscope({ mirrors });
+        const result = generateKaleidoscope({ mirrors, object: createObjectAt(20) });
+        
+        assert.equal(analysis.isWhole, true);
+        assert.equal(analysis.predictedImageCount, 5);
+        assert.equal(result.virtualObjects.length, 5);
+        assert.equal(result.isTruncated, false);
+    });
+    
+    it('forms 360/θ − 1 images for an object on the bisector of an odd wedge', () => {
+        const mirrors = createWedge({ angle: 72 });
+        
+        assert.equal(generateKaleidoscope({ mirrors, object: createObjectAt(36) }).virtualObjects.length, 4);
+    });
+    
+    it('counts 3 images in a 120° wedge', () => {
+        const mirrors = createWedge({ angle: 120 });
+        
+        assert.equal(ReflectionEngine.analyzeKaleidoscope({ mirrors }).predictedImageCount, 3);
+        assert.equal(generateKaleidoscope({ mirrors, object: createObjectAt(30) }).virtualObjects.length, 3);
+        assert.equal(generateKaleidoscope({ mirrors, object: createObjectAt(100) }).virtualObjects.length, 3);
+    });
+    
+    it('ends every chain of a wedge that does not divide 360°', () => {
+        // 50° with the object at 19°: one chain forms ⌈(180 − 19)/50⌉ = 4 images, the other ⌈(180 − 31)/50⌉ = 3
+        const mirrors = createWedge({ angle: 50 });
+        const analysis = ReflectionEngine.analyzeKaleidoscope({ mirrors });
+        const result = generateKaleidoscope({ mirrors, object: createObjectAt(19) });
+        
+        assert.equal(analysis.isWhole, false);
+        assert.ok(Math.abs(analysis.predictedImageCount - 6.2) < 1e-9);
+        assert.equal(result.virtualObjects.length, 7);
+        assert.equal(result.isTruncated, false);
+    });
+    
+    it('ends every chain of a wedge wider than 120°', () => {
+        // 154° at 8°: the wedge images wrap past 360° and would reach in front of a mirror again
+        const mirrors = createWedge({ angle: 154 });
+        const result = generateKaleidoscope({ mirrors, object: createObjectAt(8) });
+        
+        assert.equal(result.virtualObjects.length, 3);
+        assert.equal(result.rooms.length, 4);
+        assert.equal(result.isTruncated, false);
+    });
+    
+    it('ends every chain of a 60° wedge drawn with pixel-integer endpoints', () => {
+        // (500, 117) sits about 0.0007° short of 60°, so the mirror lines alone never close
+        const mirrors = [
+            new MirrorModel({ x1: 250, y1: 550, x2: 750, y2: 550 }),
+            new MirrorModel({ x1: 250, y1: 550, x2: 500, y2: 117 })
+        ];
+        const result = ReflectionEngine.calculateAllReflectionsWithViewer({
+            objects: [createTriangle({ x: 420, y: 470, size: 10 })],
+            viewer: null,
+            mirrors,
+            maxDepth: Infinity,
+            maxImageCount: 2000,
+            kaleidoscope: true
+        });
+        
+        // Both chains still end behind the mirrors; their last images no longer coincide exactly
+        // but lie a fraction of a pixel apart where an exact 60° wedge has a single fifth image
+        const centers = result.virtualObjects.map(virtualObject => virtualObject.getCenter());
+        const nearlyCoincident = centers.filter((center, index) =>
+            centers.some((other, otherIndex) => otherIndex !== index && isSamePoint(center, other, 0.1))
+        );
+        
+        assert.equal(ReflectionEngine.analyzeKaleidoscope({ mirrors }).isWhole, false);
+        assert.equal(result.virtualObjects.length, 6);
+        assert.equal(nearlyCoincident.length, 2);
+        assert.equal(result.isTruncated, false);
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * @file SceneFormat.test.js - Tests for the JSON scene file format
+ * Dependencies: node:test, SceneFormat, MirrorModel, ViewerModel, GlassBlockModel, LightSourceModel, helpers
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SceneFormat, SCENE_FORMAT_VERSION } from '../src/core/SceneFormat.js';
+import { MirrorModel } from '../src/core/real/MirrorModel.js';
+import { ViewerModel } from '../src/core/real/ViewerModel.js';
+import { GlassBlockModel } from '../src/core/real/GlassBlockModel.js';
+import { LightSourceModel } from '../src/core/real/LightSourceModel.js';
+import { createBox, createTriangle } from './helpers.js';
+
+describe('SceneFormat', () => {
+    const createScene = () => SceneFormat.create({
+        mirrors: [...createBox(), new MirrorModel({ x1: 0, y1: 0, x2: 50, y2: 50, reflectivity: 0.5, reflectiveSide: 'left' })],
+        objects: [createTriangle({ x: 300, y: 300 })],
+        viewer: new ViewerModel({ x: 400, y: 450, direction: -45, fieldOfView: 90 }),
+        glassBlocks: [new GlassBlockModel({ vertices: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 10 }], refractiveIndex: 1.33 })],
+        lightSources: [new LightSourceModel({ x: 20, y: 30, direction: 15, spread: 10 })],
+        settings: { maxReflectionDepth: 3, generationMode: 'depth', unknownSetting: true }
+    });
+    
+    it('stamps the current version and drops unknown settings', () => {
+        const scene = createScene();
+        
+        assert.equal(scene.version, SCENE_FORMAT_VERSION);
+        assert.deepEqual(scene.settings, { maxReflectionDepth: 3, generationMode: 'depth' });
+    });
+    
+    it('round-trips through JSON', () => {
+        const scene = createScene();
+        
+        assert.deepEqual(SceneFormat.parse({ text: SceneFormat.stringify({ scene }) }), scene);
+    });
+    
+    it('recreates equal entities from their saved configuration', () => {
+        const scene = createScene();
+        const mirror = new MirrorModel(scene.mirrors[4]);
+        const viewer = new ViewerModel(scene.viewer);
+        
+        assert.deepEqual(mirror.toConfig(), scene.mirrors[4]);
+        assert.deepEqual(viewer.toConfig(), scene.viewer);
+    });
+    
+    it('fills in missing entity lists', () => {
+        const scene = SceneFormat.parse({ text: '{"version": 1, "mirrors": []}' });
+        
+        assert.deepEqual(scene.objects, []);
+        assert.equal(scene.viewer, null);
+        assert.deepEqual(scene.settings, {});
+    });
+    
+    it('rejects invalid JSON, missing versions and newer versions', () => {
+        assert.throws(() => SceneFormat.parse({ text: '{' }), /not valid JSON/);
+        assert.throws(() => SceneFormat.parse({ text: '{"mirrors": []}' }), /no format version/);
+        assert.throws(() => SceneFormat.parse({ text: `{"version": ${SCENE_FORMAT_VERSION + 1}}` }), /newer/);
+    });
+});
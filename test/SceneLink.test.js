@@ -0,0 +1,65 @@
+/**
+ * @file SceneLink.test.js - Tests for the URL fragment scene encoding
+ * Dependencies: node:test, SceneLink, SceneFormat, ViewerModel, MirrorModel, GlassBlockModel, helpers
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SceneLink } from '../src/core/SceneLink.js';
+import { SceneFormat } from '../src/core/SceneFormat.js';
+import { ViewerModel } from '../src/core/real/ViewerModel.js';
+import { MirrorModel } from '../src/core/real/MirrorModel.js';
+import { GlassBlockModel } from '../src/core/real/GlassBlockModel.js';
+import { createBox, createTriangle } from './helpers.js';
+
+describe('SceneLink', () => {
+    const scene = SceneFormat.create({
+        mirrors: createBox(),
+        objects: [createTriangle({ x: 300.04, y: 299.96 }), createTriangle({ x: 500, y: 200 })],
+        viewer: new ViewerModel({ x: 400, y: 450, direction: -90, fieldOfView: 120 }),
+        settings: { maxReflectionDepth: 3 }
+    });
+    
+    it('round-trips a scene through the fragment', async () => {
+        const hash = await SceneLink.encode({ scene });
+        const decoded = await SceneLink.decode({ hash });
+        
+        assert.match(hash, /^#scene=[A-Za-z0-9_-]+$/);
+        assert.deepEqual(decoded, SceneLink.roundCoordinates(scene));
+        assert.deepEqual(decoded.objects[0].vertices[0], { x: 300, y: 280 });
+    });
+    
+    it('keeps optical properties and settings at full precision', async () => {
+        const opticalScene = SceneFormat.create({
+            mirrors: [new MirrorModel({ x1: 0, y1: 0.04, x2: 100, y2: 0, reflectivity: 0.85 })],
+            objects: [],
+            glassBlocks: [new GlassBlockModel({ vertices: [{ x: 10, y: 10 }, { x: 20, y: 10 }, { x: 15, y: 20 }], refractiveIndex: 1.52 })],
+            viewer: new ViewerModel({ x: 400, y: 450, direction: -89.97 }),
+            settings: { minIntensity: 0.05, distanceFalloff: 0.002 }
+        });
+        
+        const decoded = await SceneLink.decode({ hash: await SceneLink.encode({ scene: opticalScene }) });
+        
+        assert.equal(decoded.mirrors[0].reflectivity, 0.85);
+        assert.equal(decoded.mirrors[0].y1, 0);
+        assert.equal(decoded.glassBlocks[0].refractiveIndex, 1.52);
+        assert.equal(decoded.viewer.direction, -89.97);
+        assert.equal(decoded.settings.minIntensity, 0.05);
+        assert.equal(decoded.settings.distanceFalloff, 0.002);
+    });
+    
+    it('is shorter than the plain JSON', async () => {
+        const hash = await SceneLink.encode({ scene });
+        
+        assert.ok(hash.length < JSON.stringify(scene).length / 2);
+    });
+    
+    it('returns null when the fragment holds no scene', async () => {
+        assert.equal(await SceneLink.decode({ hash: '' }), null);
+        assert.equal(await SceneLink.decode({ hash: '#other=1' }), null);
+    });
+    
+    it('rejects corrupt links', async () => {
+        await assert.rejects(SceneLink.decode({ hash: '#scene=not-deflate-data' }), /Scene link is corrupt/);
+    });
+});
@@ -0,0 +1,114 @@
+/**
+ * @file SceneValidator.test.js - Tests for scene configuration validation
+ * Dependencies: node:test, SceneValidator, SceneValidationError
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SceneValidator } from '../src/core/SceneValidator.js';
+import { SceneValidationError } from '../src/core/SceneValidationError.js';
+
+describe('SceneValidator', () => {
+    const validScene = () => ({
+        objects: [{
+            vertices: [{ x: '50%', y: '45%' }, { x: '47%', y: '50%' }, { x: 424, y: 400 }],
+            fill: '#ff6b6b',
+            stroke: 'black'
+        }],
+        mirrors: [{ x1: '33%', y1: '0%', x2: '33%', y2: '100%', reflectivity: 0.9, reflectiveSide: 'left' }],
+        viewer: { x: '50%', y: '55%', direction: -90, fieldOfView: 120, fill: 'rgb(0, 122, 204)' },
+        glassBlocks: [],
+        lightSources: [{ x: 100, y: 100, spread: 20, rayCount: 5 }],
+        settings: { maxReflectionDepth: 3, generationMode: 'viewport' }
+    });
+    
+    it('accepts a valid scene', () => {
+        assert.deepEqual(SceneValidator.validate({ scene: validScene() }), []);
+    });
+    
+    it('accepts a scene with every list and the viewer missing', () => {
+        assert.deepEqual(SceneValidator.validate({ scene: {} }), []);
+    });
+    
+    it('reports malformed positions with their path', () => {
+        const scene = validScene();
+        scene.objects[0].vertices[2].x = '50 %';
+        
+        assert.deepEqual(SceneValidator.validate({ scene }), [{
+            path: 'objects[0].vertices[2].x',
+            message: "expected a number or a percentage like '50%', got '50 %'"
+        }]);
+    });
+    
+    it('reports missing vertices, invalid colors and out-of-range numbers together', () => {
+        const scene = validScene();
+        scene.objects.push({ fill: 'not a color' });
+        scene.mirrors[0].reflectivity = 1.5;
+        scene.viewer.fieldOfView = 0;
+        
+        const paths = SceneValidator.validate({ scene }).map(error => error.path);
+        
+        assert.deepEqual(paths, [
+            'mirrors[0].reflectivity',
+            'objects[1].vertices',
+            'objects[1].fill',
+            'viewer.fieldOfView'
+        ]);
+    });
+    
+    it('rejects colors the renderer cannot lighten, including unknown names', () => {
+        const colors = ['reed', '#12345', 'rgb(0, 122)', 'hsl(210, 100, 40)', 'url(#pattern)'];
+        
+        colors.forEach(fill => {
+            assert.deepEqual(
+                SceneValidator.checkColor({ value: fill, path: 'fill' }).map(error => error.path),
+                ['fill'],
+                fill
+            );
+        });
+    });
+    
+    it('rejects zero-length mirrors and unknown enum values', () => {
+        const errors = SceneValidator.validateMirrors({
+            mirrors: [
+                { x1: 10, y1: 10, x2: 10, y2: 10 },
+                { x1: 0, y1: 0, x2: 10, y2: 0, reflectiveSide: 'front' }
+            ]
+        });
+        
+        assert.deepEqual(errors.map(error => error.path), ['mirrors[0]', 'mirrors[1].reflectiveSide']);
+    });
+    
+    it('resolves percentages against the canvas before checking the mirror length', () => {
+        const mirrors = [
+            { x1: '50%', y1: 100, x2: 400, y2: 100 },
+            { x1: '50%', y1: '25%', x2: 400, y2: 300 }
+        ];
+        
+        const errors = SceneValidator.validateMirrors({ mirrors, canvas: { width: 800, height: 600 } });
+        
+        assert.deepEqual(errors.map(error => error.path), ['mirrors[0]']);
+        
+        // Without a canvas size, percentages still compare with percentages
+        const unsized = SceneValidator.validateMirrors({ mirrors: [{ x1: '50%', y1: 0, x2: '50.0%', y2: 0 }] });
+        assert.deepEqual(unsized.map(error => error.path), ['mirrors[0]']);
+    });
+    
+    it('rejects non-array lists and non-object entries', () => {
+        const errors = SceneValidator.validate({ scene: { objects: {}, mirrors: [null], settings: { segmentAware: 'yes' } } });
+        
+        assert.deepEqual(errors.map(error => error.path), ['settings.segmentAware', 'mirrors[0]', 'objects']);
+    });
+    
+    it('throws one error listing every problem', () => {
+        const errors = SceneValidator.validateViewer({ viewer: { x: NaN } });
+        
+        assert.throws(() => SceneValidator.assertValid({ errors }), error => {
+            assert.ok(error instanceof SceneValidationError);
+            assert.equal(error.errors.length, 2);
+            assert.match(error.message, /viewer\.x: expected a number or a percentage like '50%', got NaN/);
+            assert.match(error.message, /viewer\.y: .* got undefined/);
+            return true;
+        });
+    });
+});
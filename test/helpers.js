@@ -0,0 +1,143 @@
+/**
+ * @file helpers.js - Shared scene builders and fast-check arbitraries for the test suite
+ * Dependencies: fast-check, MirrorModel, PolygonObjectModel
+ */
+
+import fc from 'fast-check';
+import { MirrorModel } from '../src/core/real/MirrorModel.js';
+import { PolygonObjectModel } from '../src/core/real/PolygonObjectModel.js';
+
+/**
+ * Create the four mirrors of an axis-aligned box
+ * @param {Object} config - Configuration object
+ * @param {number} [config.x=100] - Left edge
+ * @param {number} [config.y=100] - Top edge
+ * @param {number} [config.width=600] - Box width
+ * @param {number} [config.height=400] - Box height
+ * @returns {Array} Mirrors in clockwise order starting with the top wall
+ */
+export function createBox({ x = 100, y = 100, width = 600, height = 400 } = {}) {
+    return [
+        new MirrorModel({ x1: x, y1: y, x2: x + width, y2: y }),
+        new MirrorModel({ x1: x + width, y1: y, x2: x + width, y2: y + height }),
+        new MirrorModel({ x1: x + width, y1: y + height, x2: x, y2: y + height }),
+        new MirrorModel({ x1: x, y1: y + height, x2: x, y2: y })
+    ];
+}
+
+/**
+ * Create a triangle centered on a point
+ * @param {Object} config - Configuration object
+ * @param {number} config.x - Center x coordinate
+ * @param {number} config.y - Center y coordinate
+ * @param {number} [config.size=20] - Distance from the center to each vertex
+ * @returns {PolygonObjectModel} Triangle object
+ */
+export function createTriangle({ x, y, size = 20 }) {
+    return new PolygonObjectModel({
+        vertices: [
+            { x, y: y - size },
+            { x: x + size, y: y + size },
+            { x: x - size, y: y + size }
+        ]
+    });
+}
+
+/**
+ * Signed area of a polygon (shoelace formula); the sign flips with the winding order
+ * @param {Array} vertices - Array of vertices {x, y}
+ * @returns {number} Signed area
+ */
+export function signedArea(vertices) {
+    return vertices.reduce((sum, vertex, index) => {
+        const next = vertices[(index + 1) % vertices.length];
+        return sum + (vertex.x * next.y - next.x * vertex.y);
+    }, 0) / 2;
+}
+
+/**
+ * Check that two points coincide up to float drift
+ * @param {Object} a - First point {x, y}
+ * @param {Object} b - Second point {x, y}
+ * @param {number} [tolerance=1e-6] - Maximum distance considered equal
+ * @returns {boolean} Whether the points coincide
+ */
+export function isSamePoint(a, b, tolerance = 1e-6) {
+    return Math.hypot(a.x - b.x, a.y - b.y) <= tolerance;
+}
+
+// Coordinates stay on screen-sized values so float drift remains far below the tolerances
+const coordinate = fc.double({ min: -1000, max: 1000, noNaN: true });
+
+/** Arbitrary point {x, y} */
+export const pointArbitrary = fc.record({ x: coordinate, y: coordinate });
+
+/** Arbitrary mirror at any angle, at least 1px long */
+export const mirrorArbitrary = fc.tuple(pointArbitrary, pointArbitrary)
+    .filter(([start, end]) => Math.hypot(end.x - start.x, end.y - start.y) >= 1)
+    .map(([start, end]) => new MirrorModel({ x1: start.x, y1: start.y, x2: end.x, y2: end.y }));
+
+/** Arbitrary non-degenerate triangle (vertex list) */
+export const triangleArbitrary = fc.tuple(pointArbitrary, pointArbitrary, pointArbitrary)
+    .filter(vertices => Math.abs(signedArea(vertices)) >= 1);
+
+/**
+ * Create a minimal stand-in for the browser document, enough for the SVG views to render
+ * and wire up mouse listeners. Like the DOM, adding the same listener twice keeps one copy.
+ * @returns {Object} Fake document with dispatch({type, event}) and listenerCount({type})
+ */
+export function createFakeDocument() {
+    const createTarget = () => {
+        const listeners = new Map();
+        
+        return {
+            addEventListener(type, listener) {
+                if (!listeners.has(type)) listeners.set(type, new Set());
+                listeners.get(type).add(listener);
+            },
+            removeEventListener(type, listener) {
+                if (listeners.has(type)) listeners.get(type).delete(listener);
+            },
+            dispatch({ type, event = {} }) {
+                const dispatched = { preventDefault() {}, stopPropagation() {}, ...event };
+                [...(listeners.get(type) || [])].forEach(listener => listener(dispatched));
+            },
+            listenerCount({ type }) {
+                return listeners.has(type) ? listeners.get(type).size : 0;
+            }
+        };
+    };
+    
+    const createElement = () => {
+        const element = {
+            ...createTarget(),
+            attributes: {},
+            style: {},
+            children: [],
+            parentNode: null,
+            setAttribute(name, value) {
+                element.attributes[name] = value;
+            },
+            appendChild(child) {
+                if (child.parentNode) child.parentNode.removeChild(child);
+                element.children.push(child);
+                child.parentNode = element;
+                return child;
+            },
+            removeChild(child) {
+                element.children.splice(element.children.indexOf(child), 1);
+                child.parentNode = null;
+                return child;
+            },
+            getBoundingClientRect() {
+                return { left: 0, top: 0 };
+            }
+        };
+        return element;
+    };
+    
+    return {
+        ...createTarget(),
+        createElementNS: () => createElement()
+    };
+}
@@ -0,0 +1,110 @@
+/**
+ * @file models.test.js - Unit tests for the DOM-free scene models
+ * Dependencies: node:test, MirrorModel, PolygonObjectModel, ViewerModel, LightSourceModel, VirtualViewerModel,
+ *               FirstPersonSimulation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MirrorModel } from '../src/core/real/MirrorModel.js';
+import { PolygonObjectModel } from '../src/core/real/PolygonObjectModel.js';
+import { ViewerModel } from '../src/core/real/ViewerModel.js';
+import { LightSourceModel } from '../src/core/real/LightSourceModel.js';
+import { VirtualViewerModel } from '../src/core/virtual/VirtualViewerModel.js';
+import { FirstPersonSimulation } from '../src/simulation/firstPersonSimulation.js';
+
+describe('MirrorModel', () => {
+    it('gives every mirror a unique id', () => {
+        const first = new MirrorModel({ x1: 0, y1: 0, x2: 10, y2: 0 });
+        const second = new MirrorModel({ x1: 0, y1: 0, x2: 10, y2: 0 });
+        
+        assert.notEqual(first.id, second.id);
+    });
+    
+    it('classifies points by screen side', () => {
+        const mirror = new MirrorModel({ x1: 0, y1: 100, x2: 200, y2: 100 });
+        
+        assert.equal(mirror.getSide({ point: { x: 50, y: 50 } }), 'left');
+        assert.equal(mirror.getSide({ point: { x: 50, y: 150 } }), 'right');
+        assert.equal(mirror.getSide({ point: { x: 300, y: 100 } }), 'on');
+    });
+    
+    it('only reflects on its reflective side', () => {
+        const mirror = new MirrorModel({ x1: 0, y1: 100, x2: 200, y2: 100, reflectiveSide: 'right' });
+        
+        assert.ok(mirror.isReflectiveSide({ point: { x: 50, y: 150 } }));
+        assert.ok(!mirror.isReflectiveSide({ point: { x: 50, y: 50 } }));
+    });
+    
+    it('clamps reflectivity to [0, 1]', () => {
+        assert.equal(new MirrorModel({ x1: 0, y1: 0, x2: 1, y2: 0, reflectivity: 2 }).reflectivity, 1);
+        assert.equal(new MirrorModel({ x1: 0, y1: 0, x2: 1, y2: 0, reflectivity: -1 }).reflectivity, 0);
+    });
+});
+
+describe('PolygonObjectModel', () => {
+    it('computes the centroid of its vertices', () => {
+        const object = new PolygonObjectModel({
+            vertices: [{ x: 0, y: 0 }, { x: 30, y: 0 }, { x: 0, y: 30 }]
+        });
+        
+        assert.deepEqual(object.getCenter(), { x: 10, y: 10 });
+    });
+});
+
+describe('ViewerModel', () => {
+    it('sees everywhere with a full field of view', () => {
+        const viewer = new ViewerModel({ x: 0, y: 0 });
+        
+        assert.ok(!viewer.hasFieldOfView());
+        assert.ok(viewer.isInFieldOfView({ point: { x: 0, y: 100 } }));
+    });
+    
+    it('only sees points inside its view cone', () => {
+        // Facing up (negative y) with a 90° cone
+        const viewer = new ViewerModel({ x: 0, y: 0, direction: -90, fieldOfView: 90 });
+        
+        assert.ok(viewer.isInFieldOfView({ point: { x: 10, y: -100 } }));
+        assert.ok(!viewer.isInFieldOfView({ point: { x: 100, y: -10 } }));
+        assert.ok(!viewer.isInFieldOfView({ point: { x: 0, y: 100 } }));
+    });
+});
+
+describe('LightSourceModel', () => {
+    it('emits a single ray along its direction without spread', () => {
+        const lightSource = new LightSourceModel({ x: 0, y: 0, direction: 90 });
+        const directions = lightSource.getRayDirections();
+        
+        assert.equal(directions.length, 1);
+        assert.ok(Math.abs(directions[0].x) < 1e-9);
+        assert.ok(Math.abs(directions[0].y - 1) < 1e-9);
+    });
+});
+
+describe('VirtualViewerModel', () => {
+    it('lightens any CSS color of the real viewer', () => {
+        const createImage = fill => new VirtualViewerModel({
+            originalViewer: new ViewerModel({ x: 0, y: 0, fill }),
+            reflectionChain: [],
+            depth: 1,
+            position: { x: 10, y: 0 }
+        });
+        
+        assert.equal(createImage('#007acc').fill, '#28a2f4');
+        assert.equal(createImage('navy').fill, '#2828a8');
+        assert.equal(createImage('rgb(250, 0, 0)').fill, '#ff2828');
+    });
+});
+
+describe('FirstPersonSimulation', () => {
+    it('shades named and functional colors like hex colors', () => {
+        const simulation = new FirstPersonSimulation({ canvas: null, shadingDistance: 600 });
+        const shade = fill => simulation.getColumnColor({
+            ray: { hit: { object: { fill } }, reflectance: 1, distance: 600 }
+        });
+        
+        assert.equal(shade('#ff0000'), 'rgb(128, 0, 0)');
+        assert.equal(shade('red'), 'rgb(128, 0, 0)');
+        assert.equal(shade('hsl(0, 100%, 50%)'), 'rgb(128, 0, 0)');
+    });
+});